@@ -2,39 +2,45 @@
    Main Application Initialization
    ============================= */
 
-import { loadConfig } from './config.js';
+import { loadConfig, reloadConfig } from './config.js';
 import { el, enhanceSelectInteractivity, showBarcodeLookupLoading, hideBarcodeLookupLoading } from './utils.js';
-import { findByBarcode, ensureDbReady, getItemsByIds } from './db.js';
-import { buildSearchIndex, searchIndex_fast } from './searchIndex.js';
-import { setupSearch, setSearchValue } from './features/search.js';
-import { renderList, renderGroupedList } from './features/itemList.js';
+import { findByBarcode, ensureDbReady, getItem } from './db.js';
+import { buildSearchIndex, loadSearchIndex, checkSearchIndex } from './searchIndex.js';
+import { setupSearch, setSearchValue, getFilteredItems } from './features/search.js';
+import { renderList, renderGroupedList, renderGroups } from './features/itemList.js';
 import { showItemDetails } from './features/itemDetails.js';
-import { openEditor, closeEditor, renderPairingsInEditor } from './features/itemEditor.js';
+import { openEditor, closeEditor, renderPairingsInEditor, closeTastingEditor } from './features/itemEditor.js';
 import { startScan, stopScan } from './features/scanner.js';
 import { initPhotoModal } from './components/photos.js';
 import { closePairingSelector, refreshPairingList, setupPairingListClickHandlers } from './features/pairingSelector.js';
 import { initUpdateManager } from './updateManager.js';
 import { initSideMenu, openSideMenu, closeSideMenu } from './features/sideMenu.js';
-import { initFilters, applyFilters, setFilterChangeCallback, openFilterPanel, closeFilterPanel } from './features/filters.js';
+import { initFilters, setFilterChangeCallback, openFilterPanel, closeFilterPanel } from './features/filters.js';
 import { initSwipeGestures } from './features/swipeGestures.js';
 import { seedItemTypesFromConfig } from './models/itemTypes.js';
 import { initItemTypeEditor } from './components/itemTypeEditor.js';
 import { closeModal } from './components/modal.js';
-import { initViewSelector, getCurrentView, getCachedUserLocation, calculateDistance } from './features/viewSelector.js';
-import { getPlaceById } from './models/places.js';
+import { initViewSelector, getCurrentView, getCachedUserLocation, refreshUserLocation, withDistances } from './features/viewSelector.js';
+import { initSort, getSortSettings } from './features/sort.js';
+import { initGrouping, getGroupingSettings, getGroupingOptions, groupItems } from './features/grouping.js';
+import { initAutoBackup } from './backupManager.js';
+import { initSyncBackend } from './syncBackend.js';
 import { initMemoryLane, showMemoryLane, hideMemoryLane, isMemoryLaneActive } from './features/memoryLane.js';
+import { initRouter, recordListState } from './router.js';
+import { openEditorWithSharedPhotos } from './features/shareTarget.js';
+
+// Item details, with editing and deleting refreshing the list
+async function openItem(id) {
+  await showItemDetails(
+    id,
+    (item) => openEditor(item, refreshList), // onEdit opens editor
+    refreshList // onDelete refreshes list
+  );
+}
 
 async function refreshList() {
-  const query = el('searchInput').value.trim();
-
-  // Use the fast search index to get matching IDs
-  const matchingIds = searchIndex_fast(query);
-
-  // Fetch only the matching items from the database
-  let items = await getItemsByIds(matchingIds);
-
-  // Apply filters to the search results
-  items = applyFilters(items);
+  // Search matches narrowed by the active filters
+  let items = await getFilteredItems();
 
   // Get current view
   const view = getCurrentView();
@@ -46,15 +52,22 @@ async function refreshList() {
     // Memory lane view - show Instagram-style story viewer
     await showMemoryLane();
   } else {
-    // Default "All" view
-    renderList(items, (id) => {
-      showItemDetails(
-        id,
-        (item) => openEditor(item, refreshList), // onEdit opens editor
-        refreshList // onDelete refreshes list
-      );
-    });
+    // Default "All" view; sorting by distance needs the user's location
+    if (getSortSettings().key === 'distance') {
+      const location = getCachedUserLocation() || await refreshUserLocation();
+      if (location) items = await withDistances(items, location);
+    }
+    // Grouped into sections, unless no grouping is chosen (or its field no longer exists)
+    const { key: grouping } = getGroupingSettings();
+    if (grouping !== 'none' && getGroupingOptions().some(option => option.key === grouping)) {
+      renderGroups(await groupItems(items, grouping), openItem, grouping);
+    } else {
+      renderList(items, openItem);
+    }
   }
+
+  // Keep the view, query and filters in the URL
+  recordListState();
 }
 
 async function renderNearbyView(items) {
@@ -72,45 +85,10 @@ async function renderNearbyView(items) {
   resultsEl.innerHTML = '<div class="loading-state"><div class="loading-spinner"></div><p>Calculating distances...</p></div>';
 
   // Calculate distances for all items
-  const itemsWithDistance = [];
-
-  for (const item of items) {
-    let minDistance = Infinity;
-
-    // Check if item has places with coordinates
-    if (item.places && Array.isArray(item.places) && item.places.length > 0) {
-      for (const placeId of item.places) {
-        const place = await getPlaceById(placeId);
-
-        if (place && place.coordinates && place.coordinates.lat && place.coordinates.lng) {
-          const distance = calculateDistance(
-            userLocation.lat,
-            userLocation.lng,
-            place.coordinates.lat,
-            place.coordinates.lng
-          );
-
-          if (distance < minDistance) {
-            minDistance = distance;
-          }
-        }
-      }
-    }
-
-    itemsWithDistance.push({
-      ...item,
-      distance: minDistance
-    });
-  }
+  const itemsWithDistance = await withDistances(items, userLocation);
 
   // Render grouped list
-  renderGroupedList(itemsWithDistance, (id) => {
-    showItemDetails(
-      id,
-      (item) => openEditor(item, refreshList), // onEdit opens editor
-      refreshList // onDelete refreshes list
-    );
-  });
+  renderGroupedList(itemsWithDistance, openItem);
 }
 
 async function initApp() {
@@ -120,14 +98,14 @@ async function initApp() {
   // Seed item types from config on first run
   await seedItemTypesFromConfig();
 
-  // Build the search index from all items in the database
-  await buildSearchIndex();
-
   // Load configuration
   await loadConfig();
 
-  // Setup search (reuse refreshList behavior)
-  setupSearch(async () => { await refreshList(); });
+  // Load the search index saved on this device (after the config: it indexes the types' fields)
+  await loadSearchIndex();
+
+  // Setup search: the list runs the query
+  setupSearch(refreshList);
 
   // Initialize filters
   await initFilters();
@@ -159,6 +137,14 @@ async function initApp() {
     await refreshList();
   });
 
+  // Initialize list sorting and grouping
+  initSort(async () => {
+    await refreshList();
+  });
+  initGrouping(async () => {
+    await refreshList();
+  });
+
 
   // Barcode scan from header - with improved direct triggering (remove delayed debounce to keep user gesture)
   let isScanning = false;
@@ -251,6 +237,11 @@ async function initApp() {
     }
   });
   el('backEditorBtn')?.addEventListener('click', closeEditor);
+  el('tastingModal').onclick = (e) => {
+    if (e.target === el('tastingModal')) {
+      closeTastingEditor(true);
+    }
+  };
   el('backPairingSelectorBtn')?.addEventListener('click', closePairingSelector);
   el('backPlacesBtn')?.addEventListener('click', () => {
     closeModal('placesModal');
@@ -331,6 +322,27 @@ async function initApp() {
   // Initial list render
   await refreshList();
 
+  // Restore the view, search, filters and open item from the URL; Back closes the details and editor
+  await initRouter({
+    showItem: openItem,
+    editItem: async (id) => {
+      const item = await getItem(id);
+      if (item) await openEditor(item, refreshList);
+    },
+    addItem: () => openEditor(null, refreshList),
+    actions: {
+      // Home-screen shortcut: same as the header's scan button
+      scan: () => el('barcodeScanBtn').click(),
+      // Photos shared to the app from another app
+      shared: () => openEditorWithSharedPhotos(refreshList)
+    }
+  });
+
+  // Check the saved search index against the items in the background; refresh if it had drifted
+  checkSearchIndex().then(async ({ added, updated, removed }) => {
+    if (added + updated + removed > 0) await refreshList();
+  }).catch(err => console.warn('Search index check failed:', err));
+
   // Enhance select interactions for iOS
   enhanceSelectInteractivity(document);
 
@@ -353,16 +365,40 @@ async function initApp() {
   // Initialize item type editor
   initItemTypeEditor();
 
+  // Start automatic local backups (snapshots)
+  initAutoBackup();
+
+  // Start background sync with the sync server (when configured)
+  initSyncBackend();
+
   // Initialize swipe gestures for side menu and filter panel
   initSwipeGestures(openSideMenu, closeSideMenu, openFilterPanel, closeFilterPanel);
 
   // Listen for data import events to refresh the list
   window.addEventListener('data-imported', async () => {
+    // Imported item types change the type config
+    await reloadConfig();
     // Rebuild the search index after import
     await buildSearchIndex();
     await refreshList();
   });
 
+  // A restore already rebuilt the config and search index
+  window.addEventListener('data-restored', refreshList);
+
+  // Reverting an item (edit history or Undo) changes the list
+  window.addEventListener('item-reverted', refreshList);
+
+  // A restored item type changes the type config
+  window.addEventListener('trash-restored', async (e) => {
+    if (e.detail?.storeName === 'itemTypes') await reloadConfig();
+    await refreshList();
+  });
+
+  // Tastings change an item's derived rating, so refresh the list
+  window.addEventListener('tasting-added', refreshList);
+  window.addEventListener('tasting-deleted', refreshList);
+
   // Hide loading screen after initialization
   hideLoader();
 }
@@ -0,0 +1,133 @@
+/* =============================
+   Encrypted Exports
+   Wraps an export ZIP in a passphrase-protected container (WebCrypto AES-GCM, PBKDF2 key):
+
+     magic "GAENC" (5) | format version (1) | PBKDF2 iterations (4, big-endian)
+     | salt (16) | iv (12) | passphrase check (16) | AES-GCM ciphertext of the ZIP
+
+   PBKDF2-SHA-256 derives 48 bytes from the passphrase: the first 32 are the AES key, the last 16
+   are stored as the passphrase check so a wrong passphrase can be told apart from a damaged file.
+   The header is authenticated as AES-GCM additional data.
+   ============================= */
+
+export const ENCRYPTED_EXTENSION = '.gaenc';
+
+const MAGIC = 'GAENC';
+const FORMAT_VERSION = 1;
+const ITERATIONS = 310000;
+// The count comes from the file: a huge one would hang key derivation before the passphrase check
+const MAX_ITERATIONS = ITERATIONS * 10;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + 1 + 4 + SALT_BYTES + IV_BYTES + CHECK_BYTES;
+
+function cryptoError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    (32 + CHECK_BYTES) * 8
+  ));
+  const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, check: bits.slice(32) };
+}
+
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * File name for the encrypted version of an export
+ */
+export function encryptedFileName(filename) {
+  return filename.replace(/\.zip$/, '') + ENCRYPTED_EXTENSION;
+}
+
+/**
+ * Check whether a file is an encrypted export (by its first bytes)
+ * @param {Blob} file
+ */
+export async function isEncryptedExport(file) {
+  if (!(file instanceof Blob) || file.size < MAGIC.length) return false;
+  const head = new Uint8Array(await file.slice(0, MAGIC.length).arrayBuffer());
+  return new TextDecoder().decode(head) === MAGIC;
+}
+
+/**
+ * Encrypt an export ZIP with a passphrase
+ * @param {Blob} blob - Export ZIP
+ * @param {string} passphrase
+ * @returns {Promise<Blob>} Encrypted container
+ */
+export async function encryptExport(blob, passphrase) {
+  if (!passphrase) throw new Error('A passphrase is required');
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const { key, check } = await deriveKey(passphrase, salt, ITERATIONS);
+
+  const header = new Uint8Array(HEADER_BYTES);
+  header.set(new TextEncoder().encode(MAGIC), 0);
+  header[MAGIC.length] = FORMAT_VERSION;
+  new DataView(header.buffer).setUint32(MAGIC.length + 1, ITERATIONS);
+  header.set(salt, MAGIC.length + 5);
+  header.set(iv, MAGIC.length + 5 + SALT_BYTES);
+  header.set(check, MAGIC.length + 5 + SALT_BYTES + IV_BYTES);
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    key,
+    await blob.arrayBuffer()
+  );
+  return new Blob([header, ciphertext], { type: 'application/octet-stream' });
+}
+
+/**
+ * Decrypt an encrypted export
+ * Errors have a `code`: 'invalid' (not an encrypted export), 'unsupported' (newer format),
+ * 'wrong-passphrase' or 'tampered' (modified or damaged file)
+ * @param {Blob} file - Encrypted container
+ * @param {string} passphrase
+ * @returns {Promise<Blob>} Export ZIP
+ */
+export async function decryptExport(file, passphrase) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes.length <= HEADER_BYTES || new TextDecoder().decode(bytes.slice(0, MAGIC.length)) !== MAGIC) {
+    throw cryptoError('Not an encrypted GourmetApp export', 'invalid');
+  }
+  if (bytes[MAGIC.length] > FORMAT_VERSION) {
+    throw cryptoError('This file was encrypted by a newer version of the app. Please update the app first.', 'unsupported');
+  }
+
+  const header = bytes.slice(0, HEADER_BYTES);
+  const iterations = new DataView(header.buffer).getUint32(MAGIC.length + 1);
+  const salt = header.slice(MAGIC.length + 5, MAGIC.length + 5 + SALT_BYTES);
+  const iv = header.slice(MAGIC.length + 5 + SALT_BYTES, MAGIC.length + 5 + SALT_BYTES + IV_BYTES);
+  const storedCheck = header.slice(MAGIC.length + 5 + SALT_BYTES + IV_BYTES);
+  if (iterations < 1 || iterations > MAX_ITERATIONS) throw cryptoError('The file is damaged (invalid header)', 'tampered');
+
+  const { key, check } = await deriveKey(passphrase, salt, iterations);
+  if (!sameBytes(check, storedCheck)) {
+    throw cryptoError('Wrong passphrase', 'wrong-passphrase');
+  }
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: header },
+      key,
+      bytes.slice(HEADER_BYTES)
+    );
+    return new Blob([plaintext], { type: 'application/zip' });
+  } catch (e) {
+    throw cryptoError('The file was modified or is damaged (integrity check failed)', 'tampered');
+  }
+}
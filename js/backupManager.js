@@ -0,0 +1,193 @@
+/* =============================
+   Automatic Backup Manager
+   Keeps local snapshots (same ZIP as Export Data) in the snapshots store:
+   on a schedule (daily/weekly) and after a number of changes, with retention
+   ============================= */
+
+import { addSnapshot, getSnapshot, listSnapshots, deleteSnapshot, deleteTombstonesBefore } from './db.js';
+import { buildExportZip, downloadBlob, exportFileName, getLastExportDate, restoreFromBackup } from './dataManager.js';
+import { EXPORT_STORES } from './exportFormat.js';
+
+const SETTINGS_KEY = 'autoBackupSettings';
+const PENDING_CHANGES_KEY = 'autoBackupPendingChanges';
+const CHECK_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const CHANGE_DEBOUNCE = 10 * 1000; // wait for a burst of writes to settle
+
+export const BACKUP_INTERVALS = {
+  daily: { label: 'Daily', ms: 24 * 60 * 60 * 1000 },
+  weekly: { label: 'Weekly', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+export const SNAPSHOT_REASONS = {
+  scheduled: 'Scheduled',
+  changes: 'After changes',
+  manual: 'Manual',
+  'before-restore': 'Before restore'
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  interval: 'daily',
+  changeThreshold: 25, // 0 disables change-triggered snapshots
+  retention: 7
+};
+
+let snapshotInProgress = null;
+let changeTimer = null;
+
+/**
+ * Get auto backup settings (merged with defaults)
+ */
+export function getBackupSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    const settings = { ...DEFAULT_SETTINGS, ...saved };
+    if (!BACKUP_INTERVALS[settings.interval]) settings.interval = DEFAULT_SETTINGS.interval;
+    return settings;
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save auto backup settings and apply the new retention right away
+ */
+export async function saveBackupSettings(patch) {
+  const settings = { ...getBackupSettings(), ...patch };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  await applyRetention(settings.retention);
+  return settings;
+}
+
+function getPendingChanges() {
+  return parseInt(localStorage.getItem(PENDING_CHANGES_KEY) || '0', 10) || 0;
+}
+
+function setPendingChanges(count) {
+  localStorage.setItem(PENDING_CHANGES_KEY, String(count));
+}
+
+/**
+ * Delete the oldest snapshots beyond the retention count, then the tombstones
+ * older than both the oldest snapshot kept and the last export (see pruneTombstones)
+ */
+async function applyRetention(retention) {
+  const keep = Math.max(1, Number(retention) || DEFAULT_SETTINGS.retention);
+  const snapshots = await listSnapshots(); // newest first
+  for (const snapshot of snapshots.slice(keep)) {
+    await deleteSnapshot(snapshot.id);
+  }
+  await pruneTombstones(snapshots.slice(0, keep));
+}
+
+// Tombstones only feed delta exports, which start from the last export or from a restored snapshot:
+// the ones recorded before both are no longer needed
+async function pruneTombstones(snapshots) {
+  if (snapshots.length === 0) return;
+  const oldestSnapshot = snapshots[snapshots.length - 1].createdAt;
+  const lastExport = getLastExportDate();
+  await deleteTombstonesBefore(lastExport === null ? oldestSnapshot : Math.min(oldestSnapshot, lastExport));
+}
+
+/**
+ * Take a snapshot of the current data
+ * @param {string} reason - One of SNAPSHOT_REASONS
+ * @returns {Promise<number>} Snapshot ID
+ */
+export async function createSnapshot(reason = 'manual') {
+  // Never run two snapshots at once; callers share the running one
+  if (snapshotInProgress) return snapshotInProgress;
+
+  snapshotInProgress = (async () => {
+    const pendingAtStart = getPendingChanges();
+    const { blob, counts } = await buildExportZip();
+    const id = await addSnapshot({ createdAt: Date.now(), reason, size: blob.size, counts, blob });
+    // Changes made while the snapshot was being built still count towards the next one
+    setPendingChanges(Math.max(0, getPendingChanges() - pendingAtStart));
+    await applyRetention(getBackupSettings().retention);
+    window.dispatchEvent(new CustomEvent('snapshot-created', { detail: { id, reason } }));
+    return id;
+  })();
+
+  try {
+    return await snapshotInProgress;
+  } finally {
+    snapshotInProgress = null;
+  }
+}
+
+/**
+ * Take a snapshot if one is due according to the settings
+ */
+export async function checkAutoBackup() {
+  const settings = getBackupSettings();
+  if (!settings.enabled) return null;
+
+  const pending = getPendingChanges();
+  if (settings.changeThreshold > 0 && pending >= settings.changeThreshold) {
+    return createSnapshot('changes');
+  }
+
+  const [latest] = await listSnapshots();
+  const interval = BACKUP_INTERVALS[settings.interval].ms;
+  // Nothing changed since the last snapshot: a new one would be identical
+  if (latest && pending === 0) return null;
+  if (!latest || Date.now() - latest.createdAt >= interval) {
+    return createSnapshot('scheduled');
+  }
+  return null;
+}
+
+/**
+ * Get snapshot metadata, newest first
+ */
+export async function getSnapshots() {
+  return listSnapshots();
+}
+
+/**
+ * Download a snapshot as an export ZIP
+ */
+export async function downloadSnapshot(id) {
+  const snapshot = await getSnapshot(id);
+  if (!snapshot) throw new Error('Snapshot not found');
+  downloadBlob(snapshot.blob, exportFileName(new Date(snapshot.createdAt)));
+}
+
+/**
+ * Restore the database from a snapshot
+ * The current data is snapshotted first so the restore can be undone; only once the snapshot
+ * passed validation, so a failing restore doesn't take a snapshot (and retention doesn't drop an older one)
+ */
+export async function restoreSnapshot(id) {
+  const snapshot = await getSnapshot(id);
+  if (!snapshot) throw new Error('Snapshot not found');
+  const file = new File([snapshot.blob], exportFileName(new Date(snapshot.createdAt)), { type: 'application/zip' });
+  const counts = await restoreFromBackup(file, { beforeWrite: () => createSnapshot('before-restore') });
+  // The restore itself isn't a user change
+  setPendingChanges(0);
+  return counts;
+}
+
+export async function removeSnapshot(id) {
+  await deleteSnapshot(id);
+}
+
+/**
+ * Start automatic backups: count data changes and check the schedule periodically
+ */
+export function initAutoBackup() {
+  window.addEventListener('db-changed', (e) => {
+    if (!EXPORT_STORES.includes(e.detail?.storeName)) return;
+    setPendingChanges(getPendingChanges() + 1);
+    clearTimeout(changeTimer);
+    changeTimer = setTimeout(() => {
+      checkAutoBackup().catch(err => console.warn('Automatic backup failed:', err));
+    }, CHANGE_DEBOUNCE);
+  });
+
+  checkAutoBackup().catch(err => console.warn('Automatic backup failed:', err));
+  setInterval(() => {
+    checkAutoBackup().catch(err => console.warn('Automatic backup failed:', err));
+  }, CHECK_INTERVAL);
+}
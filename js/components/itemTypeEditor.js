@@ -11,6 +11,7 @@ import {
   generateKey
 } from '../models/itemTypes.js';
 import { reloadConfig } from '../config.js';
+import { buildSearchIndex } from '../searchIndex.js';
 
 let currentEditingKey = null;
 let currentSubTypeOptions = []; // Track sub-type options being edited
@@ -506,6 +507,8 @@ export async function saveItemType() {
 
     // Reload config to update the app
     await reloadConfig();
+    // The type's fields are searchable: re-index them
+    await buildSearchIndex();
 
     closeItemTypeEditor();
   } catch (e) {
@@ -520,7 +523,7 @@ export async function saveItemType() {
 export async function deleteItemType() {
   if (!currentEditingKey) return;
 
-  if (!confirm(`Are you sure you want to delete the "${currentEditingKey}" item type? This action cannot be undone.`)) {
+  if (!confirm(`Move the "${currentEditingKey}" item type to Trash? You can restore it from Trash in the side menu.`)) {
     return;
   }
 
@@ -12,10 +12,14 @@ export function openModal(modalId) {
   if (content) content.scrollTop = 0; // keep for compatibility
   // Ensure any nested scroll containers (modal-body) also reset so reopening starts at top
   modal.querySelectorAll('.modal-body').forEach(body => { body.scrollTop = 0; });
+  window.dispatchEvent(new CustomEvent('modal-opened', { detail: { modalId } }));
 }
 
 export function closeModal(modalId) {
   const modal = el(modalId);
+  const wasOpen = modal.classList.contains('active');
   modal.classList.remove('active');
   document.body.classList.remove('no-scroll');
+  // The router goes back over the modal's history entry
+  if (wasOpen) window.dispatchEvent(new CustomEvent('modal-closed', { detail: { modalId } }));
 }
@@ -9,7 +9,7 @@
 
 import { escapeHtml, el } from '../utils.js';
 import { searchPlaces, getOrCreatePlace, addCurrentPlace, removeCurrentPlace, getCurrentPlaces, getPlaceById, updatePlace } from '../models/places.js';
-import { deletePlace, listAll, updateItem } from '../db.js';
+import { movePlaceToTrash } from '../models/trash.js';
 import { createMap } from './map.js';
 import { MAPTILER_API_KEY } from '../config.js';
 
@@ -464,21 +464,11 @@ export function openInlinePlaceEditor(tagEl, placeId, options = {}) {
   };
 
   const onDelete = async () => {
-    if (!confirm('Are you sure you want to delete this place? This will also remove it from all items.')) return;
+    if (!confirm('Move this place to Trash? It will also be removed from all items (restoring it from Trash links it again).')) return;
 
     try {
-      // First, remove this place from all items that reference it
-      const allItems = await listAll();
-      const itemsToUpdate = allItems.filter(item => item.places && Array.isArray(item.places) && item.places.includes(placeId));
-
-      // Update each item to remove this place
-      for (const item of itemsToUpdate) {
-        const updatedPlaces = item.places.filter(pid => pid !== placeId);
-        await updateItem(item.id, { places: updatedPlaces });
-      }
-
-      // Now delete the place itself
-      await deletePlace(placeId);
+      // Removes the place from all items that reference it, remembering them for restore
+      await movePlaceToTrash(placeId);
 
       // Dispatch event so other components can refresh
       window.dispatchEvent(new CustomEvent('place-deleted', { detail: { placeId } }));
@@ -0,0 +1,50 @@
+/* =============================
+   Snackbar
+   Short message at the bottom of the screen with an optional action (e.g. Undo)
+   ============================= */
+
+import { escapeHtml } from '../utils.js';
+
+let currentSnackbar = null;
+
+function dismiss(snackbar) {
+  if (!snackbar || !snackbar.el.isConnected) return;
+  clearTimeout(snackbar.timer);
+  snackbar.el.classList.remove('visible');
+  setTimeout(() => snackbar.el.remove(), 250);
+  if (currentSnackbar === snackbar) currentSnackbar = null;
+}
+
+/**
+ * Show a snackbar, replacing any visible one
+ * @param {string} message - Text to show
+ * @param {object} options
+ * @param {string} options.actionLabel - Action button label (e.g. 'Undo')
+ * @param {Function} options.onAction - Called when the action is tapped
+ * @param {number} options.duration - Auto-hide delay in ms
+ */
+export function showSnackbar(message, { actionLabel = '', onAction = null, duration = 6000 } = {}) {
+  dismiss(currentSnackbar);
+
+  const el = document.createElement('div');
+  el.className = 'snackbar';
+  el.setAttribute('role', 'status');
+  el.innerHTML = `
+    <span class="snackbar-message">${escapeHtml(message)}</span>
+    ${actionLabel ? `<button class="snackbar-action" type="button">${escapeHtml(actionLabel)}</button>` : ''}`;
+  document.body.appendChild(el);
+
+  const snackbar = { el, timer: null };
+  currentSnackbar = snackbar;
+
+  if (actionLabel && onAction) {
+    el.querySelector('.snackbar-action').addEventListener('click', async () => {
+      dismiss(snackbar);
+      await onAction();
+    });
+  }
+
+  // Next frame so the transition runs
+  requestAnimationFrame(() => el.classList.add('visible'));
+  snackbar.timer = setTimeout(() => dismiss(snackbar), duration);
+}
@@ -0,0 +1,275 @@
+/* =============================
+   CSV Import/Export Manager
+   Items as spreadsheets: one CSV per item type, columns generated from the type's fields
+   ============================= */
+
+const JSZip = window.JSZip;
+
+import { listAll, listAllItemTypes, listAllPlaces, addItem } from './db.js';
+import { getOrCreatePlace, invalidatePlaceUsageCache } from './models/places.js';
+import { downloadBlob } from './dataManager.js';
+
+// Multi-value cells (barcodes, places) are separated by this character; a separator or backslash
+// inside a value is escaped with a backslash (Bar\;Grill)
+const LIST_SEPARATOR = ';';
+
+/* =============================
+   CSV parsing / writing (RFC 4180)
+   ============================= */
+
+function escapeCsvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Parse CSV text into rows of cells (handles quoted cells, escaped quotes and newlines in quotes)
+ * Comma or semicolon delimiters are detected from the header line
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/* =============================
+   Columns
+   ============================= */
+
+/**
+ * Columns of a type's CSV: name, sub-type (if enabled), dynamic fields, then common fields
+ * @param {object} itemType - Record from the itemTypes store
+ * @returns {Array<{key: string, header: string, field?: object}>}
+ */
+export function getTypeColumns(itemType) {
+  const columns = [{ key: 'name', header: 'Name' }];
+  if (itemType.subTypeEnabled) columns.push({ key: 'sub_type', header: 'Sub-type' });
+  (itemType.fields || []).forEach(field => {
+    columns.push({ key: field.name, header: field.label || field.name, field });
+  });
+  columns.push(
+    { key: 'rating', header: 'Rating' },
+    { key: 'notes', header: 'Notes' },
+    { key: 'barcodes', header: 'Barcodes' },
+    { key: 'places', header: 'Places' }
+  );
+  return columns;
+}
+
+function normalizeHeader(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess which column feeds each CSV header (by column key or header label)
+ * @returns {Array<string>} Column key per header ('' = ignore)
+ */
+export function guessColumnMapping(headers, columns) {
+  const used = new Set();
+  return headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const match = columns.find(c => !used.has(c.key) &&
+      (normalizeHeader(c.key) === normalized || normalizeHeader(c.header) === normalized));
+    if (!match) return '';
+    used.add(match.key);
+    return match.key;
+  });
+}
+
+/* =============================
+   Export
+   ============================= */
+
+function joinList(values) {
+  return values.map(value => String(value).replace(/[\\;]/g, ch => `\\${ch}`)).join(LIST_SEPARATOR);
+}
+
+/**
+ * Export all items as CSV, one file per item type, bundled in a ZIP
+ */
+export async function exportItemsCsv() {
+  const [items, itemTypes, places] = await Promise.all([listAll(), listAllItemTypes(), listAllPlaces()]);
+  const placeNames = new Map(places.map(p => [p.id, p.name]));
+  const zip = new JSZip();
+  let fileCount = 0;
+
+  itemTypes.sort((a, b) => (a.rank || 999) - (b.rank || 999)).forEach(itemType => {
+    const typeItems = items.filter(item => item.type === itemType.key);
+    if (typeItems.length === 0) return;
+
+    const columns = getTypeColumns(itemType);
+    const rows = typeItems.map(item => columns.map(column => {
+      if (column.key === 'barcodes') return joinList(item.barcodes || []);
+      if (column.key === 'places') {
+        return joinList((item.places || []).map(pid => placeNames.get(pid)).filter(Boolean));
+      }
+      return item[column.key];
+    }));
+    zip.file(`${itemType.key}.csv`, `\uFEFF${toCsv(columns.map(c => c.header), rows)}`);
+    fileCount++;
+  });
+
+  if (fileCount === 0) throw new Error('No items to export');
+
+  const zipBlob = await zip.generateAsync({ type: 'blob' });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  const filename = `gourmetapp-csv-${timestamp}.zip`;
+  downloadBlob(zipBlob, filename);
+  console.log(`Exported ${fileCount} CSV file(s) to ${filename}`);
+  return fileCount;
+}
+
+/* =============================
+   Import
+   ============================= */
+
+// Split a multi-value cell on unescaped separators (see joinList)
+function splitList(value) {
+  const values = [''];
+  const text = String(value || '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) values[values.length - 1] += text[++i];
+    else if (text[i] === LIST_SEPARATOR) values.push('');
+    else values[values.length - 1] += text[i];
+  }
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Turn CSV rows into item drafts for a type, using a header -> column mapping
+ * Rows are checked but nothing is written
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {Array<string>} mapping - Column key per CSV column ('' = ignore)
+ * @param {object} itemType - Target item type record
+ * @returns {Array<{item: object, placeNames: Array<string>, errors: Array<string>, warnings: Array<string>}>}
+ */
+export function buildCsvItems(rows, mapping, itemType) {
+  const columns = getTypeColumns(itemType);
+  const columnsByKey = new Map(columns.map(c => [c.key, c]));
+
+  return rows.map(row => {
+    const item = { type: itemType.key, name: '', barcodes: [], rating: 0, notes: '', places: [], photos: [], pairings: { good: [], bad: [] } };
+    const errors = [];
+    const warnings = [];
+    let placeNames = [];
+
+    mapping.forEach((key, index) => {
+      if (!key) return;
+      const raw = (row[index] || '').trim();
+      if (raw === '') return;
+      const column = columnsByKey.get(key);
+
+      if (key === 'barcodes') {
+        item.barcodes = splitList(raw);
+      } else if (key === 'places') {
+        placeNames = splitList(raw);
+      } else if (key === 'rating') {
+        const rating = Number(raw.replace(',', '.'));
+        if (Number.isNaN(rating) || rating < 0 || rating > 5) {
+          warnings.push(`${column.header}: "${raw}" is not a rating between 0 and 5`);
+        } else {
+          item.rating = Math.round(rating * 2) / 2;
+        }
+      } else if (key === 'sub_type') {
+        if (itemType.subTypeOptions && itemType.subTypeOptions.length > 0 && !itemType.subTypeOptions.includes(raw)) {
+          warnings.push(`${column.header}: "${raw}" is not a known sub-type`);
+        }
+        item.sub_type = raw;
+      } else if (column.field && column.field.type === 'number') {
+        const number = Number(raw.replace(',', '.'));
+        if (Number.isNaN(number)) {
+          warnings.push(`${column.header}: "${raw}" is not a number`);
+        } else {
+          item[key] = number;
+        }
+      } else if (column.field && column.field.type === 'enum') {
+        const option = (column.field.options || []).find(o => o.toLowerCase() === raw.toLowerCase());
+        if (!option) warnings.push(`${column.header}: "${raw}" is not one of the options`);
+        item[key] = option || raw;
+      } else {
+        item[key] = raw;
+      }
+    });
+
+    if (!item.name) errors.push('Missing name');
+    return { item, placeNames, errors, warnings };
+  });
+}
+
+/**
+ * Write item drafts from buildCsvItems, creating missing places by name
+ * Rows with errors are skipped
+ * @returns {Promise<{added: number, skipped: number, placesCreated: number}>}
+ */
+export async function importCsvItems(drafts) {
+  const result = { added: 0, skipped: 0, placesCreated: 0 };
+  const knownPlaceIds = new Set((await listAllPlaces()).map(p => p.id));
+
+  for (const draft of drafts) {
+    if (draft.errors.length > 0) {
+      result.skipped++;
+      continue;
+    }
+    const places = [];
+    for (const name of draft.placeNames) {
+      const place = await getOrCreatePlace(name, { autoLocation: false });
+      if (!place) continue;
+      if (!knownPlaceIds.has(place.placeId)) {
+        knownPlaceIds.add(place.placeId);
+        result.placesCreated++;
+      }
+      if (!places.includes(place.placeId)) places.push(place.placeId);
+    }
+    await addItem({ ...draft.item, places });
+    result.added++;
+  }
+
+  invalidatePlaceUsageCache();
+  return result;
+}
@@ -4,56 +4,256 @@
 
 const JSZip = window.JSZip;
 
-import { savePhoto, getPhoto, getAllStoreNames, getAllFromStore, bulkAddToStore } from './db.js';
+import {
+  savePhoto,
+  getPhotoMetadata,
+  deletePhoto,
+  getAllStoreNames,
+  getAllFromStore,
+  listAll,
+  listAllPlaces,
+  listAllItemTypes,
+  listAllPresets,
+  getTastingsByItemId,
+  updateItem,
+  addRecord,
+  putRecord,
+  replaceStores,
+  listTombstonesSince,
+  applyStoreChanges
+} from './db.js';
+import { addPairing } from './models/pairings.js';
+import { syncItemRating } from './models/tastings.js';
+import { invalidateItemTypesCache } from './models/itemTypes.js';
+import { invalidatePlaceUsageCache } from './models/places.js';
+import { generatePhotoId } from './components/photos.js';
+import { reloadConfig } from './config.js';
+import { buildSearchIndex } from './searchIndex.js';
+import { EXPORT_VERSION, EXPORT_STORES, prepareExportData } from './exportFormat.js';
+import { encryptExport, decryptExport, isEncryptedExport, encryptedFileName } from './backupCrypto.js';
+
+// Last time a record was written (photos are never updated, only created)
+function recordTimestamp(record) {
+  return record.updatedAt || record.createdAt || 0;
+}
+
+/**
+ * Build the export ZIP (data.json + photos) without downloading it
+ * @param {object} options
+ * @param {number} options.since - Delta export: only records created/updated after this timestamp, plus tombstones
+ * @returns {Promise<{blob: Blob, counts: object}>} ZIP blob and record counts per store
+ */
+export async function buildExportZip({ since = null } = {}) {
+  // Only the stores that make up the export format (see export-schema.json)
+  const storeNames = (await getAllStoreNames()).filter(name => EXPORT_STORES.includes(name));
+  const exportData = {
+    version: EXPORT_VERSION,
+    exportDate: new Date().toISOString(),
+    kind: since === null ? 'full' : 'delta',
+    stores: {}
+  };
+  // Fetch all data from each store
+  for (const storeName of storeNames) {
+    const records = await getAllFromStore(storeName);
+    exportData.stores[storeName] = since === null ? records : records.filter(r => recordTimestamp(r) > since);
+  }
+  if (since !== null) {
+    exportData.since = since;
+    // Keys that exist again (re-created after deletion) travel as records, not tombstones
+    const keyPaths = { itemTypes: 'key' };
+    exportData.tombstones = (await listTombstonesSince(since))
+      .filter(t => EXPORT_STORES.includes(t.storeName))
+      .filter(t => !(exportData.stores[t.storeName] || []).some(r => r[keyPaths[t.storeName] || 'id'] === t.key));
+  }
+  return zipExportData(exportData);
+}
+
+/**
+ * Add a photo record's image (photos/<id>) and Blob thumbnail (thumbnails/<id>) to a ZIP
+ * @param {object} zip - JSZip instance
+ * @param {object} photo - Photo record from the photos store
+ * @returns {object} The metadata that goes into the JSON (thumbnail kept only when it is a data URL)
+ */
+export function addPhotoToZip(zip, photo) {
+  const { blob, thumbnail, ...meta } = photo;
+  if (blob) zip.file(`photos/${photo.id}`, blob);
+  if (typeof thumbnail === 'string') return { ...meta, thumbnail };
+  if (thumbnail instanceof Blob) zip.file(`thumbnails/${photo.id}`, thumbnail);
+  return meta;
+}
+
+/**
+ * Read a photo's image and thumbnail back from a ZIP written with addPhotoToZip
+ * Photos without a thumbnail (older exports) use the image itself
+ * @returns {Promise<{blob: Blob, thumbnail: Blob|string}>}
+ */
+export async function readPhotoFromZip(zip, photo) {
+  const blob = await zip.file(`photos/${photo.id}`).async('blob');
+  const thumbnailFile = zip.file(`thumbnails/${photo.id}`);
+  if (thumbnailFile) return { blob, thumbnail: await thumbnailFile.async('blob') };
+  return { blob, thumbnail: typeof photo.thumbnail === 'string' && photo.thumbnail ? photo.thumbnail : blob };
+}
+
+/**
+ * Write export data to a ZIP: data.json plus the blobs of every photo record
+ * The ZIP is read back through the import checks, so an export that couldn't be imported
+ * (or a snapshot that couldn't be restored) fails right away instead of when it is needed
+ * @param {object} exportData - data.json contents (photo records still hold their blobs)
+ * @returns {Promise<{blob: Blob, counts: object}>}
+ */
+async function zipExportData(exportData) {
+  const zip = new JSZip();
+  // Photo and thumbnail blobs go into the ZIP; data.json only keeps their metadata
+  if (exportData.stores.photos) {
+    exportData.stores.photos = exportData.stores.photos.map(photo => addPhotoToZip(zip, photo));
+  }
+  zip.file('data.json', JSON.stringify(exportData, null, 2));
+  const blob = await zip.generateAsync({ type: 'blob' });
+  await verifyExportZip(blob);
+  const counts = {};
+  Object.keys(exportData.stores).forEach(storeName => {
+    counts[storeName] = exportData.stores[storeName].length;
+  });
+  if (exportData.tombstones) counts.tombstones = exportData.tombstones.length;
+  return { blob, counts };
+}
+
+/**
+ * Read a freshly built export ZIP back like an import would: schema validation and every photo's image
+ * @param {Blob} blob - Export ZIP
+ * @throws {Error} with `errors` when the file couldn't be imported
+ */
+export async function verifyExportZip(blob) {
+  const { data, zip } = await readExportFile(blob);
+  const errors = [];
+  (data.stores.photos || []).forEach((photo, index) => {
+    if (!zip.file(`photos/${photo.id}`)) errors.push(`photos[${index}]: image file missing from export`);
+  });
+  throwIfInvalid(errors, 'The export could not be read back');
+}
+
+/**
+ * Trigger a browser download of a blob
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+/**
+ * File name for an export taken at a given time
+ */
+export function exportFileName(date = new Date(), kind = 'export') {
+  const timestamp = date.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  return `gourmetapp-${kind}-${timestamp}.zip`;
+}
+
+const LAST_EXPORT_KEY = 'lastExportDate';
+
+/**
+ * Time of the last full or delta export from this device (ms), or null
+ */
+export function getLastExportDate() {
+  const value = parseInt(localStorage.getItem(LAST_EXPORT_KEY) || '', 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/* =============================
+   Sharing
+   A share file is an export ZIP (`kind: "share"`) holding a few items with everything they need:
+   their item types, places, photos and tastings. Importing it merges them like any other import.
+   ============================= */
+
+/**
+ * Build a share file for some items
+ * Pairings are kept between shared items only; uids are left out (the recipient's copies are new records)
+ * @param {Array<number>} itemIds
+ * @returns {Promise<{blob: Blob, counts: object}>}
+ */
+export async function buildShareZip(itemIds) {
+  const ids = new Set(itemIds);
+  const items = (await listAll()).filter(item => ids.has(item.id));
+  if (items.length === 0) throw new Error('Nothing to share');
+
+  const tastings = (await Promise.all(items.map(item => getTastingsByItemId(item.id)))).flat();
+  const typeKeys = new Set(items.map(item => item.type));
+  const placeIds = new Set([
+    ...items.flatMap(item => item.places || []),
+    ...tastings.map(tasting => tasting.placeId).filter(Boolean)
+  ]);
+  const photoIds = new Set([
+    ...items.flatMap(item => item.photos || []),
+    ...tastings.flatMap(tasting => tasting.photos || [])
+  ]);
+  const withoutUid = ({ uid: _uid, ...record }) => record;
+
+  const exportData = {
+    version: EXPORT_VERSION,
+    exportDate: new Date().toISOString(),
+    kind: 'share',
+    stores: {
+      items: items.map(item => withoutUid({
+        ...item,
+        pairings: {
+          good: (item.pairings?.good || []).filter(id => ids.has(id)),
+          bad: (item.pairings?.bad || []).filter(id => ids.has(id))
+        }
+      })),
+      places: (await listAllPlaces()).filter(place => placeIds.has(place.id)).map(withoutUid),
+      photos: (await getAllFromStore('photos')).filter(photo => photoIds.has(photo.id)),
+      itemTypes: (await listAllItemTypes()).filter(type => typeKeys.has(type.key)),
+      tastings: tastings.map(withoutUid)
+    }
+  };
+  return zipExportData(exportData);
+}
+
+/**
+ * Share items as a file: the system share sheet where files can be shared, a download otherwise
+ * @param {Array<number>} itemIds
+ * @param {string} title - Share sheet title (e.g. the item name)
+ * @returns {Promise<'shared'|'downloaded'|null>} null when the share sheet was dismissed
+ */
+export async function shareItems(itemIds, title = 'GourmetApp items') {
+  const { blob, counts } = await buildShareZip(itemIds);
+  const filename = exportFileName(new Date(), 'share');
+  const file = new File([blob], filename, { type: 'application/zip' });
+  console.log(`Sharing ${counts.items} item(s) as ${filename}`, counts);
+
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title });
+      return 'shared';
+    } catch (err) {
+      if (err.name === 'AbortError') return null;
+      // Share sheet unavailable (e.g. not triggered by a tap): fall back to a download
+      console.warn('Web Share failed, downloading instead:', err);
+    }
+  }
+  downloadBlob(blob, filename);
+  return 'downloaded';
+}
 
 /**
  * Export all data from IndexedDB to a ZIP file (JSON + photos)
  */
-export async function exportAllData() {
+export async function exportAllData({ passphrase = null } = {}) {
   try {
-    // Get all store names
-    const storeNames = await getAllStoreNames();
-    const exportData = {
-      version: '3.1', // New export version with ZIP/photos
-      exportDate: new Date().toISOString(),
-      stores: {}
-    };
-    // Fetch all data from each store
-    for (const storeName of storeNames) {
-      exportData.stores[storeName] = await getAllFromStore(storeName);
-    }
-    // Prepare ZIP
-    const zip = new JSZip();
-    // Add JSON data
-    const jsonString = JSON.stringify(exportData, null, 2);
-    zip.file('data.json', jsonString);
-    // Add photos (if any)
-    if (exportData.stores.photos && Array.isArray(exportData.stores.photos)) {
-      for (const photo of exportData.stores.photos) {
-        if (photo && photo.id) {
-          try {
-            const blob = await getPhoto(photo.id);
-            if (blob) {
-              zip.file(`photos/${photo.id}`, blob);
-            }
-          } catch (err) {
-            console.warn('Could not export photo', photo.id, err);
-          }
-        }
-      }
+    const startedAt = Date.now();
+    const { blob } = await buildExportZip();
+    const filename = exportFileName();
+    if (passphrase) {
+      downloadBlob(await encryptExport(blob, passphrase), encryptedFileName(filename));
+    } else {
+      downloadBlob(blob, filename);
     }
-    // Generate ZIP and trigger download
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    const url = URL.createObjectURL(zipBlob);
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    const filename = `gourmetapp-export-${timestamp}.zip`;
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    setTimeout(() => URL.revokeObjectURL(url), 100);
+    localStorage.setItem(LAST_EXPORT_KEY, String(startedAt));
     console.log(`Exported all tables and photos to ${filename}`);
     return true;
   } catch (err) {
@@ -62,17 +262,109 @@ export async function exportAllData() {
   }
 }
 
+/**
+ * Export only what changed after a timestamp (records, new photos and deletions)
+ * Apply on top of a full backup with restoreBackupChain
+ * @param {number} since - Timestamp (ms)
+ * @returns {Promise<object>} Record counts per store
+ */
+export async function exportDelta(since) {
+  const startedAt = Date.now();
+  const { blob, counts } = await buildExportZip({ since });
+  const filename = exportFileName(new Date(startedAt), 'delta');
+  downloadBlob(blob, filename);
+  localStorage.setItem(LAST_EXPORT_KEY, String(startedAt));
+  console.log(`Exported changes since ${new Date(since).toISOString()} to ${filename}`, counts);
+  return counts;
+}
+
+/**
+ * Parse an export file (ZIP with data.json + photos, or legacy JSON) without validating it
+ * @param {File|Blob|string} fileOrContent - ZIP/JSON file or JSON string
+ * @returns {Promise<{data: object, zip: object|null}>}
+ */
+async function parseExportFile(fileOrContent) {
+  if (fileOrContent instanceof File || fileOrContent instanceof Blob) {
+    const isZip = fileOrContent.type === 'application/zip' || fileOrContent.name?.endsWith('.zip');
+    if (isZip) {
+      const zip = await JSZip.loadAsync(fileOrContent);
+      const jsonFile = zip.file('data.json');
+      if (!jsonFile) throw new Error('ZIP missing data.json');
+      const data = JSON.parse(await jsonFile.async('string'));
+      return { data, zip };
+    }
+    // JSON import (legacy)
+    return parseExportFile(await fileOrContent.text());
+  }
+  const data = JSON.parse(fileOrContent);
+  return { data, zip: null };
+}
+
+/**
+ * Decrypt an encrypted export, asking for the passphrase until it is right or the user cancels
+ * Unencrypted files are returned as they are
+ * @param {File|Blob|string} fileOrContent
+ * @param {Function} getPassphrase - async (file, errorMessage) => passphrase, or null to cancel
+ */
+async function unlockExportFile(fileOrContent, getPassphrase) {
+  if (!(await isEncryptedExport(fileOrContent))) return fileOrContent;
+
+  let errorMessage = '';
+  for (;;) {
+    const passphrase = getPassphrase ? await getPassphrase(fileOrContent, errorMessage) : null;
+    if (!passphrase) {
+      const err = new Error(getPassphrase ? 'Cancelled' : 'This export is encrypted; a passphrase is needed');
+      err.code = getPassphrase ? 'cancelled' : 'passphrase-required';
+      throw err;
+    }
+    try {
+      const zip = await decryptExport(fileOrContent, passphrase);
+      const name = `${(fileOrContent.name || 'export').replace(/(\.zip)?\.gaenc$/, '')}.zip`;
+      return new File([zip], name, { type: 'application/zip' });
+    } catch (err) {
+      if (err.code !== 'wrong-passphrase') throw err;
+      errorMessage = err.message;
+    }
+  }
+}
+
+/**
+ * Read an export file, migrating older versions to the current format and validating it
+ * Throws an error with `errors` (field-level messages) when the file doesn't match the schema
+ * @param {File|Blob|string} fileOrContent - ZIP/JSON file, encrypted export or JSON string
+ * @param {object} options
+ * @param {Function} options.getPassphrase - Asked for the passphrase of encrypted exports (see unlockExportFile)
+ * @returns {Promise<{data: object, zip: object|null}>}
+ */
+export async function readExportFile(fileOrContent, { getPassphrase = null } = {}) {
+  fileOrContent = await unlockExportFile(fileOrContent, getPassphrase);
+  let parsed;
+  try {
+    parsed = await parseExportFile(fileOrContent);
+  } catch (err) {
+    console.error('Could not read export file:', err);
+    throw new Error('File is not a valid ZIP or JSON export');
+  }
+  const data = await prepareExportData(parsed.data);
+  return { data, zip: parsed.zip };
+}
+
 /**
  * Import data from a ZIP file (JSON + photos) into IndexedDB
  * Accepts File/Blob (ZIP) or string (legacy JSON)
+ * Records are merged with the existing collection (see planMergeImport)
+ * @param {File|Blob|string} fileOrContent - File to import (opens a file dialog when omitted)
+ * @param {object} options
+ * @param {Function} options.resolveConflicts - async (plan) => Map of conflict choices, or null to cancel
+ * @param {Function} options.getPassphrase - async (file, errorMessage) => passphrase for encrypted exports, or null to cancel
  */
-export async function importData(fileOrContent) {
+export async function importData(fileOrContent, options = {}) {
   // If no argument, open file dialog (legacy usage)
   if (!fileOrContent) {
     return new Promise((resolve, reject) => {
       const input = document.createElement('input');
       input.type = 'file';
-      input.accept = '.zip,application/zip,application/json,.json';
+      input.accept = '.zip,application/zip,application/json,.json,.gaenc';
       input.onchange = async (e) => {
         try {
           const file = e.target.files[0];
@@ -80,8 +372,7 @@ export async function importData(fileOrContent) {
             resolve(null);
             return;
           }
-          await importData(file);
-          resolve({ imported: true });
+          resolve(await importData(file, options));
         } catch (err) {
           reject(err);
         }
@@ -91,76 +382,693 @@ export async function importData(fileOrContent) {
       document.body.removeChild(input);
     });
   }
-  // If argument is a File or Blob, check if ZIP or JSON
-  if (fileOrContent instanceof File || fileOrContent instanceof Blob) {
-    const isZip = fileOrContent.type === 'application/zip' || fileOrContent.name?.endsWith('.zip');
-    if (isZip) {
-      // ZIP import
-      const zip = await JSZip.loadAsync(fileOrContent);
-      // Find data.json
-      const jsonFile = zip.file('data.json');
-      if (!jsonFile) throw new Error('ZIP missing data.json');
-      const jsonString = await jsonFile.async('string');
-      const importDataObj = JSON.parse(jsonString);
-      // Import JSON data
-      let totalImported = 0;
-      for (const [storeName, records] of Object.entries(importDataObj.stores)) {
-        if (storeName === 'photos') continue; // Handle photos separately
-        if (Array.isArray(records) && records.length > 0) {
-          try {
-            const count = await bulkAddToStore(storeName, records);
-            totalImported += count || 0;
-          } catch (err) {
-            console.warn(`Could not import to store ${storeName}:`, err);
-          }
-        }
-      }
-      // Import photos
-      if (importDataObj.stores.photos && Array.isArray(importDataObj.stores.photos)) {
-        for (const photo of importDataObj.stores.photos) {
-          if (photo && photo.id) {
-            const photoFile = zip.file(`photos/${photo.id}`);
-            if (photoFile) {
-              const blob = await photoFile.async('blob');
-              try {
-                // Save photo with thumbnail and itemId from metadata
-                await savePhoto(photo.id, blob, photo.thumbnail || '', photo.itemId || null);
-              } catch (err) {
-                console.warn('Could not import photo', photo.id, err);
-              }
-            }
-          }
-        }
-      }
-      console.log(`Imported data and photos from ZIP. Total records imported: ${totalImported}`);
-      return { imported: totalImported };
+
+  const parsed = await readExportFile(fileOrContent, options);
+  const plan = await planMergeImport(parsed.data, parsed.zip);
+  let choices = new Map();
+  if (options.resolveConflicts) {
+    choices = await options.resolveConflicts(plan);
+    if (!choices) return null; // Cancelled after the dry run
+  }
+  const result = await applyMergeImport(plan, choices);
+  console.log('Merged import:', result);
+  return result;
+}
+
+/* =============================
+   Merge-aware Import
+   Matches incoming records against the existing collection instead of blindly appending:
+   - item types by key (from a share file, they are merged into the existing type instead)
+   - places by name + coordinates
+   - items by shared barcode, otherwise by name + type
+   Matched records that differ are conflicts resolved per record: 'mine', 'theirs' or 'both'
+   ============================= */
+
+const ITEM_BOOKKEEPING_FIELDS = ['id', 'createdAt', 'updatedAt', 'places', 'pairings', 'photos'];
+
+function normalizeText(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function hasCoordinates(place) {
+  return !!(place && place.coordinates && typeof place.coordinates.lat === 'number' && typeof place.coordinates.lng === 'number');
+}
+
+// Roughly 100m tolerance so re-geocoded places still match
+function sameCoordinates(a, b) {
+  if (!hasCoordinates(a) && !hasCoordinates(b)) return true;
+  if (!hasCoordinates(a) || !hasCoordinates(b)) return false;
+  return Math.abs(a.coordinates.lat - b.coordinates.lat) < 0.001 &&
+    Math.abs(a.coordinates.lng - b.coordinates.lng) < 0.001;
+}
+
+// Stable JSON for comparisons (sorted object keys)
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function itemContent(item) {
+  const content = {};
+  Object.keys(item).forEach(key => {
+    if (!ITEM_BOOKKEEPING_FIELDS.includes(key) && item[key] !== '' && item[key] !== null) content[key] = item[key];
+  });
+  content.barcodes = [...(item.barcodes || (item.barcode ? [item.barcode] : []))].sort();
+  delete content.barcode;
+  content.rating = Number(item.rating) || 0;
+  return content;
+}
+
+function itemTypeContent(type) {
+  return {
+    label: type.label,
+    icon: type.icon,
+    fields: type.fields || [],
+    subTypeEnabled: !!type.subTypeEnabled,
+    subTypeOptions: type.subTypeOptions || []
+  };
+}
+
+/**
+ * Merge a shared item type into an existing one: existing fields and settings win,
+ * fields and sub-type options only the shared type has are added
+ */
+function mergeItemType(existing, incoming) {
+  const fieldNames = new Set((existing.fields || []).map(f => f.name));
+  const subTypeOptions = existing.subTypeOptions || [];
+  return {
+    ...existing,
+    fields: [...(existing.fields || []), ...(incoming.fields || []).filter(f => !fieldNames.has(f.name))],
+    subTypeEnabled: !!existing.subTypeEnabled || !!incoming.subTypeEnabled,
+    subTypeOptions: [...subTypeOptions, ...(incoming.subTypeOptions || []).filter(o => !subTypeOptions.includes(o))]
+  };
+}
+
+function presetContent(preset) {
+  return { query: preset.query || '', filters: preset.filters || {} };
+}
+
+/**
+ * Point a preset's filters at the imported item types and places
+ * Sub-type keys are "type:subtype"; places that weren't imported are dropped
+ */
+function remapPresetFilters(filters, typeKeyMap, placeIdMap) {
+  const mapType = (key) => typeKeyMap.get(key) || key;
+  const remapped = { ...(filters || {}) };
+  if (Array.isArray(remapped.types)) remapped.types = remapped.types.map(mapType);
+  if (Array.isArray(remapped.subTypes)) {
+    remapped.subTypes = remapped.subTypes.map(key => {
+      const at = key.indexOf(':');
+      return at === -1 ? key : `${mapType(key.slice(0, at))}${key.slice(at)}`;
+    });
+  }
+  if (Array.isArray(remapped.places)) {
+    remapped.places = remapped.places.map(id => placeIdMap.get(id)).filter(id => id !== undefined);
+  }
+  return remapped;
+}
+
+function matchPlace(incoming, existingPlaces) {
+  const name = normalizeText(incoming.name);
+  const candidates = existingPlaces.filter(p => normalizeText(p.name) === name);
+  // Prefer an exact coordinate match, then a place where one side has no coordinates yet
+  return candidates.find(p => sameCoordinates(p, incoming)) ||
+    candidates.find(p => !hasCoordinates(p) || !hasCoordinates(incoming)) ||
+    null;
+}
+
+function matchItem(incoming, existingItems) {
+  const barcodes = incoming.barcodes || (incoming.barcode ? [incoming.barcode] : []);
+  if (barcodes.length > 0) {
+    const byBarcode = existingItems.find(it => (it.barcodes || []).some(bc => barcodes.includes(bc)));
+    if (byBarcode) return byBarcode;
+  }
+  const name = normalizeText(incoming.name);
+  if (!name) return null;
+  return existingItems.find(it => it.type === incoming.type && normalizeText(it.name) === name) || null;
+}
+
+function planEntry(storeName, index, incoming, existing, isSame) {
+  return {
+    key: `${storeName}:${index}`,
+    storeName,
+    incoming,
+    existing,
+    status: !existing ? 'new' : (isSame ? 'same' : 'conflict')
+  };
+}
+
+// Shared item types are merged into the existing type of the same key instead of conflicting
+function planSharedTypeEntry(index, incoming, existing) {
+  const entry = planEntry('itemTypes', index, incoming, existing, true);
+  if (!existing) return entry;
+  const merged = mergeItemType(existing, incoming);
+  const changed = stableStringify(itemTypeContent(merged)) !== stableStringify(itemTypeContent(existing));
+  return changed ? { ...entry, status: 'merge', merged } : entry;
+}
+
+function countStatuses(entries) {
+  return entries.reduce((acc, e) => {
+    acc[e.status] += 1;
+    return acc;
+  }, { new: 0, same: 0, conflict: 0, merge: 0 });
+}
+
+/**
+ * Dry run: match every incoming record against the database without writing anything
+ * @param {object} data - Parsed export ({ stores: {...} })
+ * @param {object|null} zip - Loaded JSZip instance holding photo blobs
+ * @returns {Promise<object>} Plan with per-store entries, conflicts and a summary
+ */
+export async function planMergeImport(data, zip = null) {
+  const stores = data.stores || {};
+  const [existingTypes, existingPlaces, existingItems, existingPresets] = await Promise.all([
+    listAllItemTypes(),
+    listAllPlaces(),
+    listAll(),
+    listAllPresets()
+  ]);
+
+  const shared = data.kind === 'share';
+  const itemTypes = (stores.itemTypes || []).filter(t => t && t.key).map((incoming, index) => {
+    const existing = existingTypes.find(t => t.key === incoming.key) || null;
+    if (shared) return planSharedTypeEntry(index, incoming, existing);
+    const isSame = existing && stableStringify(itemTypeContent(existing)) === stableStringify(itemTypeContent(incoming));
+    return planEntry('itemTypes', index, incoming, existing, isSame);
+  });
+
+  const places = (stores.places || []).filter(p => p && p.name).map((incoming, index) => {
+    const existing = matchPlace(incoming, existingPlaces);
+    const isSame = existing && sameCoordinates(existing, incoming) && hasCoordinates(existing) === hasCoordinates(incoming);
+    return planEntry('places', index, incoming, existing, isSame);
+  });
+
+  const items = (stores.items || []).filter(Boolean).map((incoming, index) => {
+    const existing = matchItem(incoming, existingItems);
+    const isSame = existing && stableStringify(itemContent(existing)) === stableStringify(itemContent(incoming));
+    return planEntry('items', index, incoming, existing, isSame);
+  });
+
+  // Saved searches match by name
+  const presets = (stores.presets || []).filter(p => p && p.name).map((incoming, index) => {
+    const existing = existingPresets.find(p => normalizeText(p.name) === normalizeText(incoming.name)) || null;
+    const isSame = existing && stableStringify(presetContent(existing)) === stableStringify(presetContent(incoming));
+    return planEntry('presets', index, incoming, existing, isSame);
+  });
+
+  const entries = [...itemTypes, ...places, ...items, ...presets];
+  return {
+    zip,
+    kind: data.kind || 'full',
+    itemTypes,
+    places,
+    items,
+    presets,
+    tastings: Array.isArray(stores.tastings) ? stores.tastings : [],
+    photos: Array.isArray(stores.photos) ? stores.photos : [],
+    conflicts: entries.filter(e => e.status === 'conflict'),
+    summary: {
+      itemTypes: countStatuses(itemTypes),
+      places: countStatuses(places),
+      items: countStatuses(items),
+      presets: countStatuses(presets),
+      photos: Array.isArray(stores.photos) ? stores.photos.length : 0,
+      tastings: Array.isArray(stores.tastings) ? stores.tastings.length : 0
+    }
+  };
+}
+
+/**
+ * Resolve what to do with a plan entry given the user's conflict choices
+ * @returns {'add'|'keep'|'replace'|'merge'} add a new record, keep the existing one, overwrite it
+ * or merge into it (shared item types)
+ */
+function resolveAction(entry, choices) {
+  if (entry.status === 'new') return 'add';
+  if (entry.status === 'merge') return 'merge';
+  if (entry.status === 'same') return 'keep';
+  const choice = choices.get(entry.key) || 'mine';
+  if (choice === 'theirs') return 'replace';
+  if (choice === 'both') return 'add';
+  return 'keep';
+}
+
+function uniqueTypeKey(key, takenKeys) {
+  let candidate = `${key}_imported`;
+  let n = 2;
+  while (takenKeys.has(candidate)) {
+    candidate = `${key}_imported_${n++}`;
+  }
+  takenKeys.add(candidate);
+  return candidate;
+}
+
+// Imported records are new to sync: added ones get a uid of their own, replaced ones keep the local record's
+const keptUid = existing => (existing.uid ? { uid: existing.uid } : {});
+
+/**
+ * Write a merge plan to the database, remapping ids consistently across
+ * item places, pairings (good/bad), photo itemIds, tastings and the filters of saved searches
+ * @param {object} plan - Result of planMergeImport
+ * @param {Map<string, string>} choices - Conflict key -> 'mine' | 'theirs' | 'both'
+ */
+export async function applyMergeImport(plan, choices = new Map()) {
+  const result = { added: 0, updated: 0, skipped: 0, photos: 0, tastings: 0 };
+  const typeKeyMap = new Map();
+  const placeIdMap = new Map();
+  const itemIdMap = new Map();
+  const importedItems = []; // { incoming, id, action }
+
+  // 1. Item types
+  const takenKeys = new Set((await listAllItemTypes()).map(t => t.key));
+  for (const entry of plan.itemTypes) {
+    const action = resolveAction(entry, choices);
+    const { incoming } = entry;
+    if (action === 'keep') {
+      typeKeyMap.set(incoming.key, incoming.key);
+      result.skipped++;
+    } else if (action === 'merge') {
+      await putRecord('itemTypes', { ...entry.merged, updatedAt: Date.now() });
+      typeKeyMap.set(incoming.key, incoming.key);
+      result.updated++;
+    } else if (action === 'replace') {
+      await putRecord('itemTypes', { ...entry.existing, ...itemTypeContent(incoming), updatedAt: Date.now() });
+      typeKeyMap.set(incoming.key, incoming.key);
+      result.updated++;
     } else {
-      // JSON import (legacy)
-      const text = await fileOrContent.text();
-      return importData(text);
+      const key = entry.existing ? uniqueTypeKey(incoming.key, takenKeys) : incoming.key;
+      const label = entry.existing ? `${incoming.label} (imported)` : incoming.label;
+      await putRecord('itemTypes', { ...incoming, key, label, updatedAt: Date.now() });
+      takenKeys.add(key);
+      typeKeyMap.set(incoming.key, key);
+      result.added++;
     }
   }
-  // Otherwise, treat as string content (legacy JSON)
-  try {
-    const importDataObj = JSON.parse(fileOrContent);
-    if (!importDataObj.stores || typeof importDataObj.stores !== 'object') {
-      throw new Error('Invalid import file format');
+  invalidateItemTypesCache();
+
+  // 2. Places
+  for (const entry of plan.places) {
+    const action = resolveAction(entry, choices);
+    const { incoming } = entry;
+    if (action === 'keep') {
+      placeIdMap.set(incoming.id, entry.existing.id);
+      result.skipped++;
+    } else if (action === 'replace') {
+      const { id: _id, uid: _uid, ...fields } = incoming;
+      await putRecord('places', { ...fields, ...keptUid(entry.existing), id: entry.existing.id, createdAt: entry.existing.createdAt, updatedAt: Date.now() });
+      placeIdMap.set(incoming.id, entry.existing.id);
+      result.updated++;
+    } else {
+      const { uid: _uid, ...fields } = incoming;
+      placeIdMap.set(incoming.id, await addRecord('places', { ...fields, updatedAt: Date.now() }));
+      result.added++;
     }
-    let totalImported = 0;
-    for (const [storeName, records] of Object.entries(importDataObj.stores)) {
-      if (Array.isArray(records) && records.length > 0) {
-        try {
-          const count = await bulkAddToStore(storeName, records);
-          totalImported += count || 0;
-        } catch (err) {
-          console.warn(`Could not import to store ${storeName}:`, err);
+  }
+
+  const mapPlaces = (ids) => (ids || []).map(pid => placeIdMap.get(pid)).filter(pid => pid !== undefined);
+
+  // 3. Items (pairings are linked in a second pass once every item has its new id)
+  for (const entry of plan.items) {
+    const action = resolveAction(entry, choices);
+    const { incoming } = entry;
+    const { id: _id, uid: _uid, barcode, pairings: _pairings, ...fields } = incoming;
+    const record = {
+      ...fields,
+      type: typeKeyMap.get(incoming.type) || incoming.type,
+      barcodes: incoming.barcodes || (barcode ? [barcode] : []),
+      places: mapPlaces(incoming.places),
+      photos: [],
+      pairings: { good: [], bad: [] }
+    };
+
+    if (action === 'keep') {
+      itemIdMap.set(incoming.id, entry.existing.id);
+      importedItems.push({ incoming, id: entry.existing.id, action });
+      result.skipped++;
+    } else if (action === 'replace') {
+      const existing = entry.existing;
+      await putRecord('items', {
+        ...record,
+        ...keptUid(existing),
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: Date.now(),
+        photos: existing.photos || [],
+        pairings: existing.pairings || { good: [], bad: [] }
+      });
+      itemIdMap.set(incoming.id, existing.id);
+      importedItems.push({ incoming, id: existing.id, action, previousPhotos: existing.photos || [] });
+      result.updated++;
+    } else {
+      const newId = await addRecord('items', { ...record, updatedAt: Date.now() });
+      itemIdMap.set(incoming.id, newId);
+      importedItems.push({ incoming, id: newId, action });
+      result.added++;
+    }
+  }
+
+  // 4. Pairings (bidirectional, only for items whose incoming version was taken)
+  for (const { incoming, id, action } of importedItems) {
+    if (action === 'keep' || !incoming.pairings) continue;
+    for (const type of ['good', 'bad']) {
+      for (const targetOldId of incoming.pairings[type] || []) {
+        const targetId = itemIdMap.get(targetOldId);
+        if (targetId !== undefined && targetId !== id) {
+          await addPairing(id, targetId, type);
         }
       }
     }
-    console.log(`Imported data for all tables. Total records imported: ${totalImported}`);
-    return { imported: totalImported };
-  } catch (err) {
-    console.error('Import failed:', err);
-    throw new Error('Failed to import data');
   }
+
+  // 5. Photos (ids are kept unless they collide with a photo of another item)
+  const photoIdMap = new Map();
+  const photosById = new Map(plan.photos.filter(p => p && p.id).map(p => [p.id, p]));
+  const importPhoto = async (oldPhotoId, itemId) => {
+    if (photoIdMap.has(oldPhotoId)) return photoIdMap.get(oldPhotoId);
+    const meta = photosById.get(oldPhotoId);
+    const photoFile = plan.zip ? plan.zip.file(`photos/${oldPhotoId}`) : null;
+    if (!meta || !photoFile) return null;
+    const existing = await getPhotoMetadata(oldPhotoId);
+    if (existing && existing.itemId === itemId) {
+      photoIdMap.set(oldPhotoId, oldPhotoId);
+      return oldPhotoId;
+    }
+    const newPhotoId = existing ? generatePhotoId() : oldPhotoId;
+    try {
+      const { blob, thumbnail } = await readPhotoFromZip(plan.zip, meta);
+      await savePhoto(newPhotoId, blob, thumbnail, itemId);
+      photoIdMap.set(oldPhotoId, newPhotoId);
+      result.photos++;
+      return newPhotoId;
+    } catch (err) {
+      console.warn('Could not import photo', oldPhotoId, err);
+      return null;
+    }
+  };
+
+  for (const { incoming, id, action, previousPhotos } of importedItems) {
+    if (action === 'keep') continue;
+    const photoIds = [];
+    for (const oldPhotoId of incoming.photos || []) {
+      const newPhotoId = await importPhoto(oldPhotoId, id);
+      if (newPhotoId) photoIds.push(newPhotoId);
+    }
+    // Taking theirs replaces the photo set; drop photos no longer referenced
+    for (const oldId of previousPhotos || []) {
+      if (!photoIds.includes(oldId)) await deletePhoto(oldId);
+    }
+    await updateItem(id, { photos: photoIds });
+  }
+
+  // 6. Tastings (a log: add entries the matched item doesn't already have)
+  const touchedItemIds = new Set();
+  // Keeping my version of a conflicting item also keeps my tasting log
+  const keptConflicts = new Set(plan.items
+    .filter(e => e.status === 'conflict' && resolveAction(e, choices) === 'keep')
+    .map(e => e.incoming.id));
+  for (const tasting of plan.tastings) {
+    const itemId = itemIdMap.get(tasting.itemId);
+    if (itemId === undefined || keptConflicts.has(tasting.itemId)) continue;
+    const existingTastings = await getTastingsByItemId(itemId);
+    const duplicate = existingTastings.some(t => t.date === tasting.date && Number(t.rating) === Number(tasting.rating) && (t.notes || '') === (tasting.notes || ''));
+    if (duplicate) continue;
+    const photos = [];
+    for (const oldPhotoId of tasting.photos || []) {
+      const newPhotoId = await importPhoto(oldPhotoId, itemId);
+      if (newPhotoId) photos.push(newPhotoId);
+    }
+    const { id: _id, uid: _uid, ...fields } = tasting;
+    await addRecord('tastings', {
+      ...fields,
+      itemId,
+      placeId: tasting.placeId ? (placeIdMap.get(tasting.placeId) ?? null) : null,
+      photos,
+      updatedAt: Date.now()
+    });
+    touchedItemIds.add(itemId);
+    result.tastings++;
+  }
+  for (const itemId of touchedItemIds) {
+    await syncItemRating(itemId);
+  }
+
+  // 7. Saved searches (their filters point at item types and places)
+  for (const entry of plan.presets || []) {
+    const action = resolveAction(entry, choices);
+    const { incoming } = entry;
+    const record = {
+      name: incoming.name,
+      query: incoming.query || '',
+      filters: remapPresetFilters(incoming.filters, typeKeyMap, placeIdMap)
+    };
+    if (action === 'keep') {
+      result.skipped++;
+    } else if (action === 'replace') {
+      await putRecord('presets', { ...entry.existing, ...record, updatedAt: Date.now() });
+      result.updated++;
+    } else {
+      const name = entry.existing ? `${incoming.name} (imported)` : incoming.name;
+      await addRecord('presets', { ...record, name, createdAt: Date.now(), updatedAt: Date.now() });
+      result.added++;
+    }
+  }
+
+  return result;
+}
+
+/* =============================
+   Full Restore
+   Replaces the collection with the exact contents of a backup (original ids kept)
+   ============================= */
+
+function checkUniqueIds(records, storeName, keyName, errors) {
+  const seen = new Set();
+  records.forEach((rec, index) => {
+    const key = rec[keyName];
+    if (seen.has(key)) {
+      errors.push(`${storeName}[${index}].${keyName}: duplicate ${keyName} ${key}`);
+    } else {
+      seen.add(key);
+    }
+  });
+  return seen;
+}
+
+/**
+ * Check a backup for problems the export schema can't express before a full restore:
+ * duplicate ids, dangling references and photos missing from the ZIP
+ * @param {object} data - Migrated and schema-validated data.json
+ * @param {object|null} zip - Loaded ZIP (photo blobs)
+ * @returns {Array<string>} List of problems (empty when the backup can be restored)
+ */
+export function validateBackup(data, zip) {
+  const errors = [];
+  const { items, places, photos, itemTypes, tastings = [], presets = [] } = data.stores;
+
+  const typeKeys = checkUniqueIds(itemTypes, 'itemTypes', 'key', errors);
+  if (itemTypes.length === 0) errors.push('itemTypes: backup contains no item types');
+  checkUniqueIds(places, 'places', 'id', errors);
+
+  const itemIds = checkUniqueIds(items, 'items', 'id', errors);
+  items.forEach((item, index) => {
+    if (!typeKeys.has(item.type)) errors.push(`items[${index}].type: unknown type ${item.type}`);
+  });
+
+  checkUniqueIds(photos, 'photos', 'id', errors);
+  photos.forEach((photo, index) => {
+    if (!itemIds.has(photo.itemId)) errors.push(`photos[${index}].itemId: unknown item ${photo.itemId}`);
+    if (!zip || !zip.file(`photos/${photo.id}`)) errors.push(`photos[${index}]: image file missing from backup`);
+  });
+
+  checkUniqueIds(tastings, 'tastings', 'id', errors);
+  tastings.forEach((tasting, index) => {
+    if (!itemIds.has(tasting.itemId)) errors.push(`tastings[${index}].itemId: unknown item ${tasting.itemId}`);
+  });
+
+  checkUniqueIds(presets, 'presets', 'id', errors);
+
+  return errors;
+}
+
+// Photo blobs must be read before a transaction starts (IndexedDB transactions can't await)
+async function readPhotoBlobs(photos, zip) {
+  const withBlobs = [];
+  for (const photo of photos) {
+    withBlobs.push({ ...photo, ...(await readPhotoFromZip(zip, photo)) });
+  }
+  return withBlobs;
+}
+
+// Rebuild in-memory caches after stores were rewritten underneath them
+async function rebuildCaches() {
+  invalidateItemTypesCache();
+  invalidatePlaceUsageCache();
+  await reloadConfig();
+  await buildSearchIndex();
+}
+
+async function writeFullRestore(parsed) {
+  const { stores } = parsed.data;
+  const knownStores = await getAllStoreNames();
+  const storesData = {
+    items: stores.items,
+    places: stores.places,
+    photos: await readPhotoBlobs(stores.photos, parsed.zip),
+    itemTypes: stores.itemTypes
+  };
+  if (knownStores.includes('tastings')) {
+    storesData.tastings = Array.isArray(stores.tastings) ? stores.tastings : [];
+  }
+  if (knownStores.includes('presets')) {
+    storesData.presets = Array.isArray(stores.presets) ? stores.presets : [];
+  }
+  // Edit history, trashed records and the sync change log belong to the replaced data (their ids
+  // would point at restored records); they are cleared in the same transaction
+  ['revisions', 'trash', 'changes'].forEach(storeName => {
+    if (knownStores.includes(storeName)) storesData[storeName] = [];
+  });
+  return replaceStores(storesData);
+}
+
+function throwIfInvalid(errors, message) {
+  if (errors.length === 0) return;
+  const err = new Error(message);
+  err.errors = errors;
+  throw err;
+}
+
+/**
+ * Restore the database from a backup ZIP
+ * Items, places, photos and item types (plus tastings and saved searches, which point at their ids) are wiped
+ * and written back with their original ids in a single transaction, which also empties the edit history,
+ * the trash and the sync change log
+ * @param {File|Blob} file - Backup ZIP produced by exportAllData (or its encrypted version)
+ * @param {object} options - { getPassphrase } for encrypted backups (see readExportFile)
+ * @param {Function} options.beforeWrite - async () => void, run once the file has passed every check
+ * @returns {Promise<object>} Record counts per restored store
+ */
+export async function restoreFromBackup(file, options = {}) {
+  // Migrates older backups and validates them against the export schema
+  const parsed = await readExportFile(file, options);
+  if (parsed.data.kind === 'delta') {
+    throw new Error('This is a delta export; restore it together with a full backup');
+  }
+  if (parsed.data.kind === 'share') {
+    throw new Error('This is a shared items file; use Import to add them to your collection');
+  }
+  throwIfInvalid(validateBackup(parsed.data, parsed.zip), 'Invalid backup file');
+  if (options.beforeWrite) await options.beforeWrite();
+
+  const counts = await writeFullRestore(parsed);
+  await rebuildCaches();
+
+  console.log('Restored backup:', counts);
+  return counts;
+}
+
+/* =============================
+   Delta Chains
+   A full backup followed by delta exports (each holding changes since a timestamp)
+   ============================= */
+
+const STORE_KEY_PATHS = { itemTypes: 'key' };
+
+/**
+ * Check a delta export: every photo record needs its image in the ZIP
+ * @returns {Array<string>} List of problems
+ */
+export function validateDelta(data, zip) {
+  const errors = [];
+  if (typeof data.since !== 'number') errors.push('since: delta export without a start time');
+  (data.stores.photos || []).forEach((photo, index) => {
+    if (!zip || !zip.file(`photos/${photo.id}`)) errors.push(`photos[${index}]: image file missing from delta`);
+  });
+  return errors;
+}
+
+/**
+ * Apply one delta export in a single transaction: upsert its records, then drop tombstoned keys
+ * @returns {Promise<{updated: number, deleted: number}>}
+ */
+async function applyDelta(parsed) {
+  const { stores, tombstones = [] } = parsed.data;
+  const puts = {};
+  let updated = 0;
+  for (const storeName of EXPORT_STORES) {
+    const records = stores[storeName] || [];
+    if (records.length === 0) continue;
+    puts[storeName] = storeName === 'photos' ? await readPhotoBlobs(records, parsed.zip) : records;
+    updated += records.length;
+  }
+  const deletes = {};
+  tombstones.forEach(t => {
+    (deletes[t.storeName] = deletes[t.storeName] || []).push(t.key);
+  });
+  // A key that is both upserted and tombstoned was re-created: keep the record
+  Object.keys(deletes).forEach(storeName => {
+    const keyPath = STORE_KEY_PATHS[storeName] || 'id';
+    const kept = new Set((puts[storeName] || []).map(r => r[keyPath]));
+    deletes[storeName] = deletes[storeName].filter(key => !kept.has(key));
+  });
+  await applyStoreChanges(puts, deletes);
+  return { updated, deleted: tombstones.length };
+}
+
+/**
+ * Restore a full backup and/or apply a chain of delta exports on top of it
+ * Without a full backup the deltas are applied to the current data
+ * Every file is validated (and the chain checked for gaps) before anything is written
+ * @param {Array<File>} files - At most one full backup plus any number of delta ZIPs (plain or encrypted)
+ * @param {object} options - { getPassphrase } for encrypted files (see readExportFile)
+ * @returns {Promise<{restored: object|null, deltas: number, updated: number, deleted: number}>}
+ */
+export async function restoreBackupChain(files, options = {}) {
+  const parsedFiles = [];
+  for (const file of files) {
+    try {
+      parsedFiles.push({ name: file.name, ...(await readExportFile(file, options)) });
+    } catch (err) {
+      if (err.code === 'cancelled') throw err;
+      err.errors = (err.errors || [err.message]).map(e => `${file.name}: ${e}`);
+      throw err;
+    }
+  }
+
+  const shared = parsedFiles.find(p => p.data.kind === 'share');
+  if (shared) throw new Error(`${shared.name} holds shared items; use Import to add them to your collection`);
+
+  const fulls = parsedFiles.filter(p => p.data.kind !== 'delta');
+  if (fulls.length > 1) throw new Error('Select one full backup and any number of delta exports');
+  const full = fulls[0] || null;
+  const deltas = parsedFiles
+    .filter(p => p.data.kind === 'delta')
+    .sort((a, b) => a.data.since - b.data.since || Date.parse(a.data.exportDate) - Date.parse(b.data.exportDate));
+
+  const errors = [];
+  if (full) errors.push(...validateBackup(full.data, full.zip).map(e => `${full.name}: ${e}`));
+  let coveredUntil = full ? Date.parse(full.data.exportDate) : null;
+  deltas.forEach(delta => {
+    errors.push(...validateDelta(delta.data, delta.zip).map(e => `${delta.name}: ${e}`));
+    if (coveredUntil !== null && delta.data.since > coveredUntil) {
+      errors.push(`${delta.name}: starts ${new Date(delta.data.since).toLocaleString()}, after the previous export; an export in between is missing`);
+    }
+    coveredUntil = Math.max(coveredUntil ?? 0, Date.parse(delta.data.exportDate));
+  });
+  throwIfInvalid(errors, 'Invalid backup chain');
+
+  const result = { restored: null, deltas: 0, updated: 0, deleted: 0 };
+  if (full) result.restored = await writeFullRestore(full);
+  for (const delta of deltas) {
+    const applied = await applyDelta(delta);
+    result.deltas++;
+    result.updated += applied.updated;
+    result.deleted += applied.deleted;
+  }
+  await rebuildCaches();
+
+  console.log('Restored backup chain:', result);
+  return result;
 }
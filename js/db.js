@@ -2,13 +2,23 @@
    IndexedDB Wrapper
    ============================= */
 
-import { updateSearchIndex, removeFromSearchIndex } from './searchIndex.js';
+import { updateSearchIndex, removeFromSearchIndex, updatePlaceInSearchIndex, removePlaceFromSearchIndex } from './searchIndex.js';
 
 const DB_NAME = 'gourmetapp-db';
 const STORE = 'items';
 const PLACES_STORE = 'places';
 const PHOTOS_STORE = 'photos';
 const ITEM_TYPES_STORE = 'itemTypes';
+const TASTINGS_STORE = 'tastings';
+const SNAPSHOTS_STORE = 'snapshots';
+const TOMBSTONES_STORE = 'tombstones';
+const TRASH_STORE = 'trash';
+const REVISIONS_STORE = 'revisions';
+const CHANGES_STORE = 'changes';
+const SEARCH_INDEX_STORE = 'searchIndex';
+const PRESETS_STORE = 'presets';
+
+const MAX_REVISIONS_PER_ITEM = 50;
 
 let dbp = null;
 let dbInitialized = false;
@@ -17,7 +27,7 @@ function initDb() {
   if (dbp) return dbp;
 
   dbp = new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, 6);
+    const req = indexedDB.open(DB_NAME, 14);
     req.onupgradeneeded = (event) => {
       const db = req.result;
       const oldVersion = event.oldVersion;
@@ -84,6 +94,54 @@ function initDb() {
         // Seed with default item types from config
         // This will be populated on first app initialization
       }
+
+      // Version 7: tastings store (dated tasting log entries linked to an item)
+      if (oldVersion < 7) {
+        const tastingsStore = db.createObjectStore(TASTINGS_STORE, { keyPath: 'id', autoIncrement: true });
+        tastingsStore.createIndex('by_itemId', 'itemId', { unique: false });
+        tastingsStore.createIndex('by_date', 'date', { unique: false });
+      }
+
+      // Version 8: snapshots store (automatic local backups, kept on this device only)
+      if (oldVersion < 8) {
+        const snapshotsStore = db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id', autoIncrement: true });
+        snapshotsStore.createIndex('by_createdAt', 'createdAt', { unique: false });
+      }
+
+      // Version 9: tombstones store (deleted record keys, carried by delta exports)
+      if (oldVersion < 9) {
+        const tombstonesStore = db.createObjectStore(TOMBSTONES_STORE, { keyPath: ['storeName', 'key'] });
+        tombstonesStore.createIndex('by_deletedAt', 'deletedAt', { unique: false });
+      }
+
+      // Version 10: trash store (soft-deleted items, places and item types with their related records)
+      if (oldVersion < 10) {
+        const trashStore = db.createObjectStore(TRASH_STORE, { keyPath: 'id', autoIncrement: true });
+        trashStore.createIndex('by_deletedAt', 'deletedAt', { unique: false });
+      }
+
+      // Version 11: revisions store (previous versions of edited items, kept on this device only)
+      if (oldVersion < 11) {
+        const revisionsStore = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        revisionsStore.createIndex('by_itemId', 'itemId', { unique: false });
+      }
+
+      // Version 12: changes store (sync change log, one entry per record uid, kept on this device only)
+      if (oldVersion < 12) {
+        db.createObjectStore(CHANGES_STORE, { keyPath: ['storeName', 'uid'] });
+      }
+
+      // Version 13: search index store (precomputed search entries per item, kept on this device only)
+      // and an updatedAt index on items, so the search index can be checked against them without reading them
+      if (oldVersion < 13) {
+        db.createObjectStore(SEARCH_INDEX_STORE, { keyPath: 'id' });
+        event.target.transaction.objectStore(STORE).createIndex('by_updatedAt', 'updatedAt', { unique: false });
+      }
+
+      // Version 14: presets store (saved searches: a query plus filters, under a name)
+      if (oldVersion < 14) {
+        db.createObjectStore(PRESETS_STORE, { keyPath: 'id', autoIncrement: true });
+      }
     };
     req.onsuccess = () => {
       dbInitialized = true;
@@ -107,9 +165,53 @@ export async function ensureDbReady() {
 // Initialize database on module load
 initDb();
 
+// Let listeners (e.g. automatic backups) know a store changed once a write commits
+function notifyChange(storeName) {
+  window.dispatchEvent(new CustomEvent('db-changed', { detail: { storeName } }));
+}
+
 async function tx(mode = 'readonly', storeName = STORE) {
   const db = await dbp;
-  return db.transaction(storeName, mode).objectStore(storeName);
+  const transaction = db.transaction(storeName, mode);
+  if (mode === 'readwrite') {
+    transaction.addEventListener('complete', () => notifyChange(storeName));
+  }
+  return transaction.objectStore(storeName);
+}
+
+// Remember a deleted key so delta exports can carry the deletion
+async function recordTombstone(storeName, key) {
+  const store = await tx('readwrite', TOMBSTONES_STORE);
+  return new Promise((res, rej) => {
+    const r = store.put({ storeName, key, deletedAt: Date.now() });
+    r.onsuccess = () => res();
+    r.onerror = () => rej(r.error);
+  });
+}
+
+// Same content apart from the update timestamp
+function isSameRecord(a, b) {
+  const { updatedAt: _a, ...restA } = a;
+  const { updatedAt: _b, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+// Keep the previous version of an item so the edit can be reverted
+async function recordRevision(previous) {
+  const store = await tx('readwrite', REVISIONS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.add({ itemId: previous.id, savedAt: Date.now(), record: previous });
+    r.onsuccess = () => {
+      // Drop the oldest revisions beyond the per-item limit
+      const keys = store.index('by_itemId').getAllKeys(previous.id);
+      keys.onsuccess = () => {
+        keys.result.slice(0, Math.max(0, keys.result.length - MAX_REVISIONS_PER_ITEM)).forEach(key => store.delete(key));
+        res(r.result);
+      };
+      keys.onerror = () => rej(keys.error);
+    };
+    r.onerror = () => rej(r.error);
+  });
 }
 
 export async function addItem(item) {
@@ -128,7 +230,13 @@ export async function addItem(item) {
   });
 }
 
-export async function updateItem(id, patch) {
+/**
+ * Update an item with a patch
+ * @param {object} options
+ * @param {boolean} options.revision - Keep the previous version in the edit history (user edits only;
+ *   follow-up writes such as pairing back-links or derived ratings would fill it with noise)
+ */
+export async function updateItem(id, patch, { revision = false } = {}) {
   const store = await tx('readwrite');
   const get = store.get(id);
   return new Promise((res, rej) => {
@@ -140,7 +248,8 @@ export async function updateItem(id, patch) {
       put.onsuccess = () => {
         // Update search index with the modified item
         updateSearchIndex(updatedItem);
-        res(put.result);
+        if (!revision || isSameRecord(cur, updatedItem)) return res(put.result);
+        recordRevision(cur).then(() => res(put.result), rej);
       };
       put.onerror = () => rej(put.error);
     };
@@ -155,7 +264,7 @@ export async function deleteItem(id) {
     r.onsuccess = () => {
       // Remove from search index
       removeFromSearchIndex(id);
-      res();
+      recordTombstone(STORE, id).then(res, rej);
     };
     r.onerror = () => rej(r.error);
   });
@@ -224,8 +333,13 @@ export async function getItemsByIds(ids) {
 export async function addPlace(place) {
   const store = await tx('readwrite', PLACES_STORE);
   return new Promise((res, rej) => {
-    const r = store.add({ ...place, createdAt: Date.now() });
-    r.onsuccess = () => res(r.result);
+    const newPlace = { ...place, createdAt: Date.now() };
+    const r = store.add(newPlace);
+    r.onsuccess = () => {
+      // Items are found by their places' names
+      updatePlaceInSearchIndex({ ...newPlace, id: r.result });
+      res(r.result);
+    };
     r.onerror = () => rej(r.error);
   });
 }
@@ -267,7 +381,10 @@ export async function deletePlace(id) {
   const store = await tx('readwrite', PLACES_STORE);
   return new Promise((res, rej) => {
     const r = store.delete(id);
-    r.onsuccess = () => res();
+    r.onsuccess = () => {
+      removePlaceFromSearchIndex(id);
+      recordTombstone(PLACES_STORE, id).then(res, rej);
+    };
     r.onerror = () => rej(r.error);
   });
 }
@@ -281,7 +398,10 @@ export async function updatePlace(id, patch) {
       if (!cur) return rej(new Error('Not found'));
       const updatedPlace = { ...cur, ...patch, updatedAt: Date.now() };
       const put = store.put(updatedPlace);
-      put.onsuccess = () => res(put.result);
+      put.onsuccess = () => {
+        updatePlaceInSearchIndex(updatedPlace);
+        res(put.result);
+      };
       put.onerror = () => rej(put.error);
     };
     get.onerror = () => rej(get.error);
@@ -346,7 +466,7 @@ export async function deletePhoto(id) {
   const store = await tx('readwrite', PHOTOS_STORE);
   return new Promise((res, rej) => {
     const r = store.delete(id);
-    r.onsuccess = () => res();
+    r.onsuccess = () => recordTombstone(PHOTOS_STORE, id).then(res, rej);
     r.onerror = () => rej(r.error);
   });
 }
@@ -445,11 +565,152 @@ export async function bulkAddToStore(storeName, records) {
         try { store.add(rec); count++; } catch (e2) { /* skip */ }
       }
     }
-    tx.oncomplete = () => resolve(count);
+    tx.oncomplete = () => {
+      notifyChange(storeName);
+      resolve(count);
+    };
     tx.onerror = () => reject(tx.error);
   });
 }
 
+// Utility: Clear the given stores and write records back with their original keys
+// Runs in a single transaction, so a failure leaves the previous data untouched
+export async function replaceStores(storesData) {
+  const storeNames = Object.keys(storesData);
+  const db = await initDb();
+  return new Promise((resolve, reject) => {
+    let tx;
+    try {
+      tx = db.transaction(storeNames, 'readwrite');
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    const counts = {};
+    try {
+      for (const storeName of storeNames) {
+        const store = tx.objectStore(storeName);
+        store.clear();
+        counts[storeName] = 0;
+        for (const rec of storesData[storeName]) {
+          store.add(rec);
+          counts[storeName]++;
+        }
+      }
+    } catch (e) {
+      tx.abort();
+      reject(e);
+      return;
+    }
+    tx.oncomplete = () => {
+      storeNames.forEach(notifyChange);
+      resolve(counts);
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Restore transaction aborted'));
+  });
+}
+
+// Utility: Add a single record to a store, keeping every field except an auto-increment id
+export async function addRecord(storeName, record) {
+  const store = await tx('readwrite', storeName);
+  return new Promise((resolve, reject) => {
+    const rec = { ...record };
+    if (store.autoIncrement) delete rec.id;
+    const r = store.add(rec);
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+// Utility: Write a full record to a store, replacing any record with the same key
+export async function putRecord(storeName, record) {
+  const store = await tx('readwrite', storeName);
+  return new Promise((resolve, reject) => {
+    const r = store.put(record);
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+/* =============================
+   Tastings Store Functions
+   ============================= */
+
+/**
+ * Add a tasting entry
+ * @param {object} tasting - { itemId, date, rating, notes, placeId, photos }
+ * @returns {Promise<number>} New tasting ID
+ */
+export async function addTasting(tasting) {
+  const store = await tx('readwrite', TASTINGS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.add({ ...tasting, createdAt: Date.now(), updatedAt: Date.now() });
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function getTasting(id) {
+  const store = await tx('readonly', TASTINGS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.get(id);
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function updateTasting(id, patch) {
+  const store = await tx('readwrite', TASTINGS_STORE);
+  const get = store.get(id);
+  return new Promise((res, rej) => {
+    get.onsuccess = () => {
+      const cur = get.result;
+      if (!cur) return rej(new Error('Not found'));
+      const put = store.put({ ...cur, ...patch, updatedAt: Date.now() });
+      put.onsuccess = () => res(put.result);
+      put.onerror = () => rej(put.error);
+    };
+    get.onerror = () => rej(get.error);
+  });
+}
+
+export async function deleteTasting(id) {
+  const store = await tx('readwrite', TASTINGS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.delete(id);
+    r.onsuccess = () => recordTombstone(TASTINGS_STORE, id).then(res, rej);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/**
+ * Get all tastings for a specific item (unsorted)
+ * @param {number} itemId - Item ID
+ * @returns {Promise<Array>} Array of tasting entries
+ */
+export async function getTastingsByItemId(itemId) {
+  const store = await tx('readonly', TASTINGS_STORE);
+  return new Promise((res) => {
+    const idx = store.index('by_itemId');
+    const r = idx.getAll(itemId);
+    r.onsuccess = () => res(r.result || []);
+  });
+}
+
+/**
+ * Delete all tastings for a specific item, with their photos
+ * @param {number} itemId - Item ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTastingsByItemId(itemId) {
+  const tastings = await getTastingsByItemId(itemId);
+  for (const tasting of tastings) {
+    for (const photoId of tasting.photos || []) await deletePhoto(photoId);
+    await deleteTasting(tasting.id);
+  }
+}
+
 /* =============================
    Item Types Store Functions
    ============================= */
@@ -508,8 +769,350 @@ export async function deleteItemType(key) {
   const store = await tx('readwrite', ITEM_TYPES_STORE);
   return new Promise((res, rej) => {
     const r = store.delete(key);
+    r.onsuccess = () => recordTombstone(ITEM_TYPES_STORE, key).then(res, rej);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/* =============================
+   Snapshots Store Functions
+   Automatic local backups: { id, createdAt, reason, size, counts, blob }
+   ============================= */
+
+export async function addSnapshot(snapshot) {
+  const store = await tx('readwrite', SNAPSHOTS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.add({ ...snapshot, createdAt: snapshot.createdAt || Date.now() });
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function getSnapshot(id) {
+  const store = await tx('readonly', SNAPSHOTS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.get(id);
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/**
+ * List snapshots newest first, without their ZIP blobs
+ */
+export async function listSnapshots() {
+  const store = await tx('readonly', SNAPSHOTS_STORE);
+  return new Promise((res, rej) => {
+    const snapshots = [];
+    const r = store.index('by_createdAt').openCursor(null, 'prev');
+    r.onsuccess = () => {
+      const cursor = r.result;
+      if (!cursor) return res(snapshots);
+      const { blob: _blob, ...meta } = cursor.value;
+      snapshots.push(meta);
+      cursor.continue();
+    };
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function deleteSnapshot(id) {
+  const store = await tx('readwrite', SNAPSHOTS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.delete(id);
     r.onsuccess = () => res();
     r.onerror = () => rej(r.error);
   });
 }
 
+/* =============================
+   Tombstones Store Functions
+   ============================= */
+
+/**
+ * Get deletions recorded after a timestamp
+ * @param {number} since - Timestamp (ms)
+ * @returns {Promise<Array<{storeName: string, key: any, deletedAt: number}>>}
+ */
+export async function listTombstonesSince(since) {
+  const store = await tx('readonly', TOMBSTONES_STORE);
+  return new Promise((res, rej) => {
+    const r = store.index('by_deletedAt').getAll(IDBKeyRange.lowerBound(since, true));
+    r.onsuccess = () => res(r.result || []);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/**
+ * Delete the deletions recorded before a timestamp (delta exports no longer reach back that far)
+ * @param {number} before - Timestamp (ms)
+ * @returns {Promise<number>} Number of tombstones deleted
+ */
+export async function deleteTombstonesBefore(before) {
+  const store = await tx('readwrite', TOMBSTONES_STORE);
+  return new Promise((res, rej) => {
+    let count = 0;
+    const r = store.index('by_deletedAt').openCursor(IDBKeyRange.upperBound(before, true));
+    r.onsuccess = () => {
+      const cursor = r.result;
+      if (!cursor) return res(count);
+      cursor.delete();
+      count++;
+      cursor.continue();
+    };
+    r.onerror = () => rej(r.error);
+  });
+}
+
+// Utility: Apply upserts and deletions across several stores in a single transaction
+// puts: { storeName: [records] }, deletes: { storeName: [keys] }
+export async function applyStoreChanges(puts = {}, deletes = {}) {
+  const storeNames = [...new Set([...Object.keys(puts), ...Object.keys(deletes)])];
+  if (storeNames.length === 0) return;
+  const db = await initDb();
+  return new Promise((resolve, reject) => {
+    let tx;
+    try {
+      tx = db.transaction(storeNames, 'readwrite');
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    try {
+      Object.entries(deletes).forEach(([storeName, keys]) => {
+        const store = tx.objectStore(storeName);
+        keys.forEach(key => store.delete(key));
+      });
+      Object.entries(puts).forEach(([storeName, records]) => {
+        const store = tx.objectStore(storeName);
+        records.forEach(rec => store.put(rec));
+      });
+    } catch (e) {
+      tx.abort();
+      reject(e);
+      return;
+    }
+    tx.oncomplete = () => {
+      storeNames.forEach(notifyChange);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/* =============================
+   Trash Store Functions
+   Entries: { id, storeName, key, record, photos, tastings, links, deletedAt }
+   ============================= */
+
+export async function addTrashEntry(entry) {
+  const store = await tx('readwrite', TRASH_STORE);
+  return new Promise((res, rej) => {
+    const r = store.add({ ...entry, deletedAt: Date.now() });
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function getTrashEntry(id) {
+  const store = await tx('readonly', TRASH_STORE);
+  return new Promise((res, rej) => {
+    const r = store.get(id);
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/**
+ * List trash entries, most recently deleted first
+ */
+export async function listTrash() {
+  const store = await tx('readonly', TRASH_STORE);
+  return new Promise((res, rej) => {
+    const r = store.index('by_deletedAt').getAll();
+    r.onsuccess = () => res((r.result || []).reverse());
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function deleteTrashEntry(id) {
+  const store = await tx('readwrite', TRASH_STORE);
+  return new Promise((res, rej) => {
+    const r = store.delete(id);
+    r.onsuccess = () => res();
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/* =============================
+   Revisions Store Functions
+   Entries: { id, itemId, savedAt, record } where record is the item before the update
+   ============================= */
+
+/**
+ * Get the revisions of an item, newest first
+ */
+export async function getRevisionsByItemId(itemId) {
+  const store = await tx('readonly', REVISIONS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.index('by_itemId').getAll(itemId);
+    r.onsuccess = () => res((r.result || []).reverse());
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function getRevision(id) {
+  const store = await tx('readonly', REVISIONS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.get(id);
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function deleteRevisionsByItemId(itemId) {
+  const store = await tx('readwrite', REVISIONS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.index('by_itemId').getAllKeys(itemId);
+    r.onsuccess = () => {
+      r.result.forEach(key => store.delete(key));
+      res();
+    };
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/* =============================
+   Presets Store Functions
+   Entries: { id, name, query, filters, createdAt, updatedAt } (see models/presets.js)
+   ============================= */
+
+export async function addPreset(preset) {
+  const store = await tx('readwrite', PRESETS_STORE);
+  return new Promise((res, rej) => {
+    const now = Date.now();
+    const r = store.add({ ...preset, createdAt: now, updatedAt: now });
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function listAllPresets() {
+  const store = await tx('readonly', PRESETS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.getAll();
+    r.onsuccess = () => res(r.result || []);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function updatePreset(id, patch) {
+  const store = await tx('readwrite', PRESETS_STORE);
+  const get = store.get(id);
+  return new Promise((res, rej) => {
+    get.onsuccess = () => {
+      const cur = get.result;
+      if (!cur) return rej(new Error('Not found'));
+      const put = store.put({ ...cur, ...patch, updatedAt: Date.now() });
+      put.onsuccess = () => res(put.result);
+      put.onerror = () => rej(put.error);
+    };
+    get.onerror = () => rej(get.error);
+  });
+}
+
+export async function deletePreset(id) {
+  const store = await tx('readwrite', PRESETS_STORE);
+  return new Promise((res, rej) => {
+    const r = store.delete(id);
+    r.onsuccess = () => recordTombstone(PRESETS_STORE, id).then(res, rej);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+/* =============================
+   Search Index Store Functions
+   Entries are the precomputed search data of an item (see searchIndex.js), keyed by item id
+   ============================= */
+
+export async function listSearchIndexEntries() {
+  const store = await tx('readonly', SEARCH_INDEX_STORE);
+  return new Promise((res, rej) => {
+    const r = store.getAll();
+    r.onsuccess = () => res(r.result || []);
+    r.onerror = () => rej(r.error);
+  });
+}
+
+export async function putSearchIndexEntries(entries) {
+  const store = await tx('readwrite', SEARCH_INDEX_STORE);
+  return new Promise((res, rej) => {
+    entries.forEach(entry => store.put(entry));
+    store.transaction.oncomplete = () => res();
+    store.transaction.onerror = () => rej(store.transaction.error);
+  });
+}
+
+export async function deleteSearchIndexEntries(ids) {
+  const store = await tx('readwrite', SEARCH_INDEX_STORE);
+  return new Promise((res, rej) => {
+    ids.forEach(id => store.delete(id));
+    store.transaction.oncomplete = () => res();
+    store.transaction.onerror = () => rej(store.transaction.error);
+  });
+}
+
+/**
+ * Replace every search index entry (full rebuild)
+ */
+export async function replaceSearchIndexEntries(entries) {
+  const store = await tx('readwrite', SEARCH_INDEX_STORE);
+  return new Promise((res, rej) => {
+    store.clear();
+    entries.forEach(entry => store.put(entry));
+    store.transaction.oncomplete = () => res();
+    store.transaction.onerror = () => rej(store.transaction.error);
+  });
+}
+
+/**
+ * Get the number of items and the latest update timestamp, without reading the items
+ * @returns {Promise<{count: number, updatedAt: number|null}>}
+ */
+export async function getItemsWatermark() {
+  const store = await tx('readonly');
+  return new Promise((res, rej) => {
+    const count = store.count();
+    count.onsuccess = () => {
+      const r = store.index('by_updatedAt').openKeyCursor(null, 'prev');
+      r.onsuccess = () => res({ count: count.result, updatedAt: r.result ? r.result.key : null });
+      r.onerror = () => rej(r.error);
+    };
+    count.onerror = () => rej(count.error);
+  });
+}
+
+/**
+ * Get the id and update timestamp of every item, from the keys only
+ * @returns {Promise<Map<number, number|null>>} Item id -> updatedAt (null for items never stamped)
+ */
+export async function listItemStamps() {
+  const store = await tx('readonly');
+  return new Promise((res, rej) => {
+    const stamps = new Map();
+    const keys = store.getAllKeys();
+    keys.onsuccess = () => {
+      keys.result.forEach(id => stamps.set(id, null));
+      const r = store.index('by_updatedAt').openKeyCursor();
+      r.onsuccess = () => {
+        const cursor = r.result;
+        if (!cursor) return res(stamps);
+        stamps.set(cursor.primaryKey, cursor.key);
+        cursor.continue();
+      };
+      r.onerror = () => rej(r.error);
+    };
+    keys.onerror = () => rej(keys.error);
+  });
+}
@@ -0,0 +1,241 @@
+/* =============================
+   Export Format
+   Versioning, migration and validation of export files (data.json)
+   The format is described by export-schema.json; see EXPORT_FORMAT.md
+   ============================= */
+
+export const EXPORT_VERSION = '4.1';
+
+// Stores written to exports (device-local stores are left out)
+export const EXPORT_STORES = ['items', 'places', 'photos', 'itemTypes', 'tastings', 'presets'];
+
+const SCHEMA_URL = './export-schema.json';
+let schemaCache = null;
+
+/**
+ * Load the published JSON schema (cached)
+ */
+export async function loadExportSchema() {
+  if (schemaCache) return schemaCache;
+  const response = await fetch(SCHEMA_URL);
+  schemaCache = await response.json();
+  return schemaCache;
+}
+
+/* =============================
+   Migrations
+   Each step upgrades data.json from one version to the next
+   ============================= */
+
+function majorVersion(version) {
+  const major = parseInt(String(version || '').split('.')[0], 10);
+  return Number.isNaN(major) ? 0 : major;
+}
+
+function normalizeItem(item) {
+  if (!item || typeof item !== 'object') return item;
+  const { barcode, ...rest } = item;
+  const migrated = { ...rest };
+  // Items predating DB v6 stored a single `barcode`
+  if (!Array.isArray(migrated.barcodes)) {
+    migrated.barcodes = barcode ? [String(barcode)] : [];
+  }
+  if (typeof migrated.name !== 'string') migrated.name = migrated.name == null ? '' : String(migrated.name);
+  if (migrated.rating !== undefined) migrated.rating = Number(migrated.rating) || 0;
+  if (!Array.isArray(migrated.places)) migrated.places = [];
+  if (!Array.isArray(migrated.photos)) migrated.photos = [];
+  if (!migrated.pairings || typeof migrated.pairings !== 'object') {
+    migrated.pairings = { good: [], bad: [] };
+  } else {
+    migrated.pairings = {
+      good: Array.isArray(migrated.pairings.good) ? migrated.pairings.good : [],
+      bad: Array.isArray(migrated.pairings.bad) ? migrated.pairings.bad : []
+    };
+  }
+  return migrated;
+}
+
+// Photo metadata as data.json holds it: blobs are files in the ZIP. Blob thumbnails serialized
+// to {} in JSON (3.x, and 4.x exports made before thumbnails went into the ZIP); they are dropped
+function photoMetadata(photo) {
+  if (!photo || typeof photo !== 'object') return photo;
+  const { blob: _blob, thumbnail, ...meta } = photo;
+  return typeof thumbnail === 'string' ? { ...meta, thumbnail } : meta;
+}
+
+const MIGRATIONS = [
+  {
+    // Legacy JSON-only exports: either bare { items, places } or stores without a version
+    from: 0,
+    migrate(data) {
+      const stores = data.stores && typeof data.stores === 'object'
+        ? data.stores
+        : { items: data.items, places: data.places, itemTypes: data.itemTypes };
+      return {
+        version: '3.0',
+        exportDate: data.exportDate || new Date(0).toISOString(),
+        stores: { ...stores, photos: Array.isArray(stores.photos) ? stores.photos : [] }
+      };
+    }
+  },
+  {
+    // Versions 1.x and 2.x already used the { version, stores } envelope
+    from: 1,
+    migrate: (data) => ({ ...data, version: '3.0' })
+  },
+  {
+    from: 2,
+    migrate: (data) => ({ ...data, version: '3.0' })
+  },
+  {
+    // 3.x dumped every object store as-is; 4.0 exports a fixed set of normalized stores
+    from: 3,
+    migrate(data) {
+      const stores = {};
+      EXPORT_STORES.forEach(storeName => {
+        if (Array.isArray(data.stores[storeName])) stores[storeName] = data.stores[storeName];
+      });
+      ['items', 'places', 'photos', 'itemTypes'].forEach(storeName => {
+        if (!stores[storeName]) stores[storeName] = [];
+      });
+      stores.items = stores.items.map(normalizeItem);
+      stores.photos = stores.photos.map(photoMetadata);
+      return { version: EXPORT_VERSION, exportDate: data.exportDate, stores };
+    }
+  }
+];
+
+/**
+ * Upgrade an export of any supported version to EXPORT_VERSION
+ * @param {object} data - Parsed data.json
+ * @returns {object} Data in the current format
+ */
+export function migrateExport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Export file is not a JSON object');
+  }
+
+  let current = data;
+  let major = current.stores ? majorVersion(current.version) : 0;
+  if (major > majorVersion(EXPORT_VERSION)) {
+    throw new Error(`Export version ${current.version} was created by a newer version of the app`);
+  }
+
+  while (major < majorVersion(EXPORT_VERSION)) {
+    const step = MIGRATIONS.find(m => m.from === major);
+    if (!step) throw new Error(`No migration from export version ${current.version}`);
+    current = step.migrate(current);
+    const next = majorVersion(current.version);
+    if (next <= major) throw new Error(`Migration from export version ${major} did not advance`);
+    major = next;
+  }
+  // Same-major files can still carry {} thumbnails
+  if (Array.isArray(current.stores?.photos)) {
+    current = { ...current, stores: { ...current.stores, photos: current.stores.photos.map(photoMetadata) } };
+  }
+  return current;
+}
+
+/* =============================
+   Validation
+   Minimal JSON schema interpreter covering the keywords used by export-schema.json
+   ============================= */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  const path = schema.$ref.replace(/^#\//, '').split('/');
+  return path.reduce((node, key) => node[key], root);
+}
+
+function validateNode(value, rawSchema, path, root, errors) {
+  const schema = resolveRef(rawSchema, root);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, index) => validateNode(entry, schema.items, `${path}[${index}]`, root, errors));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    });
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) return;
+      if (properties[key]) {
+        validateNode(value[key], properties[key], childPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate data.json (already migrated) against the export schema
+ * @param {object} data - Export data in the current format
+ * @returns {Promise<Array<{path: string, message: string}>>} Field-level errors, empty when valid
+ */
+export async function validateExport(data) {
+  const schema = await loadExportSchema();
+  const errors = [];
+  validateNode(data, schema, '', schema, errors);
+  return errors;
+}
+
+/**
+ * Format validation errors as "path: message" strings
+ */
+export function formatExportErrors(errors) {
+  return errors.map(e => `${e.path || '(root)'}: ${e.message}`);
+}
+
+/**
+ * Migrate and validate a parsed export, throwing with field-level errors when invalid
+ * @param {object} data - Parsed data.json of any supported version
+ * @returns {Promise<object>} Data in the current format
+ */
+export async function prepareExportData(data) {
+  const migrated = migrateExport(data);
+  const errors = await validateExport(migrated);
+  if (errors.length > 0) {
+    const err = new Error('Export file does not match the export format');
+    err.errors = formatExportErrors(errors);
+    throw err;
+  }
+  return migrated;
+}
@@ -0,0 +1,152 @@
+/* =============================
+   Backups Feature
+   Settings and snapshot list for automatic local backups
+   ============================= */
+
+import { el, escapeHtml, formatDate } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import {
+  BACKUP_INTERVALS,
+  SNAPSHOT_REASONS,
+  getBackupSettings,
+  saveBackupSettings,
+  getSnapshots,
+  createSnapshot,
+  downloadSnapshot,
+  restoreSnapshot,
+  removeSnapshot
+} from '../backupManager.js';
+
+const CHANGE_THRESHOLDS = [0, 10, 25, 50, 100];
+const RETENTION_OPTIONS = [3, 7, 14, 30];
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function setStatus(message) {
+  el('backupsStatus').textContent = message;
+}
+
+function renderSettings() {
+  const settings = getBackupSettings();
+  el('autoBackupToggle').checked = settings.enabled;
+  el('autoBackupInterval').innerHTML = Object.entries(BACKUP_INTERVALS).map(([key, info]) =>
+    `<option value="${key}" ${key === settings.interval ? 'selected' : ''}>${info.label}</option>`
+  ).join('');
+  el('autoBackupChanges').innerHTML = CHANGE_THRESHOLDS.map(n =>
+    `<option value="${n}" ${n === Number(settings.changeThreshold) ? 'selected' : ''}>${n === 0 ? 'Off' : `Every ${n} changes`}</option>`
+  ).join('');
+  el('autoBackupRetention').innerHTML = RETENTION_OPTIONS.map(n =>
+    `<option value="${n}" ${n === Number(settings.retention) ? 'selected' : ''}>Keep last ${n}</option>`
+  ).join('');
+}
+
+async function renderSnapshots() {
+  const container = el('snapshotList');
+  const snapshots = await getSnapshots();
+  if (snapshots.length === 0) {
+    container.innerHTML = '<div class="muted">No backups yet.</div>';
+    return;
+  }
+
+  container.innerHTML = snapshots.map(snapshot => {
+    const counts = snapshot.counts || {};
+    const details = [
+      `${counts.items || 0} items`,
+      `${counts.places || 0} places`,
+      `${counts.photos || 0} photos`,
+      formatSize(snapshot.size || 0)
+    ].join(' · ');
+    return `
+      <div class="snapshot-entry" data-id="${snapshot.id}">
+        <div class="snapshot-info">
+          <div class="snapshot-date">${escapeHtml(formatDate(snapshot.createdAt))}</div>
+          <div class="snapshot-details">${escapeHtml(details)}</div>
+          <div class="snapshot-reason">${escapeHtml(SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason || '')}</div>
+        </div>
+        <div class="snapshot-actions">
+          <button class="btn snapshot-restore" data-id="${snapshot.id}">Restore</button>
+          <button class="btn snapshot-download" data-id="${snapshot.id}" aria-label="Download">⬇</button>
+          <button class="btn snapshot-delete" data-id="${snapshot.id}" aria-label="Delete">✕</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+async function handleSnapshotAction(e) {
+  const btn = e.target.closest('button[data-id]');
+  if (!btn) return;
+  const id = Number(btn.dataset.id);
+
+  try {
+    if (btn.classList.contains('snapshot-download')) {
+      await downloadSnapshot(id);
+    } else if (btn.classList.contains('snapshot-delete')) {
+      if (!confirm('Delete this backup?')) return;
+      await removeSnapshot(id);
+      await renderSnapshots();
+    } else if (btn.classList.contains('snapshot-restore')) {
+      if (!confirm('Restore this backup?\n\nAll current items, places, photos and item types will be replaced. A backup of the current data is taken first.')) {
+        return;
+      }
+      setStatus('Restoring…');
+      const counts = await restoreSnapshot(id);
+      setStatus(`Restored ${counts.items} items, ${counts.places} places, ${counts.photos} photos.`);
+      await renderSnapshots();
+      window.dispatchEvent(new CustomEvent('data-restored'));
+    }
+  } catch (err) {
+    console.error('Backup action failed:', err, err.errors);
+    setStatus(`Failed: ${err.message}`);
+  }
+}
+
+/**
+ * Open the Backups modal
+ */
+export async function showBackups() {
+  setStatus('');
+  renderSettings();
+  openModal('backupsModal');
+  await renderSnapshots();
+}
+
+/**
+ * Wire up the Backups modal controls (called once on startup)
+ */
+export function initBackups() {
+  if (!el('backupsModal')) return;
+
+  el('autoBackupToggle').addEventListener('change', (e) => saveBackupSettings({ enabled: e.target.checked }));
+  el('autoBackupInterval').addEventListener('change', (e) => saveBackupSettings({ interval: e.target.value }));
+  el('autoBackupChanges').addEventListener('change', (e) => saveBackupSettings({ changeThreshold: Number(e.target.value) }));
+  el('autoBackupRetention').addEventListener('change', async (e) => {
+    await saveBackupSettings({ retention: Number(e.target.value) });
+    await renderSnapshots();
+  });
+
+  el('backupNowBtn').addEventListener('click', async () => {
+    el('backupNowBtn').disabled = true;
+    setStatus('Creating backup…');
+    try {
+      await createSnapshot('manual');
+      setStatus('Backup created.');
+      await renderSnapshots();
+    } catch (err) {
+      console.error('Backup failed:', err);
+      setStatus('Backup failed.');
+    } finally {
+      el('backupNowBtn').disabled = false;
+    }
+  });
+
+  el('snapshotList').addEventListener('click', handleSnapshotAction);
+
+  el('backBackupsBtn').addEventListener('click', () => closeModal('backupsModal'));
+  el('backupsModal').addEventListener('click', (e) => {
+    if (e.target === el('backupsModal')) closeModal('backupsModal');
+  });
+}
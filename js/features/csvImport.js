@@ -0,0 +1,178 @@
+/* =============================
+   CSV Import Wizard
+   Pick the item type, map CSV columns to fields, preview rows, then import
+   ============================= */
+
+import { el, escapeHtml } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import { listAllItemTypes } from '../db.js';
+import { parseCsv, getTypeColumns, guessColumnMapping, buildCsvItems, importCsvItems } from '../csvManager.js';
+
+const PREVIEW_ROWS = 20;
+
+let wizardState = null; // { headers, rows, itemTypes, itemType, mapping, drafts, resolve }
+
+function guessItemType(fileName, itemTypes) {
+  const base = String(fileName || '').toLowerCase().replace(/\.csv$/, '');
+  return itemTypes.find(t => t.key === base || t.label.toLowerCase() === base) || itemTypes[0];
+}
+
+function renderTypeSelect() {
+  const { itemTypes, itemType } = wizardState;
+  el('csvImportType').innerHTML = itemTypes.map(t =>
+    `<option value="${escapeHtml(t.key)}" ${t.key === itemType.key ? 'selected' : ''}>${escapeHtml(t.icon || '')} ${escapeHtml(t.label)}</option>`
+  ).join('');
+}
+
+function renderMapping() {
+  const { headers, itemType, mapping } = wizardState;
+  const columns = getTypeColumns(itemType);
+  el('csvImportMapping').innerHTML = headers.map((header, index) => {
+    const options = ['<option value="">-- Ignore --</option>', ...columns.map(c =>
+      `<option value="${escapeHtml(c.key)}" ${mapping[index] === c.key ? 'selected' : ''}>${escapeHtml(c.header)}</option>`
+    )].join('');
+    return `
+      <div class="csv-mapping-row">
+        <span class="csv-mapping-header" title="${escapeHtml(header)}">${escapeHtml(header || `Column ${index + 1}`)}</span>
+        <span class="csv-mapping-arrow">→</span>
+        <select class="csv-mapping-select" data-index="${index}">${options}</select>
+      </div>`;
+  }).join('');
+
+  el('csvImportMapping').querySelectorAll('.csv-mapping-select').forEach(select => {
+    select.addEventListener('change', () => {
+      const index = Number(select.dataset.index);
+      // A field can only be fed by one column
+      if (select.value) {
+        wizardState.mapping = wizardState.mapping.map((key, i) => (i !== index && key === select.value ? '' : key));
+      }
+      wizardState.mapping[index] = select.value;
+      renderMapping();
+      renderPreview();
+    });
+  });
+}
+
+function renderPreview() {
+  const { rows, itemType, mapping } = wizardState;
+  wizardState.drafts = buildCsvItems(rows, mapping, itemType);
+  const { drafts } = wizardState;
+
+  const columns = getTypeColumns(itemType).filter(c => mapping.includes(c.key));
+  const ready = drafts.filter(d => d.errors.length === 0).length;
+  const skipped = drafts.length - ready;
+  const withWarnings = drafts.filter(d => d.errors.length === 0 && d.warnings.length > 0).length;
+
+  el('csvImportSummary').innerHTML = `
+    <strong>${ready}</strong> of ${drafts.length} row(s) ready to import
+    ${skipped > 0 ? `· <span class="csv-error-text">${skipped} will be skipped</span>` : ''}
+    ${withWarnings > 0 ? `· <span class="csv-warning-text">${withWarnings} with warnings</span>` : ''}`;
+
+  if (columns.length === 0) {
+    el('csvImportPreview').innerHTML = '<div class="muted">Map at least one column to preview rows.</div>';
+    el('applyCsvImportBtn').disabled = true;
+    return;
+  }
+
+  const headerRow = columns.map(c => `<th>${escapeHtml(c.header)}</th>`).join('');
+  const bodyRows = drafts.slice(0, PREVIEW_ROWS).map(draft => {
+    const cells = columns.map(c => {
+      let value = draft.item[c.key];
+      if (c.key === 'places') value = draft.placeNames.join(', ');
+      if (c.key === 'barcodes') value = draft.item.barcodes.join(', ');
+      return `<td>${escapeHtml(value === undefined ? '' : String(value))}</td>`;
+    }).join('');
+    const problems = [...draft.errors, ...draft.warnings];
+    const rowClass = draft.errors.length > 0 ? 'csv-row-error' : (draft.warnings.length > 0 ? 'csv-row-warning' : '');
+    return `<tr class="${rowClass}" title="${escapeHtml(problems.join('\n'))}">${cells}</tr>`;
+  }).join('');
+
+  el('csvImportPreview').innerHTML = `
+    <div class="csv-preview-scroll">
+      <table class="csv-preview-table">
+        <thead><tr>${headerRow}</tr></thead>
+        <tbody>${bodyRows}</tbody>
+      </table>
+    </div>
+    ${drafts.length > PREVIEW_ROWS ? `<div class="muted csv-preview-more">…and ${drafts.length - PREVIEW_ROWS} more row(s)</div>` : ''}`;
+  el('applyCsvImportBtn').disabled = ready === 0;
+}
+
+function finishWizard(result) {
+  const { resolve } = wizardState;
+  wizardState = null;
+  closeModal('csvImportModal');
+  resolve(result);
+}
+
+/**
+ * Open the CSV import wizard for a file
+ * @param {File} file - CSV file
+ * @returns {Promise<object|null>} Import result ({ added, skipped, placesCreated }) or null if cancelled
+ */
+export async function openCsvImportWizard(file) {
+  const table = parseCsv(await file.text());
+  if (table.length < 2) throw new Error('The CSV file has no data rows');
+
+  const itemTypes = (await listAllItemTypes()).sort((a, b) => (a.rank || 999) - (b.rank || 999));
+  if (itemTypes.length === 0) throw new Error('No item types defined');
+
+  const [headers, ...rows] = table;
+  const itemType = guessItemType(file.name, itemTypes);
+
+  return new Promise(resolve => {
+    wizardState = {
+      headers,
+      rows,
+      itemTypes,
+      itemType,
+      mapping: guessColumnMapping(headers, getTypeColumns(itemType)),
+      drafts: [],
+      resolve
+    };
+    el('csvImportFileName').textContent = `${file.name} · ${rows.length} row(s)`;
+    el('csvImportStatus').textContent = '';
+    renderTypeSelect();
+    renderMapping();
+    renderPreview();
+    openModal('csvImportModal');
+  });
+}
+
+/**
+ * Wire up the wizard's static controls (called once on startup)
+ */
+export function initCsvImport() {
+  if (!el('csvImportModal')) return;
+
+  el('csvImportType').addEventListener('change', (e) => {
+    if (!wizardState) return;
+    wizardState.itemType = wizardState.itemTypes.find(t => t.key === e.target.value) || wizardState.itemType;
+    wizardState.mapping = guessColumnMapping(wizardState.headers, getTypeColumns(wizardState.itemType));
+    renderMapping();
+    renderPreview();
+  });
+
+  el('applyCsvImportBtn').addEventListener('click', async () => {
+    if (!wizardState) return;
+    el('applyCsvImportBtn').disabled = true;
+    el('csvImportStatus').textContent = 'Importing…';
+    try {
+      const result = await importCsvItems(wizardState.drafts);
+      finishWizard(result);
+    } catch (err) {
+      console.error('CSV import failed:', err);
+      el('csvImportStatus').textContent = 'Import stopped by an error; rows before it were imported.';
+      el('applyCsvImportBtn').disabled = false;
+    }
+  });
+
+  const cancel = () => {
+    if (wizardState) finishWizard(null);
+  };
+  el('cancelCsvImportBtn').addEventListener('click', cancel);
+  el('backCsvImportBtn').addEventListener('click', cancel);
+  el('csvImportModal').addEventListener('click', (e) => {
+    if (e.target === el('csvImportModal')) cancel();
+  });
+}
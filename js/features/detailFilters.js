@@ -0,0 +1,203 @@
+/* =============================
+   Date and Presence Filters
+   - Added / Updated date ranges (createdAt, updatedAt), with quick ranges ("This month")
+   - With / without toggles for photos, barcodes, places, notes and pairings, to find items
+     that still need cleaning up ("items without photos")
+   The state lives in the filters (filters.js):
+   dates: { createdAt: { from, to } } - local days as 'YYYY-MM-DD', both inclusive, either may be null
+   presence: { photos: true | false } - true = has some, false = has none, missing = either
+   ============================= */
+
+import { escapeHtml } from '../utils.js';
+
+export const DATE_FILTERS = [
+  { key: 'createdAt', label: 'Added' },
+  { key: 'updatedAt', label: 'Updated' }
+];
+
+export const PRESENCE_FILTERS = [
+  { key: 'photos', label: 'Photos', has: item => (item.photos || []).length > 0 },
+  { key: 'barcodes', label: 'Barcodes', has: item => (item.barcodes || []).length > 0 },
+  { key: 'places', label: 'Places', has: item => (item.places || []).length > 0 },
+  { key: 'notes', label: 'Notes', has: item => String(item.notes || '').trim() !== '' },
+  { key: 'pairings', label: 'Pairings', has: item => (item.pairings?.good || []).length + (item.pairings?.bad || []).length > 0 }
+];
+
+/* ===== Dates ===== */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDayBound(value) {
+  return value === null || value === undefined || (typeof value === 'string' && DAY_PATTERN.test(value));
+}
+
+/**
+ * Whether a date range has usable bounds: 'YYYY-MM-DD' days or null
+ * Ranges can come from outside the app (imported saved searches, links)
+ */
+export function isValidDateRange(range) {
+  return Boolean(range) && typeof range === 'object' && !Array.isArray(range) && isDayBound(range.from) && isDayBound(range.to);
+}
+
+/**
+ * The active date ranges with valid bounds (see isValidDateRange); the others are dropped
+ */
+export function validDateFilters(dates) {
+  const valid = {};
+  DATE_FILTERS.forEach(({ key }) => {
+    if (isValidDateRange(dates?.[key]) && isDateFilterActive(dates[key])) valid[key] = { from: dates[key].from || null, to: dates[key].to || null };
+  });
+  return valid;
+}
+
+// Local day as 'YYYY-MM-DD' (what date inputs use)
+function toDay(date) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+function dayStart(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).getTime();
+}
+
+function nextDayStart(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date + 1).getTime();
+}
+
+const QUICK_RANGES = [
+  { label: 'Any time', range: () => ({ from: null, to: null }) },
+  {
+    label: 'Last 7 days',
+    range: () => {
+      const now = new Date();
+      return { from: toDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6)), to: null };
+    }
+  },
+  {
+    label: 'This month',
+    range: () => {
+      const now = new Date();
+      return { from: toDay(new Date(now.getFullYear(), now.getMonth(), 1)), to: null };
+    }
+  },
+  {
+    label: 'This year',
+    range: () => ({ from: toDay(new Date(new Date().getFullYear(), 0, 1)), to: null })
+  }
+];
+
+/**
+ * Whether a date range narrows anything
+ */
+export function isDateFilterActive(range) {
+  return Boolean(range && (range.from || range.to));
+}
+
+/**
+ * Short description of a date range, e.g. "since 2026-10-01"
+ */
+export function describeDateRange(range) {
+  if (range.from && range.to) return range.from === range.to ? `on ${range.from}` : `${range.from} – ${range.to}`;
+  return range.from ? `since ${range.from}` : `until ${range.to}`;
+}
+
+/**
+ * Whether an item passes the date ranges and presence toggles
+ * Items without the date (added before it was recorded) don't pass a date range
+ */
+export function matchesDetailFilters(item, dates, presence) {
+  const datesMatch = DATE_FILTERS.every(({ key }) => {
+    const range = dates?.[key];
+    if (!isDateFilterActive(range)) return true;
+    const time = Number(item[key]);
+    if (!time) return false;
+    return (!range.from || time >= dayStart(range.from)) && (!range.to || time < nextDayStart(range.to));
+  });
+  if (!datesMatch) return false;
+
+  return PRESENCE_FILTERS.every(({ key, has }) => {
+    const wanted = presence?.[key];
+    return typeof wanted !== 'boolean' || has(item) === wanted;
+  });
+}
+
+/**
+ * Render the Added / Updated date ranges
+ * @param {HTMLElement} container
+ * @param {object} dates - Date filter state, changed in place
+ * @param {Function} onChange - Called after a range changed
+ */
+export function renderDateFilters(container, dates, onChange) {
+  if (!container) return;
+  container.innerHTML = DATE_FILTERS.map(({ key, label }) => {
+    const range = dates[key] || {};
+    return `
+      <div class="field-filter date-filter" data-key="${key}">
+        <div class="field-filter-label">${escapeHtml(label)}</div>
+        <div class="date-filter-inputs">
+          <input type="date" class="filter-place-input" data-bound="from" value="${escapeHtml(range.from || '')}" ${range.to ? `max="${escapeHtml(range.to)}"` : ''} aria-label="${escapeHtml(label)} from">
+          <span class="date-filter-separator">–</span>
+          <input type="date" class="filter-place-input" data-bound="to" value="${escapeHtml(range.to || '')}" ${range.from ? `min="${escapeHtml(range.from)}"` : ''} aria-label="${escapeHtml(label)} until">
+        </div>
+        <div class="field-filter-options">
+          ${QUICK_RANGES.map((quick, index) => `<button type="button" class="field-filter-option" data-quick="${index}">${quick.label}</button>`).join('')}
+        </div>
+      </div>`;
+  }).join('');
+
+  const setRange = (key, range) => {
+    if (isDateFilterActive(range) && isValidDateRange(range)) dates[key] = range;
+    else delete dates[key];
+    renderDateFilters(container, dates, onChange);
+    onChange();
+  };
+
+  container.querySelectorAll('.date-filter').forEach(block => {
+    const key = block.getAttribute('data-key');
+    const fromInput = block.querySelector('[data-bound="from"]');
+    const toInput = block.querySelector('[data-bound="to"]');
+    [fromInput, toInput].forEach(input => {
+      input.onchange = () => setRange(key, { from: fromInput.value || null, to: toInput.value || null });
+    });
+    block.querySelectorAll('[data-quick]').forEach(btn => {
+      btn.onclick = () => setRange(key, QUICK_RANGES[Number(btn.getAttribute('data-quick'))].range());
+    });
+  });
+}
+
+/* ===== Presence ===== */
+
+/**
+ * Render the Any / With / Without toggles
+ * @param {HTMLElement} container
+ * @param {object} presence - Presence filter state, changed in place
+ * @param {Function} onChange - Called after a toggle changed
+ */
+export function renderPresenceFilters(container, presence, onChange) {
+  if (!container) return;
+  const option = (key, value, text) => {
+    const current = typeof presence[key] === 'boolean' ? String(presence[key]) : 'any';
+    return `<button type="button" class="presence-filter-option${current === value ? ' active' : ''}" data-value="${value}">${text}</button>`;
+  };
+  container.innerHTML = PRESENCE_FILTERS.map(({ key, label }) => `
+    <div class="presence-filter" data-key="${key}">
+      <span class="presence-filter-label">${escapeHtml(label)}</span>
+      <div class="presence-filter-options" role="group" aria-label="${escapeHtml(label)}">
+        ${option(key, 'any', 'Any')}${option(key, 'true', 'With')}${option(key, 'false', 'Without')}
+      </div>
+    </div>`).join('');
+
+  container.querySelectorAll('.presence-filter').forEach(row => {
+    const key = row.getAttribute('data-key');
+    row.querySelectorAll('.presence-filter-option').forEach(btn => {
+      btn.onclick = () => {
+        const value = btn.getAttribute('data-value');
+        if (value === 'any') delete presence[key];
+        else presence[key] = value === 'true';
+        renderPresenceFilters(container, presence, onChange);
+        onChange();
+      };
+    });
+  });
+}
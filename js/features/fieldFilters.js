@@ -0,0 +1,299 @@
+/* =============================
+   Dynamic Field Filters
+   Filter controls generated from the fields of the selected item types:
+   - enum fields (milk, texture...): pick any of the options
+   - string fields (country, brewery...): search values, with suggestions from existing items
+   - number fields (vintage, ABV...): min/max range sliders bounded by the existing values
+   The state lives in the filters (filters.js) as { [fieldName]: filter }, where a filter is
+   { kind: 'enum' | 'string', values: [] } or { kind: 'number', min, max } (null = no bound).
+   ============================= */
+
+import { escapeHtml } from '../utils.js';
+import { getConfig } from '../config.js';
+import { listAll } from '../db.js';
+import { normalizeSearchText } from '../searchIndex.js';
+
+const MAX_SUGGESTIONS = 8;
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Fields of the given item types, merged by name
+ * A field keeps its kind only if it has the same kind in every type; otherwise it is searched as text
+ * @param {Array<string>} typeKeys
+ * @returns {Array<{name: string, label: string, type: string, options: Array<string>}>}
+ */
+export function getFilterableFields(typeKeys) {
+  const config = getConfig();
+  const fields = new Map();
+  typeKeys.forEach(typeKey => {
+    (config[typeKey]?.fields || []).forEach(field => {
+      const type = field.type || 'string';
+      const existing = fields.get(field.name);
+      if (!existing) {
+        fields.set(field.name, { name: field.name, label: field.label || field.name, type, options: [...(field.options || [])] });
+        return;
+      }
+      if (existing.type !== type) existing.type = 'string';
+      existing.options = [...new Set([...existing.options, ...(field.options || [])])];
+    });
+  });
+  return [...fields.values()];
+}
+
+const FIELD_FILTER_KINDS = ['enum', 'string', 'number'];
+const isBound = value => value === null || value === undefined || Number.isFinite(value);
+
+/**
+ * Whether a field filter has the shape the panel builds (filters can come from links and imports)
+ */
+export function isValidFieldFilter(filter) {
+  return Boolean(filter) && typeof filter === 'object' && !Array.isArray(filter) &&
+    FIELD_FILTER_KINDS.includes(filter.kind) &&
+    (filter.values === undefined || (Array.isArray(filter.values) && filter.values.every(v => typeof v === 'string'))) &&
+    isBound(filter.min) && isBound(filter.max);
+}
+
+/**
+ * Whether a field filter narrows anything
+ */
+export function isFieldFilterActive(filter) {
+  if (!filter) return false;
+  if (filter.kind === 'number') return hasValue(filter.min) || hasValue(filter.max);
+  return Array.isArray(filter.values) && filter.values.length > 0;
+}
+
+/**
+ * Whether an item passes every active field filter
+ * Items without a value for a filtered field don't; text matches ignore case and accents
+ */
+export function matchesFieldFilters(item, fieldFilters) {
+  return Object.entries(fieldFilters || {}).every(([name, filter]) => {
+    if (!isFieldFilterActive(filter)) return true;
+    const value = item[name];
+    if (!hasValue(value)) return false;
+    if (filter.kind === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) return false;
+      return (!hasValue(filter.min) || number >= filter.min) && (!hasValue(filter.max) || number <= filter.max);
+    }
+    const text = normalizeSearchText(value);
+    if (filter.kind === 'enum') return filter.values.some(v => normalizeSearchText(v) === text);
+    return filter.values.some(v => text.includes(normalizeSearchText(v)));
+  });
+}
+
+/**
+ * Drop the filters of fields the given types don't have
+ */
+export function pruneFieldFilters(fieldFilters, typeKeys) {
+  const available = new Set(getFilterableFields(typeKeys).map(field => field.name));
+  Object.keys(fieldFilters).forEach(name => {
+    if (!available.has(name)) delete fieldFilters[name];
+  });
+}
+
+/* ===== Controls ===== */
+
+function setFilter(fieldFilters, name, filter) {
+  if (isFieldFilterActive(filter)) fieldFilters[name] = filter;
+  else delete fieldFilters[name];
+}
+
+function renderEnumControl(field, filter) {
+  const selected = filter?.values || [];
+  return `
+    <div class="field-filter-options">
+      ${field.options.map(option => `
+        <label class="field-filter-option">
+          <input type="checkbox" value="${escapeHtml(option)}" ${selected.includes(option) ? 'checked' : ''}>
+          <span>${escapeHtml(option)}</span>
+        </label>`).join('')}
+    </div>`;
+}
+
+function renderStringControl(field, filter) {
+  const tags = (filter?.values || []).map(value => `
+    <div class="filter-place-tag">
+      <span class="filter-place-tag-name">${escapeHtml(value)}</span>
+      <button class="filter-place-tag-remove" data-value="${escapeHtml(value)}" type="button" aria-label="Remove ${escapeHtml(value)}">×</button>
+    </div>`).join('');
+  return `
+    <div class="field-filter-search">
+      <input type="text" class="filter-place-input" placeholder="Search ${escapeHtml(field.label.toLowerCase())}..." autocomplete="off">
+      <div class="filter-place-dropdown"></div>
+    </div>
+    ${tags ? `<div class="filter-place-tags field-filter-tags">${tags}</div>` : ''}`;
+}
+
+// Slider bounds from the existing values (whole numbers when every value is one)
+function numberBounds(values) {
+  if (values.length === 0) return null;
+  const integers = values.every(Number.isInteger);
+  const step = integers ? 1 : 0.1;
+  const lo = integers ? Math.min(...values) : Math.floor(Math.min(...values));
+  const hi = integers ? Math.max(...values) : Math.ceil(Math.max(...values));
+  return lo === hi ? null : { lo, hi, step };
+}
+
+function rangeLabel(min, max) {
+  return `${min} – ${max}`;
+}
+
+function renderNumberControl(field, filter, bounds) {
+  if (!bounds) return '<div class="filter-empty-state">Not enough values to filter by</div>';
+  const min = hasValue(filter?.min) ? filter.min : bounds.lo;
+  const max = hasValue(filter?.max) ? filter.max : bounds.hi;
+  const attrs = `min="${bounds.lo}" max="${bounds.hi}" step="${bounds.step}"`;
+  return `
+    <div class="field-filter-range">
+      <input type="range" ${attrs} value="${min}" data-bound="min" aria-label="Minimum ${escapeHtml(field.label)}">
+      <input type="range" ${attrs} value="${max}" data-bound="max" aria-label="Maximum ${escapeHtml(field.label)}">
+      <div class="field-filter-range-value">${rangeLabel(min, max)}</div>
+    </div>`;
+}
+
+// Distinct values of a text field, most used first
+function valueSuggestions(items, name) {
+  const counts = new Map();
+  items.forEach(item => {
+    if (!hasValue(item[name])) return;
+    const value = String(item[name]).trim();
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([value]) => value);
+}
+
+function bindEnumControl(block, field, fieldFilters, onChange) {
+  block.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.onchange = () => {
+      const values = [...block.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+      setFilter(fieldFilters, field.name, { kind: 'enum', values });
+      onChange();
+    };
+  });
+}
+
+function bindStringControl(block, field, fieldFilters, suggestions, onChange) {
+  const input = block.querySelector('.filter-place-input');
+  const dropdown = block.querySelector('.filter-place-dropdown');
+  const values = () => fieldFilters[field.name]?.values || [];
+
+  const addValue = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed || values().some(v => v.toLowerCase() === trimmed.toLowerCase())) return;
+    setFilter(fieldFilters, field.name, { kind: 'string', values: [...values(), trimmed] });
+    onChange({ rerender: true });
+  };
+
+  const showSuggestions = () => {
+    const query = normalizeSearchText(input.value.trim());
+    const matches = suggestions
+      .filter(value => !values().includes(value) && normalizeSearchText(value).includes(query))
+      .slice(0, MAX_SUGGESTIONS);
+    dropdown.innerHTML = matches.length === 0
+      ? '<div class="filter-empty-state">No matching values</div>'
+      : matches.map(value => `<div class="filter-place-dropdown-item" data-value="${escapeHtml(value)}"><span class="filter-place-dropdown-name">${escapeHtml(value)}</span></div>`).join('');
+    dropdown.classList.add('active');
+    dropdown.querySelectorAll('.filter-place-dropdown-item').forEach(option => {
+      option.onclick = () => addValue(option.getAttribute('data-value'));
+    });
+  };
+
+  input.onfocus = showSuggestions;
+  input.oninput = showSuggestions;
+  input.onkeydown = (e) => {
+    if (e.key === 'Enter') addValue(input.value);
+    if (e.key === 'Escape') dropdown.classList.remove('active');
+  };
+  input.onblur = () => setTimeout(() => dropdown.classList.remove('active'), 150);
+
+  block.querySelectorAll('.filter-place-tag-remove').forEach(btn => {
+    btn.onclick = () => {
+      const removed = btn.getAttribute('data-value');
+      setFilter(fieldFilters, field.name, { kind: 'string', values: values().filter(v => v !== removed) });
+      onChange({ rerender: true });
+    };
+  });
+}
+
+function bindNumberControl(block, field, fieldFilters, bounds, onChange) {
+  const minInput = block.querySelector('[data-bound="min"]');
+  const maxInput = block.querySelector('[data-bound="max"]');
+  if (!minInput || !maxInput) return;
+  const label = block.querySelector('.field-filter-range-value');
+
+  const update = (moved) => {
+    // The handles can't cross
+    if (Number(minInput.value) > Number(maxInput.value)) {
+      if (moved === minInput) maxInput.value = minInput.value;
+      else minInput.value = maxInput.value;
+    }
+    label.textContent = rangeLabel(minInput.value, maxInput.value);
+  };
+  [minInput, maxInput].forEach(input => {
+    input.oninput = () => update(input);
+    input.onchange = () => {
+      const min = Number(minInput.value);
+      const max = Number(maxInput.value);
+      // A handle at the end of the scale means no bound on that side
+      setFilter(fieldFilters, field.name, {
+        kind: 'number',
+        min: min > bounds.lo ? min : null,
+        max: max < bounds.hi ? max : null
+      });
+      onChange();
+    };
+  });
+}
+
+/**
+ * Render the filter controls for the fields of the selected types
+ * @param {HTMLElement} container
+ * @param {Array<string>} typeKeys - Selected item types
+ * @param {object} fieldFilters - Field filter state, changed in place
+ * @param {Function} onChange - Called after a filter changed
+ */
+export async function renderFieldFilters(container, typeKeys, fieldFilters, onChange) {
+  if (!container) return;
+  if (typeKeys.length === 0) {
+    container.innerHTML = '<div class="filter-empty-state">Select a type to filter by its fields (country, vintage...)</div>';
+    return;
+  }
+  const fields = getFilterableFields(typeKeys);
+  if (fields.length === 0) {
+    container.innerHTML = '<div class="filter-empty-state">The selected types have no fields</div>';
+    return;
+  }
+
+  const items = (await listAll()).filter(item => typeKeys.includes(item.type));
+  const numberValues = (name) => items.map(item => item[name]).filter(hasValue).map(Number).filter(n => !Number.isNaN(n));
+
+  const blocks = fields.map(field => {
+    const filter = fieldFilters[field.name];
+    let control;
+    if (field.type === 'enum' && field.options.length > 0) control = renderEnumControl(field, filter);
+    else if (field.type === 'number') control = renderNumberControl(field, filter, numberBounds(numberValues(field.name)));
+    else control = renderStringControl(field, filter);
+    return `
+      <div class="field-filter" data-field="${escapeHtml(field.name)}">
+        <div class="field-filter-label">${escapeHtml(field.label)}</div>
+        ${control}
+      </div>`;
+  });
+  container.innerHTML = blocks.join('');
+
+  const rerender = () => renderFieldFilters(container, typeKeys, fieldFilters, onChange);
+  const changed = (options = {}) => {
+    onChange();
+    if (options.rerender) rerender();
+  };
+  fields.forEach((field, index) => {
+    const block = container.children[index];
+    if (field.type === 'enum' && field.options.length > 0) bindEnumControl(block, field, fieldFilters, changed);
+    else if (field.type === 'number') bindNumberControl(block, field, fieldFilters, numberBounds(numberValues(field.name)), changed);
+    else bindStringControl(block, field, fieldFilters, valueSuggestions(items, field.name), changed);
+  });
+}
@@ -6,6 +6,8 @@ import { el } from '../utils.js';
 import { getConfig } from '../config.js';
 import { getAllPlaces, searchPlaces } from '../models/places.js';
 import { renderStars, setupStarRating } from '../components/rating.js';
+import { renderFieldFilters, matchesFieldFilters, isFieldFilterActive, isValidFieldFilter, pruneFieldFilters } from './fieldFilters.js';
+import { renderDateFilters, renderPresenceFilters, matchesDetailFilters, isDateFilterActive, isValidDateRange, validDateFilters } from './detailFilters.js';
 
 // Current filter state
 let currentFilters = {
@@ -13,7 +15,10 @@ let currentFilters = {
   subTypes: [], // Array of selected sub-type strings (format: "type:subtype")
   places: [], // Array of selected place IDs
   minRating: 0,
-  maxRating: 5
+  maxRating: 5,
+  fields: {}, // Filters on the selected types' fields, by field name (see fieldFilters.js)
+  dates: {}, // Added / updated date ranges (see detailFilters.js)
+  presence: {} // With / without photos, barcodes, places, notes, pairings (see detailFilters.js)
 };
 
 export function clearAllFilters() {
@@ -22,10 +27,57 @@ export function clearAllFilters() {
     subTypes: [],
     places: [],
     minRating: 0,
-    maxRating: 5
+    maxRating: 5,
+    fields: {},
+    dates: {},
+    presence: {}
   };
 }
 
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+const isRating = value => Number.isFinite(value) && value >= 0 && value <= 5;
+const isEntryMap = check => value => isPlainObject(value) && Object.values(value).every(check);
+
+// What each filter value looks like (see fieldFilters.js and detailFilters.js for the maps)
+const FILTER_CHECKS = {
+  types: isStringList,
+  subTypes: isStringList,
+  places: value => Array.isArray(value) && value.every(id => Number.isInteger(id) && id > 0),
+  minRating: isRating,
+  maxRating: isRating,
+  fields: isEntryMap(isValidFieldFilter),
+  dates: isEntryMap(isValidDateRange),
+  presence: isEntryMap(wanted => typeof wanted === 'boolean')
+};
+
+/**
+ * Get a copy of the current filter state (saved with a search preset)
+ */
+export function getFilterState() {
+  return JSON.parse(JSON.stringify(currentFilters));
+}
+
+/**
+ * Replace the filter state, e.g. with the filters of a saved search
+ * Filters missing from the state are cleared
+ */
+export async function setFilterState(filters) {
+  clearAllFilters();
+  Object.keys(currentFilters).forEach(key => {
+    const value = filters?.[key];
+    if (value === undefined) return;
+    // Links and imported presets can hold anything: values of the wrong shape keep the default
+    if (FILTER_CHECKS[key](value)) currentFilters[key] = JSON.parse(JSON.stringify(value));
+    else console.warn(`Ignoring invalid ${key} filter`);
+  });
+  // Date bounds end up in the filter panel's markup: only 'YYYY-MM-DD' days are kept
+  currentFilters.dates = validDateFilters(currentFilters.dates);
+
+  await renderFilterPanel();
+  triggerFilterChange();
+}
+
 /**
  * Apply a single place filter, clearing all other filters
  */
@@ -82,6 +134,16 @@ export function applyFilters(items) {
     return rating >= currentFilters.minRating && rating <= currentFilters.maxRating;
   });
 
+  // Filter by field values
+  if (Object.keys(currentFilters.fields).length > 0) {
+    filtered = filtered.filter(item => matchesFieldFilters(item, currentFilters.fields));
+  }
+
+  // Filter by dates and presence of photos, barcodes, etc.
+  if (Object.keys(currentFilters.dates).length > 0 || Object.keys(currentFilters.presence).length > 0) {
+    filtered = filtered.filter(item => matchesDetailFilters(item, currentFilters.dates, currentFilters.presence));
+  }
+
   return filtered;
 }
 
@@ -162,6 +224,9 @@ export async function updateFilterButtonBadge() {
   if (currentFilters.subTypes.length > 0) count++;
   if (currentFilters.places.length > 0) count++;
   if (currentFilters.minRating !== 0 || currentFilters.maxRating !== 5) count++;
+  count += Object.values(currentFilters.fields).filter(isFieldFilterActive).length;
+  count += Object.values(currentFilters.dates).filter(isDateFilterActive).length;
+  count += Object.keys(currentFilters.presence).length;
 
   if (count > 0) {
     badge.textContent = count;
@@ -189,6 +254,9 @@ async function renderFilterPanel() {
   // Render sub-type multi-select dropdown
   await renderSubTypeMultiSelect(subTypeDropdownContainer);
 
+  // Render field filters for the selected types
+  await renderFieldFilterSection();
+
   // Render place search/select
   await renderPlaceSearch(placeSearchContainer);
 
@@ -196,6 +264,10 @@ async function renderFilterPanel() {
   renderStarRating(minRatingContainer, currentFilters.minRating, 'min');
   renderStarRating(maxRatingContainer, currentFilters.maxRating, 'max');
 
+  // Render date ranges and with/without toggles
+  renderDateFilters(el('dateFiltersContainer'), currentFilters.dates, triggerFilterChange);
+  renderPresenceFilters(el('presenceFiltersContainer'), currentFilters.presence, triggerFilterChange);
+
   // Update footer visibility
   updateFilterButtonBadge();
 }
@@ -288,11 +360,21 @@ async function renderTypeMultiSelect(container) {
       if (subTypeContainer) {
         renderSubTypeMultiSelect(subTypeContainer);
       }
+      // Field filters follow the selected types
+      pruneFieldFilters(currentFilters.fields, currentFilters.types);
+      renderFieldFilterSection();
       triggerFilterChange();
     };
   });
 }
 
+/**
+ * Render the field filters (enum, text and number fields of the selected types)
+ */
+async function renderFieldFilterSection() {
+  await renderFieldFilters(el('fieldFiltersContainer'), currentFilters.types, currentFilters.fields, triggerFilterChange);
+}
+
 /**
  * Render sub-type multi-select dropdown
  */
@@ -0,0 +1,247 @@
+/* =============================
+   Grouping Feature
+   Splits the All view into collapsible sections: by item type, sub-type, place, rating,
+   month added or a text/dropdown field (e.g. country or region). The choice and the
+   collapsed sections are kept in localStorage.
+   ============================= */
+
+import { el, escapeHtml } from '../utils.js';
+import { getConfig, getTypeInfo } from '../config.js';
+import { listAllPlaces } from '../models/places.js';
+
+const GROUPING_SETTINGS_KEY = 'listGrouping';
+const FIELD_PREFIX = 'field:';
+
+const BASE_OPTIONS = [
+  { key: 'none', label: 'No grouping' },
+  { key: 'type', label: 'Group: Type' },
+  { key: 'subType', label: 'Group: Sub-type' },
+  { key: 'place', label: 'Group: Place' },
+  { key: 'rating', label: 'Group: Rating' },
+  { key: 'month', label: 'Group: Month added' }
+];
+
+let groupingChangeCallback = null;
+
+/**
+ * Grouping options: the fixed ones plus every text or dropdown field (country, region...)
+ */
+export function getGroupingOptions() {
+  const fields = new Map(); // field name -> labels
+  Object.values(getConfig()).forEach(typeInfo => {
+    (typeInfo.fields || []).filter(field => field.type === 'string' || field.type === 'enum').forEach(field => {
+      if (!fields.has(field.name)) fields.set(field.name, new Set());
+      fields.get(field.name).add(field.label || field.name);
+    });
+  });
+  const fieldOptions = [...fields.entries()].map(([name, labels]) => ({
+    key: `${FIELD_PREFIX}${name}`,
+    label: `Group: ${[...labels].join(' / ')}`
+  }));
+  return [...BASE_OPTIONS, ...fieldOptions];
+}
+
+/**
+ * Get the grouping as { key, collapsed } (collapsed: ids of the folded sections)
+ */
+export function getGroupingSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GROUPING_SETTINGS_KEY) || '{}');
+    return {
+      key: typeof saved.key === 'string' ? saved.key : 'none',
+      collapsed: Array.isArray(saved.collapsed) ? saved.collapsed : []
+    };
+  } catch (e) {
+    return { key: 'none', collapsed: [] };
+  }
+}
+
+function saveGroupingSettings(settings) {
+  localStorage.setItem(GROUPING_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function setGrouping(key) {
+  // Section ids belong to one grouping
+  saveGroupingSettings({ key, collapsed: [] });
+  renderGroupingControl();
+  if (groupingChangeCallback) groupingChangeCallback(key);
+}
+
+/**
+ * Whether a section is folded (`scope` keeps sections of different groupings apart)
+ */
+export function isGroupCollapsed(scope, groupId) {
+  return getGroupingSettings().collapsed.includes(`${scope}:${groupId}`);
+}
+
+export function setGroupCollapsed(scope, groupId, collapsed) {
+  const settings = getGroupingSettings();
+  const id = `${scope}:${groupId}`;
+  const others = settings.collapsed.filter(entry => entry !== id);
+  saveGroupingSettings({ ...settings, collapsed: collapsed ? [...others, id] : others });
+}
+
+/* ===== Grouping engine =====
+   Every grouping returns sections as { id, label, items }, in display order.
+   Items without a value for the grouping go to a last "No ..." section. */
+
+/**
+ * Item type keys in the order of their rank (the order of the list and the report)
+ */
+export function typeRankOrder() {
+  const config = getConfig();
+  return Object.keys(config).sort((a, b) => (config[a].rank || 999) - (config[b].rank || 999));
+}
+
+// Collect items into sections; keyFn returns one key, several keys (array) or null
+function collect(items, keyFn) {
+  const sections = new Map();
+  const missing = [];
+  items.forEach(item => {
+    const keys = [].concat(keyFn(item) ?? []).filter(key => key !== null && key !== undefined && key !== '');
+    if (keys.length === 0) missing.push(item);
+    keys.forEach(key => {
+      if (!sections.has(key)) sections.set(key, []);
+      sections.get(key).push(item);
+    });
+  });
+  return { sections, missing };
+}
+
+function withMissing(groups, missing, label) {
+  return missing.length > 0 ? [...groups, { id: 'none', label, items: missing }] : groups;
+}
+
+const GROUPERS = {
+  type(items) {
+    const { sections } = collect(items, item => item.type);
+    const order = typeRankOrder();
+    const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+    return [...sections.keys()]
+      .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(type => {
+        const typeInfo = getTypeInfo(type);
+        return { id: type, label: `${typeInfo.icon} ${typeInfo.label}`, items: sections.get(type) };
+      });
+  },
+
+  subType(items) {
+    const { sections, missing } = collect(items, item => (item.sub_type ? `${item.type}\u0000${item.sub_type}` : null));
+    const order = typeRankOrder();
+    const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+    const groups = [...sections.keys()]
+      .map(key => key.split('\u0000'))
+      .sort(([typeA, subA], [typeB, subB]) => rank(typeA) - rank(typeB) || subA.localeCompare(subB))
+      .map(([type, subType]) => {
+        const typeInfo = getTypeInfo(type);
+        return { id: `${type}:${subType}`, label: `${typeInfo.icon} ${typeInfo.label} · ${subType}`, items: sections.get(`${type}\u0000${subType}`) };
+      });
+    return withMissing(groups, missing, 'No sub-type');
+  },
+
+  async place(items) {
+    const placeNames = new Map((await listAllPlaces()).map(place => [place.id, place.name]));
+    // An item listed at several places shows up in each of them
+    const { sections, missing } = collect(items, item => (item.places || []).filter(id => placeNames.has(id)));
+    const groups = [...sections.keys()]
+      .sort((a, b) => placeNames.get(a).localeCompare(placeNames.get(b)))
+      .map(id => ({ id: String(id), label: `📍 ${placeNames.get(id)}`, items: sections.get(id) }));
+    return withMissing(groups, missing, 'No place');
+  },
+
+  rating(items) {
+    const { sections, missing } = collect(items, item => {
+      const rating = Number(item.rating) || 0;
+      return rating > 0 ? Math.min(5, Math.floor(rating)) : null;
+    });
+    const groups = [...sections.keys()]
+      .sort((a, b) => b - a)
+      .map(stars => ({
+        id: String(stars),
+        // Half stars and tasting averages fall into the bucket of their whole stars
+        label: `${'★'.repeat(stars)}${'☆'.repeat(5 - stars)} ${stars} star${stars !== 1 ? 's' : ''}`,
+        items: sections.get(stars)
+      }));
+    return withMissing(groups, missing, 'Not rated');
+  },
+
+  month(items) {
+    const { sections, missing } = collect(items, item => {
+      if (!item.createdAt) return null;
+      const date = new Date(item.createdAt);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    });
+    const groups = [...sections.keys()]
+      .sort((a, b) => b.localeCompare(a))
+      .map(month => {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const label = new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        return { id: month, label, items: sections.get(month) };
+      });
+    return withMissing(groups, missing, 'Unknown date');
+  }
+};
+
+function groupByField(items, fieldName) {
+  // Values are grouped case-insensitively; the first spelling seen is shown
+  const labels = new Map();
+  const { sections, missing } = collect(items, item => {
+    const value = item[fieldName];
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    const key = text.toLowerCase();
+    if (!labels.has(key)) labels.set(key, text);
+    return key;
+  });
+  const groups = [...sections.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map(key => ({ id: key, label: labels.get(key), items: sections.get(key) }));
+  const option = getGroupingOptions().find(o => o.key === `${FIELD_PREFIX}${fieldName}`);
+  const fieldLabel = option ? option.label.replace(/^Group: /, '') : fieldName;
+  return withMissing(groups, missing, `No ${fieldLabel.toLowerCase()}`);
+}
+
+/**
+ * Split items into sections
+ * @param {Array} items
+ * @param {string} key - Grouping key (see getGroupingOptions)
+ * @returns {Promise<Array<{id: string, label: string, items: Array}>>}
+ */
+export async function groupItems(items, key) {
+  if (key.startsWith(FIELD_PREFIX)) return groupByField(items, key.slice(FIELD_PREFIX.length));
+  const grouper = GROUPERS[key];
+  return grouper ? grouper(items) : [{ id: 'all', label: 'All items', items }];
+}
+
+/* ===== Grouping control ===== */
+
+function renderGroupingControl() {
+  const select = el('groupSelect');
+  if (!select) return;
+  const options = getGroupingOptions();
+  const { key } = getGroupingSettings();
+  const html = options.map(option =>
+    `<option value="${escapeHtml(option.key)}">${escapeHtml(option.label)}</option>`
+  ).join('');
+  // Rebuilding the options of an opening dropdown can close it: only when they changed
+  if (select._optionsHtml !== html) {
+    select.innerHTML = html;
+    select._optionsHtml = html;
+  }
+  select.value = options.some(option => option.key === key) ? key : 'none';
+}
+
+/**
+ * Initialize the grouping control
+ * @param {Function} onGroupingChange - Called with the grouping key when it changes
+ */
+export function initGrouping(onGroupingChange) {
+  groupingChangeCallback = onGroupingChange;
+  const select = el('groupSelect');
+  if (!select) return;
+
+  renderGroupingControl();
+  // Item types (and their fields) can change while the app is open
+  select.addEventListener('focus', renderGroupingControl);
+  select.addEventListener('change', () => setGrouping(select.value));
+}
@@ -0,0 +1,132 @@
+/* =============================
+   Import Preview Feature
+   Shows the dry run of a merge import and collects a choice per conflict
+   ============================= */
+
+import { el, escapeHtml } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+
+const STORE_LABELS = {
+  itemTypes: 'Item types',
+  places: 'Places',
+  items: 'Items',
+  presets: 'Saved searches'
+};
+
+const CHOICES = [
+  { value: 'mine', label: 'Keep mine' },
+  { value: 'theirs', label: 'Take theirs' },
+  { value: 'both', label: 'Keep both' }
+];
+
+function recordLabel(entry) {
+  const record = entry.existing || entry.incoming;
+  return record.label || record.name || record.key || 'Untitled';
+}
+
+function renderSummary(plan) {
+  const rows = Object.keys(STORE_LABELS).map(storeName => {
+    const counts = plan.summary[storeName];
+    return `
+      <tr>
+        <td>${STORE_LABELS[storeName]}</td>
+        <td>${counts.new}</td>
+        <td>${counts.same}</td>
+        <td>${counts.conflict}</td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <table class="import-summary-table">
+      <thead>
+        <tr><th></th><th>New</th><th>Identical</th><th>Conflicts</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="muted import-summary-extra">
+      ${plan.summary.tastings} tasting(s) and ${plan.summary.photos} photo(s) in file
+      ${plan.summary.itemTypes.merge > 0 ? `<br>${plan.summary.itemTypes.merge} item type(s) will get the shared fields they are missing` : ''}
+    </div>`;
+}
+
+function renderConflicts(plan) {
+  if (plan.conflicts.length === 0) {
+    return '<div class="muted import-no-conflicts">No conflicts. Identical records will be skipped.</div>';
+  }
+
+  const allOptions = CHOICES.map(c => `<button class="btn import-apply-all" data-choice="${c.value}">${c.label}</button>`).join('');
+  const entries = plan.conflicts.map(entry => {
+    const options = CHOICES.map(c => `
+      <label class="import-choice">
+        <input type="radio" name="import-${escapeHtml(entry.key)}" value="${c.value}" ${c.value === 'mine' ? 'checked' : ''} />
+        <span>${c.label}</span>
+      </label>`).join('');
+    return `
+      <div class="import-conflict" data-key="${escapeHtml(entry.key)}">
+        <div class="import-conflict-title">
+          <span class="import-conflict-store">${STORE_LABELS[entry.storeName]}</span>
+          ${escapeHtml(recordLabel(entry))}
+        </div>
+        <div class="import-choices">${options}</div>
+      </div>`;
+  }).join('');
+
+  return `
+    <h3 class="import-conflicts-heading">${plan.conflicts.length} conflict(s)</h3>
+    <div class="import-apply-all-row"><span class="muted">Apply to all:</span>${allOptions}</div>
+    ${entries}`;
+}
+
+/**
+ * Show the import dry run and let the user resolve conflicts
+ * @param {object} plan - Result of planMergeImport
+ * @returns {Promise<Map<string, string>|null>} Conflict choices, or null if cancelled
+ */
+export function showImportPreview(plan) {
+  el('importPreviewSummary').innerHTML = renderSummary(plan);
+  const conflictsContainer = el('importPreviewConflicts');
+  conflictsContainer.innerHTML = renderConflicts(plan);
+
+  conflictsContainer.querySelectorAll('.import-apply-all').forEach(btn => {
+    btn.addEventListener('click', () => {
+      conflictsContainer.querySelectorAll(`input[type="radio"][value="${btn.dataset.choice}"]`).forEach(input => {
+        input.checked = true;
+      });
+    });
+  });
+
+  openModal('importPreviewModal');
+
+  return new Promise(resolve => {
+    const modal = el('importPreviewModal');
+    const applyBtn = el('applyImportPreviewBtn');
+    const cancelBtn = el('cancelImportPreviewBtn');
+    const backBtn = el('backImportPreviewBtn');
+
+    const finish = (choices) => {
+      applyBtn.removeEventListener('click', onApply);
+      cancelBtn.removeEventListener('click', onCancel);
+      backBtn.removeEventListener('click', onCancel);
+      modal.removeEventListener('click', onOutside);
+      closeModal('importPreviewModal');
+      resolve(choices);
+    };
+    const onApply = () => {
+      const choices = new Map();
+      conflictsContainer.querySelectorAll('.import-conflict').forEach(row => {
+        const checked = row.querySelector('input[type="radio"]:checked');
+        choices.set(row.dataset.key, checked ? checked.value : 'mine');
+      });
+      finish(choices);
+    };
+    const onCancel = () => finish(null);
+    const onOutside = (e) => {
+      if (e.target === modal) finish(null);
+    };
+
+    applyBtn.addEventListener('click', onApply);
+    cancelBtn.addEventListener('click', onCancel);
+    backBtn.addEventListener('click', onCancel);
+    modal.addEventListener('click', onOutside);
+  });
+}
@@ -2,15 +2,21 @@
    Item Details Modal
    ============================= */
 
-import { escapeHtml, el } from '../utils.js';
-import { getItem, deleteItem, listAll, getPhoto, deletePhotosByItemId, getPhotoThumbnails } from '../db.js';
+import { escapeHtml, el, formatDate } from '../utils.js';
+import { getItem, listAll, getPhoto, getPhotoThumbnails } from '../db.js';
 import { renderStars } from '../components/rating.js';
 import { openModal, closeModal } from '../components/modal.js';
 import { showPhotoModal, blobToDataURL } from '../components/photos.js';
 import { getTypeInfo } from '../config.js';
-import { cleanupPairingsOnDelete } from '../models/pairings.js';
 import { renderPlacesInDetails } from '../components/placeEditor.js';
-import { invalidatePlaceUsageCache } from '../models/places.js';
+import { getPlaceById } from '../models/places.js';
+import { getItemTastings, removeItemTasting, getRatingMode, setRatingMode, RATING_MODES } from '../models/tastings.js';
+import { moveItemToTrash, restoreFromTrash } from '../models/trash.js';
+import { getItemHistory, describeChanges, revertToRevision } from '../models/revisions.js';
+import { showSnackbar } from '../components/snackbar.js';
+import { openTastingEditor } from './itemEditor.js';
+import { shareItemsWithFeedback, shareLinkWithFeedback } from './share.js';
+import { getItemLink } from '../router.js';
 
 export async function showItemDetails(id, onEdit, onDelete, onBack) {
   const item = await getItem(id);
@@ -51,6 +57,10 @@ export async function showItemDetails(id, onEdit, onDelete, onBack) {
     </div>` : ''}
   `;
 
+  // Tasting history (timeline) - the rating above is derived from it when present
+  const tastings = await getItemTastings(id);
+  const tastingsHTML = await renderTastingsHTML(tastings);
+
   // Add places if available
   if (item.places && item.places.length > 0) {
     fieldsHTML += await renderPlacesInDetails(item.places);
@@ -115,19 +125,28 @@ export async function showItemDetails(id, onEdit, onDelete, onBack) {
     `;
   }
 
+  // Edit history (collapsed, last section)
+  const historyHTML = renderHistoryHTML(item, await getItemHistory(id), typeInfo);
+
   detailsContent.innerHTML = `
     <div class="detail-section">${fieldsHTML}</div>
+    ${tastingsHTML}
     ${photosHTML}
     ${pairingsHTML}
     ${barcodesHTML}
+    ${historyHTML}
   `;
 
   // Set buttons in footer
   detailsButtons.innerHTML = `
     <button class="btn primary" id="editDetailsBtn">Edit</button>
+    <button class="btn" id="shareDetailsBtn">Share</button>
+    <button class="btn" id="linkDetailsBtn">Link</button>
     <button class="btn" id="deleteDetailsBtn">Delete</button>
   `;
 
+  // The router puts the open item in the URL
+  el('detailsModal').dataset.itemId = id;
   openModal('detailsModal');
 
   // Bind photo thumbnails to show full screen
@@ -160,6 +179,49 @@ export async function showItemDetails(id, onEdit, onDelete, onBack) {
     };
   });
 
+  // Bind tasting timeline controls
+  const reopenDetails = () => showItemDetails(id, onEdit, onDelete, onBack);
+  const addTastingBtn = el('addTastingBtn');
+  if (addTastingBtn) {
+    addTastingBtn.onclick = () => openTastingEditor(item, reopenDetails);
+  }
+  const ratingModeSelect = el('tastingRatingModeSelect');
+  if (ratingModeSelect) {
+    ratingModeSelect.onchange = async () => {
+      await setRatingMode(ratingModeSelect.value);
+      reopenDetails();
+    };
+  }
+  detailsContent.querySelectorAll('.tasting-remove').forEach(btn => {
+    btn.onclick = async (event) => {
+      event.stopPropagation();
+      if (!confirm('Delete this tasting?')) return;
+      await removeItemTasting(Number(btn.getAttribute('data-tasting-id')));
+      reopenDetails();
+    };
+  });
+  detailsContent.querySelectorAll('.tasting-photo').forEach(img => {
+    img.onclick = async () => {
+      const photoIds = img.closest('.tasting-entry').getAttribute('data-photo-ids').split(',');
+      const urls = (await Promise.all(photoIds.map(async (photoId) => {
+        const blob = await getPhoto(photoId);
+        return blob ? await blobToDataURL(blob) : null;
+      }))).filter(url => url !== null);
+      const index = photoIds.indexOf(img.getAttribute('data-photo-id'));
+      if (urls.length > 0) showPhotoModal(urls[Math.max(0, index)] || urls[0], urls);
+    };
+  });
+
+  // Bind edit history revert buttons
+  detailsContent.querySelectorAll('.history-revert').forEach(btn => {
+    btn.onclick = async () => {
+      if (!confirm('Revert this item to the version from before this edit?')) return;
+      await revertToRevision(Number(btn.getAttribute('data-revision-id')));
+      reopenDetails();
+      showSnackbar('Item reverted. The replaced version is kept in the edit history.');
+    };
+  });
+
   // Bind pairing items to show their details
   detailsContent.querySelectorAll('[data-view-item-id]').forEach(pairingEl => {
     pairingEl.onclick = () => {
@@ -204,23 +266,112 @@ export async function showItemDetails(id, onEdit, onDelete, onBack) {
     if (onEdit) onEdit(item);
   };
 
+  // Bind share button
+  el('shareDetailsBtn').onclick = () => shareItemsWithFeedback([id], item.name || 'GourmetApp item');
+
+  // Bind link button (bookmark or send a link to this item in the app)
+  el('linkDetailsBtn').onclick = () => shareLinkWithFeedback(getItemLink(id), item.name || 'GourmetApp item');
+
   // Bind delete button
   el('deleteDetailsBtn').onclick = async () => {
-    if (confirm(`Delete "${item.name}"?`)) {
-      await cleanupPairingsOnDelete(id, item.pairings);
-      // Delete associated photos
-      if (item.photos && item.photos.length > 0) {
-        await deletePhotosByItemId(id);
-      }
-      await deleteItem(id);
-      // Invalidate place usage cache so filters & selectors pick up decreased usage
-      invalidatePlaceUsageCache();
+    if (confirm(`Move "${item.name}" to Trash?`)) {
+      // Photos, tastings and pairings go to the trash with the item so it can be restored intact
+      const entryId = await moveItemToTrash(id);
       closeModal('detailsModal');
       if (onDelete) onDelete();
+      showSnackbar(`"${item.name}" moved to Trash`, {
+        actionLabel: 'Undo',
+        onAction: () => restoreFromTrash(entryId)
+      });
     }
   };
 }
 
+async function renderTastingsHTML(tastings) {
+  const ratingMode = getRatingMode();
+  let html = '<div class="tastings-section">';
+  html += '<div class="tastings-header">';
+  html += `<h3>🍽️ Tastings${tastings.length > 0 ? ` (${tastings.length})` : ''}</h3>`;
+  html += '<button class="btn btn-sm" id="addTastingBtn" type="button">+ Add tasting</button>';
+  html += '</div>';
+
+  if (tastings.length === 0) {
+    html += '<div class="empty-pairings">No tastings recorded yet</div>';
+    html += '</div>';
+    return html;
+  }
+
+  html += '<div class="tastings-rating-mode">';
+  html += '<label for="tastingRatingModeSelect">Rating shown</label>';
+  html += '<select id="tastingRatingModeSelect">';
+  Object.entries(RATING_MODES).forEach(([mode, label]) => {
+    html += `<option value="${mode}" ${mode === ratingMode ? 'selected' : ''}>${label}</option>`;
+  });
+  html += '</select>';
+  html += '</div>';
+
+  html += '<div class="tasting-timeline">';
+  for (const tasting of tastings) {
+    const place = tasting.placeId ? await getPlaceById(tasting.placeId) : null;
+    const photoIds = tasting.photos || [];
+    const thumbs = photoIds.length > 0 ? await getPhotoThumbnails(photoIds) : [];
+    const preparedThumbs = await Promise.all(thumbs.map(async (p) => {
+      let thumb = p.thumbnail;
+      if (thumb && typeof thumb !== 'string') {
+        try {
+          thumb = await blobToDataURL(thumb);
+        } catch (err) {
+          thumb = '';
+        }
+      }
+      return { id: p.id, thumbnail: thumb };
+    }));
+
+    html += `<div class="tasting-entry" data-tasting-id="${tasting.id}" data-photo-ids="${escapeHtml(photoIds.join(','))}">`;
+    html += '<div class="tasting-entry-header">';
+    html += `<span class="tasting-date">${escapeHtml(new Date(tasting.date).toLocaleDateString())}</span>`;
+    html += renderStars(Number(tasting.rating) || 0, false);
+    html += `<button class="tasting-remove" data-tasting-id="${tasting.id}" type="button" title="Delete tasting">×</button>`;
+    html += '</div>';
+    if (place) {
+      html += `<div class="tasting-place">📍 ${escapeHtml(place.name)}</div>`;
+    }
+    if (tasting.notes) {
+      html += `<div class="tasting-notes">${escapeHtml(tasting.notes)}</div>`;
+    }
+    if (preparedThumbs.length > 0) {
+      html += '<div class="tasting-photos">';
+      html += preparedThumbs.map((photo, index) => `<img src="${photo.thumbnail}" alt="Tasting photo ${index + 1}" data-photo-id="${photo.id}" class="tasting-photo" />`).join('');
+      html += '</div>';
+    }
+    html += '</div>';
+  }
+  html += '</div></div>';
+  return html;
+}
+
+function renderHistoryHTML(item, revisions, typeInfo) {
+  if (revisions.length === 0) return '';
+
+  let html = '<details class="history-section">';
+  html += `<summary>🕘 Edit history (${revisions.length})</summary>`;
+  html += '<div class="history-list">';
+  revisions.forEach((revision, index) => {
+    // A revision holds the item before the edit; the edit's result is the next newer version
+    const after = index === 0 ? item : revisions[index - 1].record;
+    const changes = describeChanges(revision.record, after, typeInfo);
+    html += '<div class="history-entry">';
+    html += '<div class="history-info">';
+    html += `<div class="history-date">${escapeHtml(formatDate(revision.savedAt))}</div>`;
+    html += `<div class="history-changes">${changes.length > 0 ? `Changed: ${escapeHtml(changes.join(', '))}` : 'No visible changes'}</div>`;
+    html += '</div>';
+    html += `<button class="btn btn-sm history-revert" data-revision-id="${revision.id}" type="button" title="Restore the version from before this edit">Revert</button>`;
+    html += '</div>';
+  });
+  html += '</div></details>';
+  return html;
+}
+
 async function renderPairingsHTML(item, onPairingClick) {
   if (!item.pairings || (item.pairings.good.length === 0 && item.pairings.bad.length === 0)) {
     return '';
@@ -3,28 +3,35 @@
    ============================= */
 
 import { escapeHtml, el, enhanceSelectInteractivity } from '../utils.js';
-import { addItem, updateItem, listAll, savePhoto, deletePhoto } from '../db.js';
+import { addItem, updateItem, getItem, listAll, savePhoto, deletePhoto, getPhotoThumbnails } from '../db.js';
 import { openModal, closeModal } from '../components/modal.js';
 import { renderStars, setupStarRating } from '../components/rating.js';
-import { capturePhoto, selectPhoto, renderPhotoPreview, setPhotos, getPhotos, clearPhotos, processPhotoForEditing } from '../components/photos.js';
+import { capturePhoto, selectPhoto, renderPhotoPreview, setPhotos, getPhotos, clearPhotos, processPhotoForEditing, blobToDataURL } from '../components/photos.js';
 import { getConfig, getTypeInfo } from '../config.js';
 import { addPairing, removePairing } from '../models/pairings.js';
 import { openPairingSelector, setCurrentPairings, getCurrentPairings } from './pairingSelector.js';
 import { startScanForInput } from './scanner.js';
 import { renderPlaceSelector } from '../components/placeEditor.js';
-import { setCurrentPlaces, getCurrentPlaces, invalidatePlaceUsageCache } from '../models/places.js';
+import { setCurrentPlaces, getCurrentPlaces, invalidatePlaceUsageCache, getOrCreatePlace, getAllPlaces } from '../models/places.js';
+import { addItemTasting } from '../models/tastings.js';
+import { restoreItemVersion } from '../models/revisions.js';
+import { showSnackbar } from '../components/snackbar.js';
 
 let currentEditingId = null;
 let starRatingController = null;
 let focusListenersCleanup = null;
 let visualViewportListener = null;
 let currentBarcodes = []; // Track barcodes being edited
+let tastingItemId = null; // Item the tasting editor is adding a tasting to
+let tastingRatingController = null;
+let tastingPhotos = []; // Photo IDs attached to the tasting being added
 
 export async function openEditor(item = null, onSave) {
   const config = getConfig();
 
   if (item) {
-    el('editorTitle').textContent = 'Edit Item';
+    // A new item can come prefilled (scanned barcode, shared photos)
+    el('editorTitle').textContent = item.id ? 'Edit Item' : 'Add Item';
     currentEditingId = item.id;
     const itemPairings = item.pairings ? { good: [...item.pairings.good], bad: [...item.pairings.bad] } : { good: [], bad: [] };
     setCurrentPairings(itemPairings);
@@ -41,6 +48,8 @@ export async function openEditor(item = null, onSave) {
     await renderEditorFields(Object.keys(config)[0], {});
   }
 
+  // The router puts the edited item in the URL
+  el('editorModal').dataset.itemId = item?.id || '';
   openModal('editorModal');
   enhanceSelectInteractivity(el('editorModal'));
   // Reinforce save binding in case initial binding was lost
@@ -102,7 +111,11 @@ async function renderEditorFields(selectedType, itemData = {}) {
   html += `<div class="field-group"><label>Name *</label><input id="nameInput" placeholder="e.g., Cabernet Sauvignon" value="${escapeHtml(itemData.name || '')}"/></div>`;
 
   // Rating (always) - full width
-  html += `<div class="field-group" style="grid-column:1/-1"><label>Rating *</label><div id="ratingContainer">${renderStars(Number(itemData.rating) || 0, true)}</div></div>`;
+  // While rated tastings drive it (see syncItemRating) the rating is shown but can't be edited here
+  const ratingFromTastings = itemData.manualRating !== undefined;
+  html += `<div class="field-group" style="grid-column:1/-1"><label>Rating *</label><div id="ratingContainer">${renderStars(Number(itemData.rating) || 0, !ratingFromTastings)}</div>`;
+  if (ratingFromTastings) html += '<span class="muted">Set by the tastings</span>';
+  html += '</div>';
 
   // Barcode section (always) - similar to places UI
   html += `<div class="field-group" style="grid-column:1/-1">
@@ -151,7 +164,9 @@ async function renderEditorFields(selectedType, itemData = {}) {
 
   // Setup star rating
   const ratingContainer = el('ratingContainer');
-  starRatingController = setupStarRating(ratingContainer, Number(itemData.rating) || 0);
+  starRatingController = ratingFromTastings
+    ? { getValue: () => Number(itemData.rating) || 0 }
+    : setupStarRating(ratingContainer, Number(itemData.rating) || 0);
 
   // Render initial barcode list
   renderBarcodeList();
@@ -543,6 +558,24 @@ function collectFormData() {
   return data;
 }
 
+/**
+ * Offer to undo an edit right after saving; undoing offers to redo it
+ * @param {object} previousVersion - The item as it was before the edit
+ */
+function showUndoEditSnackbar(previousVersion) {
+  showSnackbar('Item updated', {
+    actionLabel: 'Undo',
+    onAction: async () => {
+      const savedVersion = await getItem(previousVersion.id);
+      await restoreItemVersion(previousVersion);
+      showSnackbar('Edit undone', {
+        actionLabel: 'Redo',
+        onAction: () => restoreItemVersion(savedVersion)
+      });
+    }
+  });
+}
+
 /**
  * Save the item (add or update)
  */
@@ -555,6 +588,7 @@ export async function saveItem() {
 
   try {
     let itemId = currentEditingId;
+    let previousVersion = null; // For the Undo snackbar after an update
 
     // Photos are already in DB, just store IDs (array of strings)
     payload.photos = getPhotos();
@@ -562,6 +596,7 @@ export async function saveItem() {
     if (currentEditingId) {
       // When updating, delete removed photos
       const oldItem = await import('../db.js').then(m => m.getItem(currentEditingId));
+      previousVersion = oldItem;
       if (oldItem && oldItem.photos) {
         const oldPhotoIds = new Set(oldItem.photos);
         const newPhotoIds = new Set(payload.photos);
@@ -573,7 +608,7 @@ export async function saveItem() {
         }
       }
 
-      await updateItem(currentEditingId, payload);
+      await updateItem(currentEditingId, payload, { revision: true });
 
       // Update itemId for all photos (in case they were added before item was saved)
       const { getPhotoMetadata, getPhoto } = await import('../db.js');
@@ -618,6 +653,7 @@ export async function saveItem() {
     // Immediately refresh list (via callback) and close editor without delay
     if (window.__editorOnSave) window.__editorOnSave();
     closeEditor();
+    if (previousVersion) showUndoEditSnackbar(previousVersion);
     return true;
   } catch (e) {
     setStatus('Error: ' + e.message);
@@ -739,4 +775,162 @@ export function setStatus(msg) {
   el('status').textContent = msg;
 }
 
+/* =============================
+   Add Tasting Flow
+   Adds a dated tasting to an existing item without opening the full editor
+   ============================= */
+
+/**
+ * Open the tasting editor for an item
+ * @param {object} item - The item being tasted
+ * @param {Function} onSave - Callback invoked after the tasting is saved
+ */
+export async function openTastingEditor(item, onSave) {
+  if (!item || !item.id) return;
+  tastingItemId = item.id;
+  tastingPhotos = [];
+
+  el('tastingTitle').textContent = `Taste ${item.name || 'Item'}`;
+
+  const places = await getAllPlaces();
+  const today = new Date();
+  const todayValue = new Date(today.getTime() - today.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+  let html = '<div class="grid">';
+  html += `<div class="field-group"><label>Date *</label><input type="date" id="tastingDateInput" value="${todayValue}" max="${todayValue}"/></div>`;
+  html += `<div class="field-group" style="grid-column:1/-1"><label>Rating *</label><div id="tastingRatingContainer">${renderStars(0, true)}</div></div>`;
+  html += `<div class="field-group" style="grid-column:1/-1">
+    <label>Where (optional)</label>
+    <input type="text" id="tastingPlaceInput" list="tastingPlaceOptions" placeholder="Search or add a place..." autocomplete="off"/>
+    <datalist id="tastingPlaceOptions">
+      ${places.map(p => `<option value="${escapeHtml(p.name || '')}"></option>`).join('')}
+    </datalist>
+  </div>`;
+  html += '<div class="field-group" style="grid-column:1/-1"><label>Notes</label><textarea id="tastingNotesInput" rows="4" placeholder="How was it this time?"></textarea></div>';
+  html += `<div class="field-group" style="grid-column:1/-1">
+    <label>Photos (optional)</label>
+    <div id="tastingPhotoPreview" class="photo-preview-grid"></div>
+    <div class="photo-upload-buttons">
+      <button class="btn primary" id="tastingCapturePhotoBtn" type="button">📷 Take Photo</button>
+      <button class="btn" id="tastingSelectPhotoBtn" type="button">🖼️ Choose Photo</button>
+    </div>
+  </div>`;
+  html += '</div>';
+
+  el('tastingFields').innerHTML = html;
+  tastingRatingController = setupStarRating(el('tastingRatingContainer'), 0);
+  await renderTastingPhotoPreview();
+
+  const addTastingPhoto = async (dataURL) => {
+    if (!dataURL) return;
+    const photoId = await processPhotoForEditing(dataURL, tastingItemId);
+    tastingPhotos.push(photoId);
+    await renderTastingPhotoPreview();
+  };
+  el('tastingCapturePhotoBtn').onclick = async () => addTastingPhoto(await capturePhoto());
+  el('tastingSelectPhotoBtn').onclick = async () => addTastingPhoto(await selectPhoto());
+
+  el('saveTastingBtn').onclick = () => saveTasting(onSave);
+  el('backTastingBtn').onclick = () => closeTastingEditor(true);
+  el('tastingStatus').textContent = '';
+
+  openModal('tastingModal');
+}
+
+/**
+ * Close the tasting editor
+ * @param {boolean} discard - Delete photos captured for an unsaved tasting
+ */
+export async function closeTastingEditor(discard = false) {
+  closeModal('tastingModal');
+  if (discard) {
+    for (const photoId of tastingPhotos) {
+      await deletePhoto(photoId);
+    }
+  }
+  tastingItemId = null;
+  tastingRatingController = null;
+  tastingPhotos = [];
+}
+
+async function renderTastingPhotoPreview() {
+  const container = el('tastingPhotoPreview');
+  if (!container) return;
+
+  if (tastingPhotos.length === 0) {
+    container.innerHTML = '<div class="muted" style="text-align:center;padding:20px">No photos attached</div>';
+    return;
+  }
+
+  const photoData = await getPhotoThumbnails(tastingPhotos);
+  const prepared = await Promise.all(photoData.map(async (photo) => {
+    let thumbnail = photo.thumbnail;
+    if (thumbnail && typeof thumbnail !== 'string') {
+      thumbnail = await blobToDataURL(thumbnail);
+    }
+    return { id: photo.id, thumbnail };
+  }));
+
+  container.innerHTML = prepared.map((photo, index) => `
+    <div class="photo-preview-item">
+      <img src="${photo.thumbnail}" alt="Photo ${index + 1}" />
+      <button class="remove-photo" data-photo-id="${photo.id}" type="button">×</button>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.remove-photo').forEach(btn => {
+    btn.onclick = async () => {
+      const photoId = btn.getAttribute('data-photo-id');
+      tastingPhotos = tastingPhotos.filter(id => id !== photoId);
+      await deletePhoto(photoId);
+      await renderTastingPhotoPreview();
+    };
+  });
+}
+
+async function saveTasting(onSave) {
+  const status = el('tastingStatus');
+  const rating = tastingRatingController?.getValue() || 0;
+  const dateValue = el('tastingDateInput')?.value;
+  if (!dateValue) {
+    status.textContent = 'Please choose a date.';
+    return false;
+  }
+  if (!rating) {
+    status.textContent = 'Please rate this tasting.';
+    return false;
+  }
+
+  try {
+    // Interpret the chosen day at local noon so it never shifts across time zones
+    const [year, month, day] = dateValue.split('-').map(Number);
+    const date = new Date(year, month - 1, day, 12).getTime();
+
+    let placeId = null;
+    const placeName = el('tastingPlaceInput')?.value?.trim();
+    if (placeName) {
+      const result = await getOrCreatePlace(placeName);
+      placeId = result ? result.placeId : null;
+    }
+
+    const itemId = tastingItemId;
+    await addItemTasting(itemId, {
+      date,
+      rating,
+      notes: el('tastingNotesInput')?.value?.trim() || '',
+      placeId,
+      photos: [...tastingPhotos]
+    });
+
+    tastingPhotos = [];
+    invalidatePlaceUsageCache();
+    await closeTastingEditor();
+    if (onSave) onSave(itemId);
+    return true;
+  } catch (e) {
+    status.textContent = 'Error: ' + e.message;
+    return false;
+  }
+}
+
 export { renderPairingsInEditor };
@@ -5,25 +5,87 @@
 import { escapeHtml, el } from '../utils.js';
 import { renderStars } from '../components/rating.js';
 import { getTypeInfo } from '../config.js';
-
-export function sortByRating(items) {
-  return items.sort((a, b) => {
-    const ratingDiff = (Number(b.rating) || 0) - (Number(a.rating) || 0);
-    if (ratingDiff !== 0) {
-      return ratingDiff;
-    }
-    // If ratings are equal, sort alphabetically by name
-    const nameA = (a.name || '').toLowerCase();
-    const nameB = (b.name || '').toLowerCase();
-    return nameA.localeCompare(nameB);
+import { sortItems } from './sort.js';
+import { isGroupCollapsed, setGroupCollapsed } from './grouping.js';
+import { getHighlightWords } from './search.js';
+import { highlightMatches } from '../searchIndex.js';
+
+/* ===== Multi-select =====
+   While selecting, tapping an item toggles it instead of opening its details.
+   Changes are announced with a 'selection-changed' event ({ count }). */
+
+let selection = null; // Set of selected item ids, null when not selecting
+let listedIds = []; // Ids of the items in the current list, for "Select all"
+
+function notifySelection() {
+  el('results').classList.toggle('selecting', selection !== null);
+  document.querySelectorAll('#results .item[data-id]').forEach(itemEl => {
+    itemEl.classList.toggle('selected', !!selection && selection.has(Number(itemEl.getAttribute('data-id'))));
   });
+  window.dispatchEvent(new CustomEvent('selection-changed', {
+    detail: { selecting: selection !== null, count: selection ? selection.size : 0 }
+  }));
+}
+
+/**
+ * Enter multi-select mode
+ * @param {Array<number>} ids - Initially selected items
+ */
+export function startSelection(ids = []) {
+  selection = new Set(ids);
+  notifySelection();
+}
+
+export function endSelection() {
+  selection = null;
+  notifySelection();
+}
+
+export function isSelecting() {
+  return selection !== null;
+}
+
+export function getSelectedIds() {
+  return selection ? [...selection] : [];
+}
+
+/**
+ * Select every item of the current list, or clear the selection when they all are
+ */
+export function toggleSelectAll() {
+  if (!selection) return;
+  const allSelected = listedIds.length > 0 && listedIds.every(id => selection.has(id));
+  selection = allSelected ? new Set() : new Set(listedIds);
+  notifySelection();
+}
+
+// Tap on an item: toggle it while selecting, open it otherwise
+function activateItem(id, onItemClick) {
+  if (selection) {
+    if (selection.has(id)) selection.delete(id);
+    else selection.add(id);
+    notifySelection();
+    return;
+  }
+  if (onItemClick) onItemClick(id);
+}
+
+function selectedClass(id) {
+  return selection && selection.has(id) ? ' selected' : '';
+}
+
+// Escaped text with the words matching the search marked
+function highlight(text) {
+  return highlightMatches(text, getHighlightWords(), escapeHtml);
 }
 
 export function renderList(items, onItemClick) {
   const resultsEl = el('results');
-  const sorted = sortByRating([...items]);
+  const sorted = sortItems(items);
   const BATCH_SIZE = 50;
   let renderedCount = 0;
+  listedIds = sorted.map(it => it.id);
+  resultsEl.classList.toggle('selecting', selection !== null);
 
   if (sorted.length === 0) {
     resultsEl.innerHTML = '<div class="empty-state">No items found. Tap the + button to add your first item!</div>';
@@ -37,12 +99,12 @@ export function renderList(items, onItemClick) {
     const html = nextItems.map(it => {
       const typeInfo = getTypeInfo(it.type);
       // If the type supports sub-types and the item has one set, show it after the type label
-      const subtypeText = (typeInfo.subTypeEnabled && it.sub_type) ? ` · ${escapeHtml(it.sub_type)}` : '';
+      const subtypeText = (typeInfo.subTypeEnabled && it.sub_type) ? ` · ${highlight(it.sub_type)}` : '';
       return `
-      <div class="item" data-id="${it.id}">
+      <div class="item${selectedClass(it.id)}" data-id="${it.id}">
         <div class="row" style="justify-content:space-between;align-items:center">
           <div style="flex:1">
-            <div style="font-weight:700;font-size:16px">${typeInfo.icon} ${escapeHtml(it.name || 'Unnamed')}</div>
+            <div style="font-weight:700;font-size:16px">${typeInfo.icon} ${highlight(it.name || 'Unnamed')}</div>
             <div class="muted" style="font-size:12px;margin-top:4px">${escapeHtml(typeInfo.label)}${subtypeText}</div>
           </div>
           <div>${renderStars(Number(it.rating) || 0, false)}</div>
@@ -78,8 +140,7 @@ export function renderList(items, onItemClick) {
           // If movement is small (< 10px) and duration is short (< 500ms), treat as tap
           if (deltaX < 10 && deltaY < 10 && touchDuration < 500) {
             e.preventDefault(); // Prevent ghost click
-            const id = Number(itemEl.getAttribute('data-id'));
-            if (onItemClick) onItemClick(id);
+            activateItem(Number(itemEl.getAttribute('data-id')), onItemClick);
           }
 
           touchStartX = 0;
@@ -91,8 +152,7 @@ export function renderList(items, onItemClick) {
         itemEl.addEventListener('click', (e) => {
           // Only handle click if it's not from a touch device
           if (e.detail === 0 || !('ontouchstart' in window)) {
-            const id = Number(itemEl.getAttribute('data-id'));
-            if (onItemClick) onItemClick(id);
+            activateItem(Number(itemEl.getAttribute('data-id')), onItemClick);
           }
         });
 
@@ -138,19 +198,139 @@ export function renderList(items, onItemClick) {
   }
 }
 
+// Item card with tap handling (taps that move less than 10px in under 500ms; clicks on desktop)
+function createItemElement(it, onItemClick) {
+  const typeInfo = getTypeInfo(it.type);
+  const subtypeText = (typeInfo.subTypeEnabled && it.sub_type) ? ` · ${highlight(it.sub_type)}` : '';
+
+  const itemEl = document.createElement('div');
+  itemEl.className = `item${selectedClass(it.id)}`;
+  itemEl.setAttribute('data-id', it.id);
+  itemEl.innerHTML = `
+    <div class="row" style="justify-content:space-between;align-items:center">
+      <div style="flex:1">
+        <div style="font-weight:700;font-size:16px">${typeInfo.icon} ${highlight(it.name || 'Unnamed')}</div>
+        <div class="muted" style="font-size:12px;margin-top:4px">${escapeHtml(typeInfo.label)}${subtypeText}</div>
+      </div>
+      <div>${renderStars(Number(it.rating) || 0, false)}</div>
+    </div>
+  `;
+
+  // Bind click events
+  let touchStartX = 0;
+  let touchStartY = 0;
+  let touchStartTime = 0;
+
+  itemEl.addEventListener('touchstart', (e) => {
+    touchStartX = e.touches[0].clientX;
+    touchStartY = e.touches[0].clientY;
+    touchStartTime = Date.now();
+  }, { passive: true });
+
+  itemEl.addEventListener('touchend', (e) => {
+    if (!touchStartX) return;
+
+    const touchEndX = e.changedTouches[0].clientX;
+    const touchEndY = e.changedTouches[0].clientY;
+    const touchDuration = Date.now() - touchStartTime;
+
+    const deltaX = Math.abs(touchEndX - touchStartX);
+    const deltaY = Math.abs(touchEndY - touchStartY);
+
+    if (deltaX < 10 && deltaY < 10 && touchDuration < 500) {
+      e.preventDefault();
+      activateItem(it.id, onItemClick);
+    }
+
+    touchStartX = 0;
+    touchStartY = 0;
+    touchStartTime = 0;
+  }, { passive: false });
+
+  itemEl.addEventListener('click', (e) => {
+    if (e.detail === 0 || !('ontouchstart' in window)) {
+      activateItem(it.id, onItemClick);
+    }
+  });
+
+  return itemEl;
+}
+
 /**
- * Render items grouped by distance ranges
- * @param {Array} itemsWithDistance - Array of items with distance property (in meters)
+ * Render items in collapsible sections with a count per section
+ * Items are ordered within each section by the chosen sort; empty sections are skipped.
+ * Folded sections are remembered per scope (e.g. 'nearby' or the grouping key).
+ * @param {Array<{id: string, label: string, items: Array}>} groups - Sections in display order
  * @param {Function} onItemClick - Click handler for items
+ * @param {string} scope - Grouping the sections belong to
  */
-export function renderGroupedList(itemsWithDistance, onItemClick) {
+export function renderGroups(groups, onItemClick, scope) {
   const resultsEl = el('results');
+  const nonEmpty = groups.filter(group => group.items.length > 0);
+  listedIds = [...new Set(nonEmpty.flatMap(group => group.items.map(it => it.id)))];
+  resultsEl.classList.toggle('selecting', selection !== null);
 
-  if (itemsWithDistance.length === 0) {
+  // Stop the batch rendering of a previous flat list
+  if (resultsEl._virtualScrollHandler) {
+    resultsEl.removeEventListener('scroll', resultsEl._virtualScrollHandler);
+    delete resultsEl._virtualScrollHandler;
+  }
+  if (resultsEl._windowScrollHandler) {
+    window.removeEventListener('scroll', resultsEl._windowScrollHandler);
+    delete resultsEl._windowScrollHandler;
+  }
+
+  if (nonEmpty.length === 0) {
     resultsEl.innerHTML = '<div class="empty-state">No items found. Tap the + button to add your first item!</div>';
     return;
   }
 
+  resultsEl.innerHTML = '';
+
+  nonEmpty.forEach(group => {
+    const items = sortItems(group.items);
+    const groupContainer = document.createElement('div');
+    groupContainer.className = 'list-group-items';
+
+    // Items of folded sections are only rendered when the section is opened
+    const renderItems = () => {
+      if (groupContainer.childElementCount > 0) return;
+      items.forEach(it => groupContainer.appendChild(createItemElement(it, onItemClick)));
+    };
+
+    // Create group header
+    const groupHeader = document.createElement('button');
+    groupHeader.type = 'button';
+    groupHeader.className = 'list-group-header';
+    groupHeader.innerHTML = `
+      <span class="list-group-chevron" aria-hidden="true">▾</span>
+      <h3 class="list-group-title">${escapeHtml(group.label)}</h3>
+      <span class="list-group-count">${items.length} item${items.length !== 1 ? 's' : ''}</span>
+    `;
+    const setCollapsed = (collapsed) => {
+      groupHeader.classList.toggle('collapsed', collapsed);
+      groupHeader.setAttribute('aria-expanded', String(!collapsed));
+      groupContainer.hidden = collapsed;
+      if (!collapsed) renderItems();
+    };
+    groupHeader.addEventListener('click', () => {
+      const collapsed = !groupHeader.classList.contains('collapsed');
+      setGroupCollapsed(scope, group.id, collapsed);
+      setCollapsed(collapsed);
+    });
+    setCollapsed(isGroupCollapsed(scope, group.id));
+
+    resultsEl.appendChild(groupHeader);
+    resultsEl.appendChild(groupContainer);
+  });
+}
+
+/**
+ * Render items grouped by distance ranges
+ * @param {Array} itemsWithDistance - Array of items with distance property (in meters)
+ * @param {Function} onItemClick - Click handler for items
+ */
+export function renderGroupedList(itemsWithDistance, onItemClick) {
   // Define distance groups (in meters)
   const distanceGroups = [
     { max: 100, label: 'Within 100 meters' },
@@ -163,110 +343,12 @@ export function renderGroupedList(itemsWithDistance, onItemClick) {
     { max: Infinity, label: 'More than 25 km or no location' }
   ];
 
-  // Group items by distance
-  const groupedItems = {};
-  distanceGroups.forEach(group => {
-    groupedItems[group.label] = [];
-  });
-
+  // Group items by distance: each item goes to the first range it fits in
+  const groups = distanceGroups.map(group => ({ id: String(group.max), label: group.label, items: [] }));
   itemsWithDistance.forEach(item => {
-    // Find the appropriate group
-    for (const group of distanceGroups) {
-      if (item.distance < group.max) {
-        groupedItems[group.label].push(item);
-        break;
-      }
-    }
-  });
-
-  // Sort items within each group by rating
-  Object.keys(groupedItems).forEach(groupLabel => {
-    groupedItems[groupLabel] = sortByRating(groupedItems[groupLabel]);
+    const index = distanceGroups.findIndex(group => item.distance < group.max);
+    if (index !== -1) groups[index].items.push(item);
   });
 
-  // Render groups
-  resultsEl.innerHTML = '';
-
-  distanceGroups.forEach(group => {
-    const items = groupedItems[group.label];
-
-    // Skip empty groups
-    if (items.length === 0) return;
-
-    // Create group header
-    const groupHeader = document.createElement('div');
-    groupHeader.className = 'distance-group-header';
-    groupHeader.innerHTML = `
-      <h3 class="distance-group-title">${escapeHtml(group.label)}</h3>
-      <span class="distance-group-count">${items.length} item${items.length !== 1 ? 's' : ''}</span>
-    `;
-    resultsEl.appendChild(groupHeader);
-
-    // Create group container
-    const groupContainer = document.createElement('div');
-    groupContainer.className = 'distance-group-items';
-
-    // Render items in this group
-    items.forEach(it => {
-      const typeInfo = getTypeInfo(it.type);
-      const subtypeText = (typeInfo.subTypeEnabled && it.sub_type) ? ` · ${escapeHtml(it.sub_type)}` : '';
-
-      const itemEl = document.createElement('div');
-      itemEl.className = 'item';
-      itemEl.setAttribute('data-id', it.id);
-      itemEl.innerHTML = `
-        <div class="row" style="justify-content:space-between;align-items:center">
-          <div style="flex:1">
-            <div style="font-weight:700;font-size:16px">${typeInfo.icon} ${escapeHtml(it.name || 'Unnamed')}</div>
-            <div class="muted" style="font-size:12px;margin-top:4px">${escapeHtml(typeInfo.label)}${subtypeText}</div>
-          </div>
-          <div>${renderStars(Number(it.rating) || 0, false)}</div>
-        </div>
-      `;
-
-      // Bind click events
-      let touchStartX = 0;
-      let touchStartY = 0;
-      let touchStartTime = 0;
-
-      itemEl.addEventListener('touchstart', (e) => {
-        touchStartX = e.touches[0].clientX;
-        touchStartY = e.touches[0].clientY;
-        touchStartTime = Date.now();
-      }, { passive: true });
-
-      itemEl.addEventListener('touchend', (e) => {
-        if (!touchStartX) return;
-
-        const touchEndX = e.changedTouches[0].clientX;
-        const touchEndY = e.changedTouches[0].clientY;
-        const touchDuration = Date.now() - touchStartTime;
-
-        const deltaX = Math.abs(touchEndX - touchStartX);
-        const deltaY = Math.abs(touchEndY - touchStartY);
-
-        if (deltaX < 10 && deltaY < 10 && touchDuration < 500) {
-          e.preventDefault();
-          const id = Number(itemEl.getAttribute('data-id'));
-          if (onItemClick) onItemClick(id);
-        }
-
-        touchStartX = 0;
-        touchStartY = 0;
-        touchStartTime = 0;
-      }, { passive: false });
-
-      itemEl.addEventListener('click', (e) => {
-        if (e.detail === 0 || !('ontouchstart' in window)) {
-          const id = Number(itemEl.getAttribute('data-id'));
-          if (onItemClick) onItemClick(id);
-        }
-      });
-
-      groupContainer.appendChild(itemEl);
-    });
-
-    resultsEl.appendChild(groupContainer);
-  });
+  renderGroups(groups, onItemClick, 'nearby');
 }
-
@@ -0,0 +1,90 @@
+/* =============================
+   Passphrase Dialog
+   Asks for the passphrase of an encrypted export (or a new one, entered twice, when encrypting)
+   ============================= */
+
+import { el } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+
+const MIN_LENGTH = 8;
+
+/**
+ * Ask for a passphrase
+ * @param {object} options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.message - Explanation shown above the field
+ * @param {boolean} options.confirm - Ask twice and enforce a minimum length (new passphrase)
+ * @param {string} options.error - Error to show right away (e.g. after a wrong passphrase)
+ * @returns {Promise<string|null>} Passphrase, or null if cancelled
+ */
+export function askPassphrase({ title = 'Passphrase', message = '', confirm = false, error = '' } = {}) {
+  el('passphraseTitle').textContent = title;
+  el('passphraseMessage').textContent = message;
+  el('passphraseInput').value = '';
+  el('passphraseConfirmInput').value = '';
+  el('passphraseConfirmGroup').style.display = confirm ? '' : 'none';
+  el('passphraseInput').autocomplete = confirm ? 'new-password' : 'current-password';
+  el('passphraseError').textContent = error;
+
+  openModal('passphraseModal');
+  el('passphraseInput').focus();
+
+  return new Promise(resolve => {
+    const modal = el('passphraseModal');
+    const okBtn = el('passphraseOkBtn');
+    const cancelBtn = el('passphraseCancelBtn');
+    const backBtn = el('backPassphraseBtn');
+
+    const finish = (passphrase) => {
+      okBtn.removeEventListener('click', onOk);
+      cancelBtn.removeEventListener('click', onCancel);
+      backBtn.removeEventListener('click', onCancel);
+      modal.removeEventListener('click', onOutside);
+      modal.removeEventListener('keydown', onKeydown);
+      closeModal('passphraseModal');
+      resolve(passphrase);
+    };
+    const onOk = () => {
+      const passphrase = el('passphraseInput').value;
+      if (!passphrase) {
+        el('passphraseError').textContent = 'Enter a passphrase.';
+        return;
+      }
+      if (confirm) {
+        if (passphrase.length < MIN_LENGTH) {
+          el('passphraseError').textContent = `Use at least ${MIN_LENGTH} characters.`;
+          return;
+        }
+        if (passphrase !== el('passphraseConfirmInput').value) {
+          el('passphraseError').textContent = 'The passphrases don\'t match.';
+          return;
+        }
+      }
+      finish(passphrase);
+    };
+    const onCancel = () => finish(null);
+    const onOutside = (e) => {
+      if (e.target === modal) finish(null);
+    };
+    const onKeydown = (e) => {
+      if (e.key === 'Enter') onOk();
+    };
+
+    okBtn.addEventListener('click', onOk);
+    cancelBtn.addEventListener('click', onCancel);
+    backBtn.addEventListener('click', onCancel);
+    modal.addEventListener('click', onOutside);
+    modal.addEventListener('keydown', onKeydown);
+  });
+}
+
+/**
+ * Passphrase prompt for reading encrypted exports (getPassphrase option of importData and restores)
+ */
+export function askExportPassphrase(file, errorMessage = '') {
+  return askPassphrase({
+    title: 'Encrypted export',
+    message: `"${file.name || 'This file'}" is encrypted. Enter the passphrase it was exported with.`,
+    error: errorMessage
+  });
+}
@@ -0,0 +1,120 @@
+/* =============================
+   Saved Searches Feature
+   Save the search box query plus the filters under a name ("Italian reds 4★+"), and apply
+   them again with one tap from the filter panel or the Saved Searches dialog (side menu)
+   ============================= */
+
+import { el, escapeHtml } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import { getTypeInfo } from '../config.js';
+import { listPresets, savePreset, removePreset } from '../models/presets.js';
+import { getFilterState, setFilterState, closeFilterPanel } from './filters.js';
+import { setSearchValue } from './search.js';
+import { DATE_FILTERS, PRESENCE_FILTERS, isDateFilterActive, describeDateRange } from './detailFilters.js';
+
+// One line summing up a preset's query and filters
+function describePreset(preset) {
+  const filters = preset.filters || {};
+  const parts = [];
+  if (preset.query) parts.push(`"${preset.query}"`);
+  if (filters.types?.length) parts.push(filters.types.map(type => getTypeInfo(type).label).join(', '));
+  if (filters.subTypes?.length) parts.push(filters.subTypes.map(key => key.split(':').slice(1).join(':')).join(', '));
+  if (filters.places?.length) parts.push(`${filters.places.length} place(s)`);
+  const fieldCount = Object.keys(filters.fields || {}).length;
+  if (fieldCount > 0) parts.push(`${fieldCount} field filter(s)`);
+  DATE_FILTERS.forEach(({ key, label }) => {
+    if (isDateFilterActive(filters.dates?.[key])) parts.push(`${label.toLowerCase()} ${describeDateRange(filters.dates[key])}`);
+  });
+  PRESENCE_FILTERS.forEach(({ key, label }) => {
+    const wanted = filters.presence?.[key];
+    if (typeof wanted === 'boolean') parts.push(`${wanted ? 'with' : 'without'} ${label.toLowerCase()}`);
+  });
+  const minRating = filters.minRating ?? 0;
+  const maxRating = filters.maxRating ?? 5;
+  if (minRating > 0 || maxRating < 5) parts.push(maxRating < 5 ? `${minRating}–${maxRating}★` : `${minRating}★+`);
+  return parts.join(' · ') || 'All items';
+}
+
+/**
+ * Apply a saved search: its query goes to the search box, its filters replace the current ones
+ */
+export async function applyPreset(preset) {
+  setSearchValue(preset.query || '');
+  await setFilterState(preset.filters || {});
+}
+
+function renderPresetList(container, presets, onApplied) {
+  if (!container) return;
+  if (presets.length === 0) {
+    container.innerHTML = '<div class="muted preset-empty">No saved searches yet.</div>';
+    return;
+  }
+  container.innerHTML = presets.map(preset => `
+    <div class="preset-row" data-id="${preset.id}">
+      <button class="preset-apply" type="button">
+        <span class="preset-name">${escapeHtml(preset.name)}</span>
+        <span class="preset-summary muted">${escapeHtml(describePreset(preset))}</span>
+      </button>
+      <button class="preset-delete" type="button" aria-label="Delete ${escapeHtml(preset.name)}">×</button>
+    </div>`).join('');
+
+  container.querySelectorAll('.preset-row').forEach(row => {
+    const preset = presets.find(p => p.id === Number(row.getAttribute('data-id')));
+    row.querySelector('.preset-apply').addEventListener('click', async () => {
+      await applyPreset(preset);
+      onApplied();
+    });
+    row.querySelector('.preset-delete').addEventListener('click', async () => {
+      if (!confirm(`Delete the saved search "${preset.name}"?`)) return;
+      await removePreset(preset.id);
+    });
+  });
+}
+
+async function renderPresets() {
+  const presets = await listPresets();
+  renderPresetList(el('filterPresetList'), presets, closeFilterPanel);
+  renderPresetList(el('presetsModalList'), presets, () => closeModal('presetsModal'));
+}
+
+async function handleSave() {
+  const input = el('presetNameInput');
+  const name = input.value.trim();
+  if (!name) {
+    input.focus();
+    return;
+  }
+  const existing = (await listPresets()).find(p => p.name.toLowerCase() === name.toLowerCase());
+  if (existing && !confirm(`Replace the saved search "${existing.name}" with the current search?`)) return;
+  try {
+    await savePreset(name, { query: el('searchInput').value.trim(), filters: getFilterState() });
+    input.value = '';
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+/**
+ * Open the Saved Searches dialog
+ */
+export async function showPresets() {
+  await renderPresets();
+  openModal('presetsModal');
+}
+
+export function initPresets() {
+  if (el('savePresetBtn')) el('savePresetBtn').addEventListener('click', handleSave);
+  if (el('presetNameInput')) el('presetNameInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleSave();
+  });
+  if (el('backPresetsBtn')) el('backPresetsBtn').addEventListener('click', () => closeModal('presetsModal'));
+  if (el('presetsModal')) el('presetsModal').addEventListener('click', (e) => {
+    if (e.target === el('presetsModal')) closeModal('presetsModal');
+  });
+
+  // Imports and restores can bring presets along
+  ['presets-changed', 'data-imported', 'data-restored'].forEach(name => {
+    window.addEventListener(name, renderPresets);
+  });
+  renderPresets();
+}
@@ -0,0 +1,89 @@
+/* =============================
+   Report Feature
+   Print or download a report of the currently listed items (search + filters)
+   ============================= */
+
+import { el } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import { getFilteredItems } from './search.js';
+import { buildReportHtml, reportFileName } from '../reportGenerator.js';
+import { downloadBlob } from '../dataManager.js';
+
+function setStatus(message) {
+  el('reportStatus').textContent = message;
+}
+
+function readOptions() {
+  const query = el('searchInput').value.trim();
+  return {
+    title: el('reportTitle').value.trim() || 'GourmetApp Report',
+    subtitle: query ? `Search: "${query}"` : '',
+    includePhotos: el('reportPhotos').checked
+  };
+}
+
+async function buildReport() {
+  const items = await getFilteredItems();
+  if (items.length === 0) {
+    setStatus('No items in the current list.');
+    return null;
+  }
+  setStatus('Preparing report...');
+  try {
+    const html = await buildReportHtml(items, readOptions());
+    setStatus('');
+    return html;
+  } catch (e) {
+    console.error('Report failed:', e);
+    setStatus('Error: ' + e.message);
+    return null;
+  }
+}
+
+// Print through a hidden frame: works in the installed app, where popups are unavailable
+function printHtml(html) {
+  const frame = document.createElement('iframe');
+  frame.className = 'report-print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Printing blocks until the dialog closes (or returns at once on some browsers)
+    setTimeout(() => frame.remove(), 60000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+async function handlePrint() {
+  const html = await buildReport();
+  if (html) printHtml(html);
+}
+
+async function handleDownload() {
+  const html = await buildReport();
+  if (!html) return;
+  downloadBlob(new Blob([html], { type: 'text/html' }), reportFileName());
+  setStatus('Report downloaded. Open it in a browser to print or save it as PDF.');
+}
+
+export async function showReport() {
+  const items = await getFilteredItems();
+  el('reportCount').textContent = items.length === 1
+    ? '1 item in the current list'
+    : `${items.length} items in the current list`;
+  setStatus('');
+  openModal('reportModal');
+}
+
+export function initReport() {
+  if (!el('reportModal')) return;
+
+  el('reportPrintBtn').addEventListener('click', handlePrint);
+  el('reportDownloadBtn').addEventListener('click', handleDownload);
+
+  el('backReportBtn').addEventListener('click', () => closeModal('reportModal'));
+  el('reportModal').addEventListener('click', (e) => {
+    if (e.target === el('reportModal')) closeModal('reportModal');
+  });
+}
@@ -1,12 +1,329 @@
 /* =============================
    Search Functionality
+   Besides free text, the search box understands a small query syntax:
+     type:wine rating>=4 country:italy year<2015 place:"Wine Bar" -notes:corked
+   - field:value   text fields contain the value, numbers are equal, type is the key or label
+   - field=value   exact match (field!=value: anything else)
+   - > >= < <=     numeric comparison
+   - "quotes"      values or phrases with spaces; a leading - excludes matches
+   Fields are name, notes, type, subtype, barcode, rating, place and every dynamic field
+   of the item types (e.g. year, country).
+   Free-text words ignore accents and tolerate typos (see searchIndex.js); results are
+   ranked by relevance, available to the list ordering through getSearchRelevance().
    ============================= */
 
-import { el } from '../utils.js';
-import { searchIndex_fast } from '../searchIndex.js';
+import { el, escapeHtml } from '../utils.js';
+import { searchIndex_fast, searchScores, normalizeSearchText, tokenizeSearchText } from '../searchIndex.js';
 import { getItemsByIds } from '../db.js';
+import { getConfig, getTypeInfo } from '../config.js';
+import { getAllPlaces } from '../models/places.js';
+import { applyFilters } from './filters.js';
 
-export function setupSearch(onSearchResults) {
+/* ===== Query parsing ===== */
+
+const BUILTIN_FIELDS = {
+  name: { kind: 'text', values: item => [item.name] },
+  notes: { kind: 'text', values: item => [item.notes] },
+  type: { kind: 'type' },
+  subtype: { kind: 'text', values: item => [item.sub_type] },
+  barcode: { kind: 'text', values: item => item.barcodes || [] },
+  rating: { kind: 'number', values: item => [Number(item.rating) || 0] },
+  place: { kind: 'place' }
+};
+
+const FIELD_ALIASES = { sub_type: 'subtype', barcodes: 'barcode', places: 'place' };
+
+const TERM_PATTERN = /^(-?)([A-Za-z_]\w*)(>=|<=|!=|:|=|>|<)(.*)$/;
+
+// Result of the last query run: item id -> relevance, and the words to highlight
+let relevance = new Map();
+let highlightWords = [];
+
+/**
+ * Fields available in queries: the built-in ones plus the dynamic fields of every item type
+ * @returns {Map<string, {kind: string, label: string}>}
+ */
+export function getQueryFields() {
+  const fields = new Map(Object.entries(BUILTIN_FIELDS).map(([name, field]) => [name, { ...field, label: name }]));
+  Object.values(getConfig()).forEach(typeInfo => {
+    (typeInfo.fields || []).forEach(field => {
+      const name = field.name.toLowerCase();
+      if (BUILTIN_FIELDS[name]) return;
+      const existing = fields.get(name);
+      // A field is numeric only if it is a number in every type that has it
+      const kind = field.type === 'number' && (!existing || existing.kind === 'number') ? 'number' : 'text';
+      fields.set(name, {
+        kind,
+        label: field.label || field.name,
+        values: item => [item[field.name]]
+      });
+    });
+  });
+  return fields;
+}
+
+// Split on whitespace outside double quotes, keeping each token's position
+function tokenize(query) {
+  const tokens = [];
+  const errors = [];
+  let start = -1;
+  let quoteAt = -1;
+  for (let i = 0; i <= query.length; i++) {
+    const ch = query[i];
+    const atEnd = i === query.length;
+    if (!atEnd && ch === '"') {
+      if (start === -1) start = i;
+      quoteAt = quoteAt === -1 ? i : -1;
+      continue;
+    }
+    if (atEnd || (/\s/.test(ch) && quoteAt === -1)) {
+      if (start !== -1) tokens.push({ text: query.slice(start, i), start, end: i });
+      start = -1;
+      continue;
+    }
+    if (start === -1) start = i;
+  }
+  if (quoteAt !== -1) errors.push({ start: quoteAt, end: query.length, message: 'Missing closing quote' });
+  return { tokens, errors };
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1').replace(/"/g, '');
+}
+
+/**
+ * Parse a search query
+ * @param {string} query
+ * @returns {{text: Array<{value: string, negate: boolean, phrase: boolean}>, terms: Array, errors: Array<{start: number, end: number, message: string}>}}
+ *   text: free-text words/phrases (phrase: quoted, matched as written); terms: { field, op, value, number, negate }; errors with their position in the query
+ */
+export function parseSearchQuery(query) {
+  const fields = getQueryFields();
+  const { tokens, errors } = tokenize(query || '');
+  const text = [];
+  const terms = [];
+
+  tokens.forEach(token => {
+    const match = token.text.match(TERM_PATTERN);
+    if (!match) {
+      const negate = token.text.startsWith('-') && token.text.length > 1;
+      const value = unquote(negate ? token.text.slice(1) : token.text).trim();
+      if (value) text.push({ value: value.toLowerCase(), negate, phrase: token.text.includes('"') });
+      return;
+    }
+
+    const [, minus, rawField, op, rawValue] = match;
+    const field = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+    const value = unquote(rawValue).trim();
+    const fail = (message) => errors.push({ start: token.start, end: token.end, message });
+
+    const definition = fields.get(field);
+    if (!definition) return fail(`Unknown field "${rawField}"`);
+    if (!value) return fail(`Missing value after ${rawField}${op}`);
+    const comparison = ['>', '>=', '<', '<='].includes(op);
+    if (comparison && definition.kind !== 'number') return fail(`${rawField} is not a number field; use ${rawField}:value`);
+    const number = Number(value.replace(',', '.'));
+    if (definition.kind === 'number' && Number.isNaN(number)) {
+      return fail(`"${value}" is not a number`);
+    }
+    terms.push({ field, op, value: value.toLowerCase(), number, negate: minus === '-', kind: definition.kind });
+    return undefined;
+  });
+
+  return { text, terms, errors };
+}
+
+/* ===== Query evaluation ===== */
+
+function compare(actual, term) {
+  switch (term.op) {
+    case '>': return actual > term.number;
+    case '>=': return actual >= term.number;
+    case '<': return actual < term.number;
+    case '<=': return actual <= term.number;
+    default: return actual === term.number;
+  }
+}
+
+function matchesText(values, term) {
+  const texts = values.filter(v => v !== undefined && v !== null && v !== '').map(v => normalizeSearchText(v));
+  const value = normalizeSearchText(term.value);
+  if (term.op === '=') return texts.includes(value);
+  if (term.op === '!=') return !texts.includes(value);
+  return texts.some(text => text.includes(value));
+}
+
+function matchesTerm(item, term, fields, placeNames) {
+  if (term.kind === 'type') {
+    const typeInfo = getTypeInfo(item.type);
+    const names = [String(item.type || '').toLowerCase(), String(typeInfo.label || '').toLowerCase()];
+    const equal = names.includes(term.value);
+    if (term.op === '!=') return !equal;
+    return term.op === '=' ? equal : equal || names.some(n => n.startsWith(term.value));
+  }
+  if (term.kind === 'place') {
+    return matchesText((item.places || []).map(id => placeNames.get(id)), term);
+  }
+  const values = fields.get(term.field).values(item);
+  if (term.kind === 'number') {
+    const numbers = values.filter(v => v !== undefined && v !== null && v !== '').map(Number).filter(n => !Number.isNaN(n));
+    if (term.op === '!=') return !numbers.some(n => n === term.number);
+    return numbers.some(n => compare(n, term));
+  }
+  return matchesText(values, term);
+}
+
+/**
+ * Ids matching a parsed query: every free-text word through the search index, then the field terms
+ * Invalid terms (see errors) are left out so the list keeps following the valid part
+ * @param {object} parsed - Result of parseSearchQuery
+ * @returns {Promise<Array>} Matching items
+ */
+export async function runSearchQuery(parsed) {
+  let scores = null;
+  const excluded = new Set();
+  parsed.text.forEach(({ value, negate, phrase }) => {
+    // Exclusions match as written: "-wine" shouldn't drop "vine" as a typo
+    const matches = searchScores(value, { phrase: phrase || negate });
+    if (negate) {
+      for (const id of matches.keys()) excluded.add(id);
+    } else if (scores === null) {
+      scores = matches;
+    } else {
+      // Every word has to match; the relevance adds up
+      scores = new Map([...scores].filter(([id]) => matches.has(id)).map(([id, score]) => [id, score + matches.get(id)]));
+    }
+  });
+  relevance = scores || new Map();
+  highlightWords = parsed.text.filter(t => !t.negate).flatMap(t => tokenizeSearchText(t.value));
+
+  const ids = (scores ? [...scores.keys()] : searchIndex_fast('')).filter(id => !excluded.has(id));
+
+  const items = await getItemsByIds(ids);
+  if (parsed.terms.length === 0) return items;
+
+  const fields = getQueryFields();
+  const placeNames = parsed.terms.some(term => term.kind === 'place')
+    ? new Map((await getAllPlaces()).map(place => [place.id, place.name]))
+    : new Map();
+  return items.filter(item => parsed.terms.every(term => matchesTerm(item, term, fields, placeNames) !== term.negate));
+}
+
+/**
+ * Relevance of an item for the last search (0 without free text)
+ */
+export function getSearchRelevance(id) {
+  return relevance.get(id) || 0;
+}
+
+/**
+ * Normalised free-text words of the last search, for highlighting matches
+ */
+export function getHighlightWords() {
+  return highlightWords;
+}
+
+/**
+ * Items currently listed: matches of the search box, narrowed by the active filters
+ */
+export async function getFilteredItems() {
+  const items = await runSearchQuery(parseSearchQuery(el('searchInput').value.trim()));
+  return applyFilters(items);
+}
+
+/* ===== Query feedback: errors and field autocomplete ===== */
+
+// The query with its invalid parts marked, followed by the messages
+function renderQueryErrors(query, errors) {
+  const help = el('searchQueryHelp');
+  if (!help) return;
+  el('searchInput').classList.toggle('query-invalid', errors.length > 0);
+  if (errors.length === 0) {
+    help.innerHTML = '';
+    help.classList.remove('visible');
+    return;
+  }
+  const sorted = [...errors].sort((a, b) => a.start - b.start);
+  let html = '';
+  let pos = 0;
+  sorted.forEach(error => {
+    if (error.start < pos) return;
+    html += escapeHtml(query.slice(pos, error.start));
+    html += `<mark class="query-error">${escapeHtml(query.slice(error.start, error.end))}</mark>`;
+    pos = error.end;
+  });
+  html += escapeHtml(query.slice(pos));
+  help.innerHTML = `
+    <div class="query-text">${html}</div>
+    ${sorted.map(error => `<div class="query-message">${escapeHtml(error.message)}</div>`).join('')}`;
+  help.classList.add('visible');
+}
+
+// Token under the caret, if it can still become a field name (or a type after "type:")
+function currentToken(input) {
+  const caret = input.selectionStart ?? input.value.length;
+  const before = input.value.slice(0, caret);
+  const match = before.match(/(^|\s)(-?)([A-Za-z_]\w*(?::[\w-]*)?)$/);
+  if (!match) return null;
+  return { text: match[3], start: caret - match[3].length, end: caret };
+}
+
+function suggestionsFor(token) {
+  if (!token) return [];
+  const lower = token.text.toLowerCase();
+  if (lower.startsWith('type:')) {
+    const prefix = lower.slice(5);
+    return Object.keys(getConfig())
+      .filter(key => key.toLowerCase().startsWith(prefix) && key.toLowerCase() !== prefix)
+      .map(key => ({ insert: `type:${key} `, label: `type:${key}`, hint: getTypeInfo(key).label }));
+  }
+  if (lower.includes(':')) return [];
+  return [...getQueryFields().entries()]
+    .filter(([name]) => name.startsWith(lower) && name !== lower)
+    .slice(0, 8)
+    .map(([name, field]) => ({
+      insert: field.kind === 'number' ? name : `${name}:`,
+      label: field.kind === 'number' ? `${name} (: > <)` : `${name}:`,
+      hint: field.label !== name ? field.label : ''
+    }));
+}
+
+function renderSuggestions(input) {
+  const box = el('searchSuggestions');
+  if (!box) return;
+  const token = currentToken(input);
+  const suggestions = document.activeElement === input ? suggestionsFor(token) : [];
+  box.classList.toggle('visible', suggestions.length > 0);
+  box.innerHTML = suggestions.map((s, index) => `
+    <button type="button" class="search-suggestion" data-index="${index}">
+      <span>${escapeHtml(s.label)}</span>${s.hint ? `<span class="muted">${escapeHtml(s.hint)}</span>` : ''}
+    </button>`).join('');
+  box.querySelectorAll('.search-suggestion').forEach(btn => {
+    // mousedown keeps the focus in the search box
+    btn.addEventListener('mousedown', (e) => e.preventDefault());
+    btn.addEventListener('click', () => {
+      const suggestion = suggestions[Number(btn.getAttribute('data-index'))];
+      input.value = input.value.slice(0, token.start) + suggestion.insert + input.value.slice(token.end);
+      const caret = token.start + suggestion.insert.length;
+      input.focus();
+      input.setSelectionRange(caret, caret);
+      input.dispatchEvent(new Event('input'));
+    });
+  });
+}
+
+function updateQueryFeedback() {
+  const input = el('searchInput');
+  const query = input.value.trim();
+  renderQueryErrors(query, parseSearchQuery(query).errors);
+  renderSuggestions(input);
+}
+
+/**
+ * Wire the search box
+ * @param {Function} onSearch - Called when the query changes; it lists getFilteredItems(), which runs the query
+ */
+export function setupSearch(onSearch) {
   const searchInput = el('searchInput');
   const clearBtn = el('clearSearchBtn');
 
@@ -21,17 +338,20 @@ export function setupSearch(onSearchResults) {
 
   searchInput.oninput = async () => {
     updateClearButton();
-    const query = searchInput.value.trim();
-
-    // Use the fast search index to get matching IDs
-    const matchingIds = searchIndex_fast(query);
-
-    // Fetch only the matching items from the database
-    const items = await getItemsByIds(matchingIds);
-
-    if (onSearchResults) onSearchResults(items);
+    updateQueryFeedback();
+    if (onSearch) await onSearch();
   };
 
+  // Field suggestions follow the caret and disappear when leaving the search box
+  searchInput.addEventListener('keyup', (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') renderSuggestions(searchInput);
+  });
+  searchInput.addEventListener('focus', () => renderSuggestions(searchInput));
+  searchInput.addEventListener('blur', () => {
+    const box = el('searchSuggestions');
+    if (box) box.classList.remove('visible');
+  });
+
   // Clear button click handler
   clearBtn.onclick = () => {
     searchInput.value = '';
@@ -49,6 +369,8 @@ export function setSearchValue(value) {
   const searchInput = el('searchInput');
   searchInput.value = value;
 
+  updateQueryFeedback();
+
   // Update clear button visibility when search value is set programmatically
   const clearBtn = el('clearSearchBtn');
   if (clearBtn) {
@@ -0,0 +1,79 @@
+/* =============================
+   Share Items
+   Sends one item (from its details) or a selection from the list as a share file
+   ============================= */
+
+import { el } from '../utils.js';
+import { shareItems } from '../dataManager.js';
+import { startSelection, endSelection, getSelectedIds, toggleSelectAll } from './itemList.js';
+import { showSnackbar } from '../components/snackbar.js';
+
+/**
+ * Share items, reporting the outcome in a snackbar
+ * @param {Array<number>} itemIds
+ * @param {string} title - Share sheet title
+ * @returns {Promise<boolean>} Whether the file was shared or downloaded
+ */
+export async function shareItemsWithFeedback(itemIds, title) {
+  try {
+    const outcome = await shareItems(itemIds, title);
+    if (outcome === 'downloaded') {
+      showSnackbar(`Share file saved (${itemIds.length} item${itemIds.length !== 1 ? 's' : ''}). Send it to a friend to import.`);
+    }
+    return outcome !== null;
+  } catch (err) {
+    console.error('Share failed:', err);
+    showSnackbar('Could not create the share file');
+    return false;
+  }
+}
+
+/**
+ * Share a link into the app (share sheet, or copied to the clipboard)
+ * Links point into this device's data: item ids differ between devices
+ * @param {string} url
+ * @param {string} title - Share sheet title
+ */
+export async function shareLinkWithFeedback(url, title) {
+  try {
+    if (navigator.share) {
+      await navigator.share({ title, url });
+      return;
+    }
+    await navigator.clipboard.writeText(url);
+    showSnackbar('Link copied');
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    // No share sheet or clipboard access: let the user copy it
+    prompt('Copy this link:', url);
+  }
+}
+
+/**
+ * Enter multi-select mode on the item list
+ */
+export function startShareSelection() {
+  startSelection();
+}
+
+export function initShare() {
+  const bar = el('selectionBar');
+  if (!bar) return;
+
+  window.addEventListener('selection-changed', (e) => {
+    const { selecting, count } = e.detail;
+    bar.classList.toggle('active', selecting);
+    el('selectionCount').textContent = count === 0 ? 'Select items' : `${count} selected`;
+    el('selectionShareBtn').disabled = count === 0;
+  });
+
+  el('selectionAllBtn').addEventListener('click', toggleSelectAll);
+  el('selectionCancelBtn').addEventListener('click', endSelection);
+  el('selectionShareBtn').addEventListener('click', async () => {
+    const ids = getSelectedIds();
+    if (ids.length === 0) return;
+    if (await shareItemsWithFeedback(ids, `${ids.length} GourmetApp item${ids.length !== 1 ? 's' : ''}`)) {
+      endSelection();
+    }
+  });
+}
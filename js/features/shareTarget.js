@@ -0,0 +1,49 @@
+/* =============================
+   Share Target
+   Photos shared to the app from other apps (Web Share Target, see manifest.webmanifest):
+   the service worker parks them in a cache and opens #/shared, where they become the
+   photos of a new item in the editor
+   ============================= */
+
+import { processPhotoForEditing, blobToDataURL } from '../components/photos.js';
+import { openEditor } from './itemEditor.js';
+
+const SHARE_CACHE = 'gourmetapp-shared';
+
+/**
+ * Take the photos waiting from a share (they are removed from the cache)
+ * @returns {Promise<Array<Blob>>}
+ */
+async function takeSharedPhotos() {
+  if (!('caches' in window)) return [];
+  const cache = await caches.open(SHARE_CACHE);
+  const photos = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    if (response) photos.push(await response.blob());
+    await cache.delete(request);
+  }
+  return photos;
+}
+
+/**
+ * Open the editor for a new item with the shared photos attached
+ * @param {Function} onSave - Called after the item is saved
+ */
+export async function openEditorWithSharedPhotos(onSave) {
+  const photos = await takeSharedPhotos();
+  if (photos.length === 0) {
+    alert('The shared photos could not be found. Please share them again.');
+    return;
+  }
+  try {
+    const photoIds = [];
+    for (const photo of photos) {
+      photoIds.push(await processPhotoForEditing(await blobToDataURL(photo)));
+    }
+    await openEditor({ photos: photoIds }, onSave);
+  } catch (err) {
+    console.error('Could not add the shared photos:', err);
+    alert('The shared photos could not be added. Please try another photo.');
+  }
+}
@@ -4,10 +4,21 @@
 
 import { el, escapeHtml } from '../utils.js';
 import { checkUpdateStatus, showUpdateBannerManually } from '../updateManager.js';
-import { exportAllData, importData } from '../dataManager.js';
+import { exportAllData, exportDelta, getLastExportDate, importData, restoreBackupChain } from '../dataManager.js';
 import { openInlinePlaceEditor, openCreatePlaceEditor } from '../components/placeEditor.js';
 import { openItemTypeEditor, openCreateItemTypeEditor } from '../components/itemTypeEditor.js';
 import { openModal, closeModal } from '../components/modal.js';
+import { showImportPreview } from './importPreview.js';
+import { askPassphrase, askExportPassphrase } from './passphrase.js';
+import { initCsvImport, openCsvImportWizard } from './csvImport.js';
+import { exportItemsCsv } from '../csvManager.js';
+import { initBackups, showBackups } from './backups.js';
+import { initTrash, showTrash } from './trash.js';
+import { initSync, showSync } from './sync.js';
+import { initSyncServer, showSyncServer } from './syncServer.js';
+import { initShare, startShareSelection } from './share.js';
+import { initReport, showReport } from './report.js';
+import { initPresets, showPresets } from './presets.js';
 
 let sideMenuOpen = false;
 let aboutDialogOpen = false;
@@ -36,6 +47,16 @@ export function initSideMenu() {
     closeSideMenu();
   });
 
+  if (el('exportEncryptedBtn')) el('exportEncryptedBtn').addEventListener('click', () => {
+    closeSideMenu();
+    exportEncrypted();
+  });
+
+  if (el('shareItemsBtn')) el('shareItemsBtn').addEventListener('click', () => {
+    closeSideMenu();
+    startShareSelection();
+  });
+
   if (el('importDataBtn')) el('importDataBtn').addEventListener('click', () => {
     el('importFileInput') && el('importFileInput').click();
   });
@@ -45,6 +66,79 @@ export function initSideMenu() {
     closeSideMenu();
   });
 
+  if (el('restoreBackupBtn')) el('restoreBackupBtn').addEventListener('click', () => {
+    if (el('restoreFileInput')) el('restoreFileInput').click();
+  });
+
+  if (el('restoreFileInput')) el('restoreFileInput').addEventListener('change', (e) => {
+    handleRestoreFile(e);
+    closeSideMenu();
+  });
+
+  if (el('exportDeltaBtn')) el('exportDeltaBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showDeltaExportDialog();
+  });
+
+  if (el('confirmDeltaExportBtn')) el('confirmDeltaExportBtn').addEventListener('click', handleDeltaExport);
+  if (el('backDeltaExportBtn')) el('backDeltaExportBtn').addEventListener('click', () => closeModal('deltaExportModal'));
+  if (el('deltaExportModal')) el('deltaExportModal').addEventListener('click', (e) => {
+    if (e.target === el('deltaExportModal')) closeModal('deltaExportModal');
+  });
+
+  if (el('reportBtn')) el('reportBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showReport();
+  });
+
+  if (el('presetsBtn')) el('presetsBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showPresets();
+  });
+
+  if (el('exportCsvBtn')) el('exportCsvBtn').addEventListener('click', () => {
+    exportCsv();
+    closeSideMenu();
+  });
+
+  if (el('importCsvBtn')) el('importCsvBtn').addEventListener('click', () => {
+    if (el('csvFileInput')) el('csvFileInput').click();
+  });
+
+  if (el('csvFileInput')) el('csvFileInput').addEventListener('change', (e) => {
+    handleCsvFile(e);
+    closeSideMenu();
+  });
+
+  if (el('backupsBtn')) el('backupsBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showBackups();
+  });
+
+  if (el('trashBtn')) el('trashBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showTrash();
+  });
+
+  if (el('syncBtn')) el('syncBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showSync();
+  });
+
+  if (el('syncServerBtn')) el('syncServerBtn').addEventListener('click', () => {
+    closeSideMenu();
+    showSyncServer();
+  });
+
+  initCsvImport();
+  initBackups();
+  initTrash();
+  initSync();
+  initSyncServer();
+  initShare();
+  initReport();
+  initPresets();
+
   if (el('aboutBtn')) el('aboutBtn').addEventListener('click', () => {
     showAboutDialog();
     closeSideMenu();
@@ -513,6 +607,22 @@ async function exportData() {
   }
 }
 
+async function exportEncrypted() {
+  const passphrase = await askPassphrase({
+    title: 'Export Encrypted',
+    message: 'Choose a passphrase for this export. It is needed to import or restore the file and cannot be recovered if you forget it.',
+    confirm: true
+  });
+  if (!passphrase) return;
+  try {
+    await exportAllData({ passphrase });
+    showNotification('\u2713 Encrypted export saved', 'success');
+  } catch (err) {
+    showNotification('\u2717 Failed to export data', 'error');
+    console.error('Encrypted export failed:', err);
+  }
+}
+
 async function handleImportFile(event) {
   const file = event.target.files?.[0];
   if (!file) return;
@@ -521,15 +631,127 @@ async function handleImportFile(event) {
   event.target.value = '';
 
   try {
-    await importData(file); // Pass File directly for ZIP/JSON support
-    showNotification('\u2713 Import complete! All tables and photos imported (ZIP/JSON).', 'success');
+    // Pass File directly for ZIP/JSON support; the preview shows the dry run and collects conflict choices
+    const result = await importData(file, { resolveConflicts: showImportPreview, getPassphrase: askExportPassphrase });
+    if (!result) return; // Cancelled from the preview
+    showNotification(`\u2713 Import complete! ${result.added} added, ${result.updated} updated, ${result.skipped} unchanged.`, 'success');
+    window.dispatchEvent(new CustomEvent('data-imported'));
+  } catch (error) {
+    if (error.code === 'cancelled') return;
+    console.error('Import error:', error, error.errors);
+    if (error.code === 'tampered' || error.code === 'unsupported') {
+      showNotification(`\u2717 Failed to import data. ${error.message}`, 'error');
+      return;
+    }
+    showNotification(`\u2717 Failed to import data. Please check the ZIP or JSON file format.${formatErrorDetails(error)}`, 'error');
+  }
+}
+
+async function handleRestoreFile(event) {
+  // One full backup and/or delta exports to apply on top of it
+  const files = Array.from(event.target.files || []);
+  if (files.length === 0) return;
+
+  // Reset the input so the same file can be restored again if needed
+  event.target.value = '';
+
+  const message = files.length > 1
+    ? `Restore from these ${files.length} files?\n\nThe full backup replaces all current items, places, photos and item types, then the delta exports are applied in order. This cannot be undone.`
+    : 'Restore from this backup?\n\nAll current items, places, photos and item types will be replaced. This cannot be undone.';
+  if (!confirm(message)) {
+    return;
+  }
+
+  try {
+    const result = await restoreBackupChain(files, { getPassphrase: askExportPassphrase });
+    const parts = [];
+    if (result.restored) {
+      parts.push(`${result.restored.items} items, ${result.restored.places} places, ${result.restored.photos} photos restored`);
+    }
+    if (result.deltas > 0) {
+      parts.push(`${result.deltas} delta(s) applied (${result.updated} changed, ${result.deleted} deleted)`);
+    }
+    showNotification(`\u2713 Backup restored: ${parts.join('; ')}.`, 'success');
+    window.dispatchEvent(new CustomEvent('data-restored'));
+  } catch (error) {
+    if (error.code === 'cancelled') return;
+    console.error('Restore error:', error, error.errors);
+    // Validation happens before anything is written
+    const unchanged = error.errors ? ' Your data was not changed.' : '';
+    showNotification(`\u2717 Restore failed.${unchanged}${formatErrorDetails(error)}`, 'error');
+  }
+}
+
+// datetime-local value for a timestamp, in local time
+function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+function showDeltaExportDialog() {
+  const lastExport = getLastExportDate();
+  // Default to the last export, or a week ago if this device never exported
+  el('deltaSinceInput').value = toDateTimeLocal(lastExport || Date.now() - 7 * 24 * 60 * 60 * 1000);
+  el('deltaExportHint').textContent = lastExport
+    ? `Last export from this device: ${new Date(lastExport).toLocaleString()}`
+    : 'No export from this device yet.';
+  openModal('deltaExportModal');
+}
+
+async function handleDeltaExport() {
+  const since = new Date(el('deltaSinceInput').value).getTime();
+  if (Number.isNaN(since)) {
+    el('deltaExportHint').textContent = 'Please choose a date and time.';
+    return;
+  }
+  closeModal('deltaExportModal');
+  try {
+    const counts = await exportDelta(since);
+    const changed = (counts.items || 0) + (counts.places || 0) + (counts.itemTypes || 0) + (counts.tastings || 0);
+    showNotification(`\u2713 Exported ${changed} changed record(s), ${counts.photos || 0} photo(s) and ${counts.tombstones || 0} deletion(s).`, 'success');
+  } catch (error) {
+    console.error('Delta export error:', error);
+    showNotification('\u2717 Failed to export changes.', 'error');
+  }
+}
+
+async function exportCsv() {
+  try {
+    const fileCount = await exportItemsCsv();
+    showNotification(`\u2713 Exported ${fileCount} CSV file(s), one per item type.`, 'success');
+  } catch (error) {
+    console.error('CSV export error:', error);
+    showNotification(`\u2717 CSV export failed. ${error.message}`, 'error');
+  }
+}
+
+async function handleCsvFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  // Reset the input so the same file can be imported again if needed
+  event.target.value = '';
+
+  try {
+    const result = await openCsvImportWizard(file);
+    if (!result) return; // Wizard cancelled
+    const placesNote = result.placesCreated > 0 ? `, ${result.placesCreated} new place(s)` : '';
+    showNotification(`\u2713 CSV import complete! ${result.added} item(s) added${placesNote}, ${result.skipped} skipped.`, 'success');
     window.dispatchEvent(new CustomEvent('data-imported'));
   } catch (error) {
-    console.error('Import error:', error);
-    showNotification('\u2717 Failed to import data. Please check the ZIP or JSON file format.', 'error');
+    console.error('CSV import error:', error);
+    showNotification(`\u2717 Failed to import CSV. ${error.message}`, 'error');
   }
 }
 
+// First few field-level validation errors, for notifications
+function formatErrorDetails(error) {
+  if (!error.errors || error.errors.length === 0) return '';
+  const more = error.errors.length > 3 ? `\n\u2026and ${error.errors.length - 3} more` : '';
+  return `\n${error.errors.slice(0, 3).join('\n')}${more}`;
+}
+
 function showAboutDialog() {
   aboutDialogOpen = true;
   const dialog = el('aboutDialog');
@@ -0,0 +1,173 @@
+/* =============================
+   Sort Feature
+   Ordering of the item list, used by the All view, search results and the groups of the
+   Nearby view. The choice is kept in localStorage.
+   ============================= */
+
+import { el, escapeHtml } from '../utils.js';
+import { getConfig } from '../config.js';
+import { getSearchRelevance } from './search.js';
+
+const SORT_SETTINGS_KEY = 'listSort';
+const DEFAULT_SORT = { key: 'relevance', direction: 'desc' };
+
+// defaultDirection applies when the option is picked
+// Best match ranks search results; without a search it falls back to rating, then name
+const BASE_OPTIONS = [
+  { key: 'relevance', label: 'Best match', defaultDirection: 'desc' },
+  { key: 'rating', label: 'Rating', defaultDirection: 'desc' },
+  { key: 'name', label: 'Name', defaultDirection: 'asc' },
+  { key: 'createdAt', label: 'Date added', defaultDirection: 'desc' },
+  { key: 'updatedAt', label: 'Last updated', defaultDirection: 'desc' },
+  { key: 'type', label: 'Type', defaultDirection: 'asc' },
+  { key: 'distance', label: 'Distance', defaultDirection: 'asc' }
+];
+
+const FIELD_PREFIX = 'field:';
+
+let sortChangeCallback = null;
+
+/**
+ * Sort options: the fixed ones plus every numeric dynamic field (e.g. vintage), as { key, label, defaultDirection }
+ */
+export function getSortOptions() {
+  const numericFields = new Map(); // field name -> labels
+  Object.values(getConfig()).forEach(typeInfo => {
+    (typeInfo.fields || []).filter(field => field.type === 'number').forEach(field => {
+      if (!numericFields.has(field.name)) numericFields.set(field.name, new Set());
+      numericFields.get(field.name).add(field.label || field.name);
+    });
+  });
+  const fieldOptions = [...numericFields.entries()].map(([name, labels]) => ({
+    key: `${FIELD_PREFIX}${name}`,
+    label: [...labels].join(' / '),
+    defaultDirection: 'desc'
+  }));
+  return [...BASE_OPTIONS, ...fieldOptions];
+}
+
+/**
+ * Get the list ordering as { key, direction }
+ */
+export function getSortSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SORT_SETTINGS_KEY) || '{}');
+    return {
+      key: typeof saved.key === 'string' ? saved.key : DEFAULT_SORT.key,
+      direction: saved.direction === 'asc' ? 'asc' : 'desc'
+    };
+  } catch (e) {
+    return { ...DEFAULT_SORT };
+  }
+}
+
+export function setSortSettings(sort) {
+  localStorage.setItem(SORT_SETTINGS_KEY, JSON.stringify(sort));
+  renderSortControls();
+  if (sortChangeCallback) sortChangeCallback(sort);
+}
+
+// Value compared for a sort key; null sorts last whatever the direction
+function sortValue(item, key, typeRanks) {
+  switch (key) {
+    case 'relevance': return getSearchRelevance(item.id);
+    case 'rating': return Number(item.rating) || 0;
+    case 'name': return (item.name || '').toLowerCase();
+    case 'createdAt': return item.createdAt || null;
+    case 'updatedAt': return item.updatedAt || item.createdAt || null;
+    case 'type': return typeRanks.get(item.type) ?? Number.MAX_SAFE_INTEGER;
+    case 'distance': return Number.isFinite(item.distance) ? item.distance : null;
+    default: {
+      if (!key.startsWith(FIELD_PREFIX)) return null;
+      const value = item[key.slice(FIELD_PREFIX.length)];
+      const number = value === '' || value === null || value === undefined ? NaN : Number(value);
+      return Number.isNaN(number) ? null : number;
+    }
+  }
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a - b;
+}
+
+// Ties keep the original ordering: rating descending, then name
+function compareByRatingThenName(a, b) {
+  const ratingDiff = (Number(b.rating) || 0) - (Number(a.rating) || 0);
+  if (ratingDiff !== 0) return ratingDiff;
+  return (a.name || '').toLowerCase().localeCompare((b.name || '').toLowerCase());
+}
+
+/**
+ * Sort items (a sorted copy is returned)
+ * Items without a value for the sort key (no vintage, no location...) go last
+ * @param {Array} items
+ * @param {{key: string, direction: 'asc'|'desc'}} sort - Defaults to the saved ordering
+ * @returns {Array}
+ */
+export function sortItems(items, sort = getSortSettings()) {
+  const config = getConfig();
+  // Type rank = position in the item type configuration (rank order), then label
+  const typeRanks = new Map(Object.keys(config)
+    .sort((a, b) => (config[a].rank || 999) - (config[b].rank || 999) || (config[a].label || a).localeCompare(config[b].label || b))
+    .map((type, index) => [type, index]));
+  const factor = sort.direction === 'asc' ? 1 : -1;
+
+  return items
+    .map(item => ({ item, value: sortValue(item, sort.key, typeRanks) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        if (a.value !== b.value) return a.value === null ? 1 : -1;
+      } else {
+        const diff = compareValues(a.value, b.value);
+        if (diff !== 0) return diff * factor;
+      }
+      return compareByRatingThenName(a.item, b.item);
+    })
+    .map(entry => entry.item);
+}
+
+/* ===== Sort controls ===== */
+
+function renderSortControls() {
+  const select = el('sortSelect');
+  if (!select) return;
+  const sort = getSortSettings();
+  const options = getSortOptions();
+  // A numeric field may have been removed from its item type since it was picked
+  const current = options.some(option => option.key === sort.key) ? sort.key : DEFAULT_SORT.key;
+  const html = options.map(option =>
+    `<option value="${escapeHtml(option.key)}">${escapeHtml(option.label)}</option>`
+  ).join('');
+  // Rebuilding the options of an opening dropdown can close it: only when they changed
+  if (select._optionsHtml !== html) {
+    select.innerHTML = html;
+    select._optionsHtml = html;
+  }
+  select.value = current;
+  const ascending = sort.direction === 'asc';
+  el('sortDirectionBtn').textContent = ascending ? '↑' : '↓';
+  el('sortDirectionBtn').setAttribute('aria-label', ascending ? 'Ascending (tap for descending)' : 'Descending (tap for ascending)');
+}
+
+/**
+ * Initialize the sort controls
+ * @param {Function} onSortChange - Called with { key, direction } when the ordering changes
+ */
+export function initSort(onSortChange) {
+  sortChangeCallback = onSortChange;
+  const select = el('sortSelect');
+  if (!select) return;
+
+  renderSortControls();
+  // Item types (and their numeric fields) can change while the app is open
+  select.addEventListener('focus', renderSortControls);
+  select.addEventListener('change', () => {
+    const option = getSortOptions().find(o => o.key === select.value) || BASE_OPTIONS[0];
+    setSortSettings({ key: option.key, direction: option.defaultDirection });
+  });
+  el('sortDirectionBtn').addEventListener('click', () => {
+    const sort = getSortSettings();
+    setSortSettings({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' });
+  });
+}
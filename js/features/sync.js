@@ -0,0 +1,89 @@
+/* =============================
+   Sync Feature
+   Hand change sets between devices to keep their data in sync (works offline)
+   ============================= */
+
+import { el, escapeHtml, formatDate } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import { getSyncInfo, setDeviceName, exportChangeSet, applyChangeSet } from '../syncManager.js';
+
+function setStatus(message) {
+  el('syncStatus').textContent = message;
+}
+
+function renderSync() {
+  const { deviceName, peers } = getSyncInfo();
+  el('syncDeviceName').value = deviceName;
+
+  el('syncPeerSelect').innerHTML = [
+    '<option value="">New device (everything)</option>',
+    ...peers.map(peer => `<option value="${escapeHtml(peer.deviceId)}">${escapeHtml(peer.name || 'Unnamed device')}</option>`)
+  ].join('');
+  if (peers.length > 0) el('syncPeerSelect').value = peers[0].deviceId;
+
+  el('syncPeerList').innerHTML = peers.length === 0
+    ? '<div class="muted">No devices synced yet.</div>'
+    : peers.map(peer => `
+      <div class="sync-peer">
+        <span class="sync-peer-name">${escapeHtml(peer.name || 'Unnamed device')}</span>
+        <span class="muted">last received ${escapeHtml(formatDate(peer.lastSyncAt))}</span>
+      </div>`).join('');
+}
+
+async function handleCreateChangeSet() {
+  el('createChangeSetBtn').disabled = true;
+  setStatus('Creating change set…');
+  try {
+    const count = await exportChangeSet(el('syncPeerSelect').value || null);
+    setStatus(count === 0
+      ? 'Nothing new to send. An empty change set was saved so the other device can reply.'
+      : `Change set with ${count} change(s) saved. Open it on the other device with "Apply change set".`);
+  } catch (err) {
+    console.error('Change set export failed:', err);
+    setStatus(`Failed: ${err.message}`);
+  } finally {
+    el('createChangeSetBtn').disabled = false;
+  }
+}
+
+async function handleChangeSetFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  setStatus('Applying change set…');
+  try {
+    const result = await applyChangeSet(file);
+    setStatus(`From ${result.from}: ${result.applied} updated, ${result.deleted} deleted, ${result.skipped} already up to date or older.`);
+    renderSync();
+  } catch (err) {
+    console.error('Change set import failed:', err);
+    setStatus(`Failed: ${err.message}`);
+  }
+}
+
+/**
+ * Open the Sync modal
+ */
+export function showSync() {
+  setStatus('');
+  renderSync();
+  openModal('syncModal');
+}
+
+/**
+ * Wire up the Sync modal controls (called once on startup)
+ */
+export function initSync() {
+  if (!el('syncModal')) return;
+
+  el('syncDeviceName').addEventListener('change', (e) => setDeviceName(e.target.value));
+  el('createChangeSetBtn').addEventListener('click', handleCreateChangeSet);
+  el('applyChangeSetBtn').addEventListener('click', () => el('syncFileInput').click());
+  el('syncFileInput').addEventListener('change', handleChangeSetFile);
+
+  el('backSyncBtn').addEventListener('click', () => closeModal('syncModal'));
+  el('syncModal').addEventListener('click', (e) => {
+    if (e.target === el('syncModal')) closeModal('syncModal');
+  });
+}
@@ -0,0 +1,112 @@
+/* =============================
+   Sync Server Feature
+   Settings for background sync with a self-hosted server (URL, credentials) and its status
+   ============================= */
+
+import { el, escapeHtml, formatDate } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import { getSyncAdapters } from '../syncAdapters.js';
+import {
+  getSyncBackendSettings,
+  saveSyncBackendSettings,
+  getSyncBackendStatus,
+  testSyncBackend,
+  syncNow
+} from '../syncBackend.js';
+
+function setStatus(message) {
+  el('syncServerStatus').textContent = message;
+}
+
+function readForm() {
+  return {
+    enabled: el('syncServerToggle').checked,
+    adapter: el('syncServerAdapter').value,
+    url: el('syncServerUrl').value.trim(),
+    username: el('syncServerUser').value.trim(),
+    password: el('syncServerPassword').value,
+    token: el('syncServerToken').value.trim()
+  };
+}
+
+function renderForm() {
+  const settings = getSyncBackendSettings();
+  el('syncServerToggle').checked = settings.enabled;
+  el('syncServerAdapter').innerHTML = getSyncAdapters().map(adapter =>
+    `<option value="${escapeHtml(adapter.key)}" ${adapter.key === settings.adapter ? 'selected' : ''}>${escapeHtml(adapter.label)}</option>`
+  ).join('');
+  el('syncServerUrl').value = settings.url;
+  el('syncServerUser').value = settings.username;
+  el('syncServerPassword').value = settings.password;
+  el('syncServerToken').value = settings.token;
+}
+
+function renderState(status = getSyncBackendStatus()) {
+  const parts = [
+    status.lastSyncAt ? `Last sync ${formatDate(status.lastSyncAt)}` : 'Not synced yet',
+    status.online ? null : 'offline',
+    status.pending > 0 ? `${status.pending} operation(s) waiting` : null
+  ].filter(Boolean);
+  el('syncServerState').textContent = parts.join(' · ');
+  el('syncServerError').textContent = status.lastError ? `Last error: ${status.lastError}` : '';
+}
+
+async function handleTest() {
+  const settings = readForm();
+  setStatus('Connecting…');
+  try {
+    await testSyncBackend(settings);
+    setStatus('Connection works.');
+  } catch (err) {
+    setStatus(`Failed: ${err.message}`);
+  }
+}
+
+async function handleSyncNow() {
+  saveSyncBackendSettings(readForm());
+  if (!getSyncBackendSettings().enabled) {
+    setStatus('Turn on server sync first.');
+    return;
+  }
+  el('syncServerNowBtn').disabled = true;
+  setStatus('Syncing…');
+  try {
+    const error = await syncNow();
+    setStatus(error ? `Failed: ${error}` : 'Synced.');
+  } finally {
+    el('syncServerNowBtn').disabled = false;
+  }
+}
+
+/**
+ * Open the Sync Server modal
+ */
+export function showSyncServer() {
+  setStatus('');
+  renderForm();
+  renderState();
+  openModal('syncServerModal');
+}
+
+/**
+ * Wire up the Sync Server modal controls (called once on startup)
+ */
+export function initSyncServer() {
+  if (!el('syncServerModal')) return;
+
+  el('syncServerSaveBtn').addEventListener('click', () => {
+    saveSyncBackendSettings(readForm());
+    setStatus('Saved.');
+  });
+  el('syncServerTestBtn').addEventListener('click', handleTest);
+  el('syncServerNowBtn').addEventListener('click', handleSyncNow);
+
+  window.addEventListener('sync-status', (e) => {
+    if (el('syncServerModal').classList.contains('active')) renderState(e.detail);
+  });
+
+  el('backSyncServerBtn').addEventListener('click', () => closeModal('syncServerModal'));
+  el('syncServerModal').addEventListener('click', (e) => {
+    if (e.target === el('syncServerModal')) closeModal('syncServerModal');
+  });
+}
@@ -0,0 +1,127 @@
+/* =============================
+   Trash Feature
+   Lists soft-deleted items, places and item types for restore or permanent deletion
+   ============================= */
+
+import { el, escapeHtml, formatDate } from '../utils.js';
+import { openModal, closeModal } from '../components/modal.js';
+import {
+  TRASH_RETENTION_OPTIONS,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getTrashEntries,
+  restoreFromTrash,
+  deleteForever,
+  emptyTrash,
+  purgeExpiredTrash
+} from '../models/trash.js';
+
+const KIND_LABELS = {
+  items: 'Item',
+  places: 'Place',
+  itemTypes: 'Item type'
+};
+
+function entryTitle(entry) {
+  const record = entry.record || {};
+  if (entry.storeName === 'itemTypes') return `${record.icon || ''} ${record.label || entry.key}`.trim();
+  return record.name || 'Untitled';
+}
+
+function entryDetails(entry) {
+  const details = [KIND_LABELS[entry.storeName] || entry.storeName];
+  if (entry.photos && entry.photos.length > 0) details.push(`${entry.photos.length} photo(s)`);
+  if (entry.tastings && entry.tastings.length > 0) details.push(`${entry.tastings.length} tasting(s)`);
+  if (entry.links?.itemIds?.length > 0) details.push(`used by ${entry.links.itemIds.length} item(s)`);
+  details.push(`deleted ${formatDate(entry.deletedAt)}`);
+  return details.join(' · ');
+}
+
+function setStatus(message) {
+  el('trashStatus').textContent = message;
+}
+
+async function renderTrash() {
+  const entries = await getTrashEntries();
+  el('emptyTrashBtn').disabled = entries.length === 0;
+
+  if (entries.length === 0) {
+    el('trashList').innerHTML = '<div class="muted">Trash is empty.</div>';
+    return;
+  }
+
+  el('trashList').innerHTML = entries.map(entry => `
+    <div class="trash-entry">
+      <div class="trash-info">
+        <div class="trash-title">${escapeHtml(entryTitle(entry))}</div>
+        <div class="trash-details">${escapeHtml(entryDetails(entry))}</div>
+      </div>
+      <div class="trash-actions">
+        <button class="btn trash-restore" data-id="${entry.id}">Restore</button>
+        <button class="btn trash-delete" data-id="${entry.id}" aria-label="Delete forever">✕</button>
+      </div>
+    </div>`).join('');
+}
+
+async function handleTrashAction(e) {
+  const btn = e.target.closest('button[data-id]');
+  if (!btn) return;
+  const id = Number(btn.dataset.id);
+
+  try {
+    if (btn.classList.contains('trash-restore')) {
+      await restoreFromTrash(id);
+      setStatus('Restored.');
+    } else if (btn.classList.contains('trash-delete')) {
+      if (!confirm('Delete forever? This cannot be undone.')) return;
+      await deleteForever(id);
+      setStatus('Deleted forever.');
+    }
+    await renderTrash();
+  } catch (err) {
+    console.error('Trash action failed:', err);
+    setStatus(`Failed: ${err.message}`);
+  }
+}
+
+/**
+ * Open the Trash modal
+ */
+export async function showTrash() {
+  setStatus('');
+  el('trashRetention').innerHTML = TRASH_RETENTION_OPTIONS.map(days =>
+    `<option value="${days}" ${days === getTrashRetentionDays() ? 'selected' : ''}>${days} days</option>`
+  ).join('');
+  openModal('trashModal');
+  await renderTrash();
+}
+
+/**
+ * Wire up the Trash modal and purge expired entries (called once on startup)
+ */
+export function initTrash() {
+  purgeExpiredTrash().catch(err => console.warn('Trash purge failed:', err));
+
+  if (!el('trashModal')) return;
+
+  el('trashRetention').addEventListener('change', async (e) => {
+    setTrashRetentionDays(Number(e.target.value));
+    const purged = await purgeExpiredTrash();
+    if (purged > 0) setStatus(`${purged} expired entr${purged === 1 ? 'y' : 'ies'} deleted.`);
+    await renderTrash();
+  });
+
+  el('emptyTrashBtn').addEventListener('click', async () => {
+    if (!confirm('Empty the trash? Everything in it is deleted forever.')) return;
+    const count = await emptyTrash();
+    setStatus(`${count} entr${count === 1 ? 'y' : 'ies'} deleted forever.`);
+    await renderTrash();
+  });
+
+  el('trashList').addEventListener('click', handleTrashAction);
+
+  el('backTrashBtn').addEventListener('click', () => closeModal('trashModal'));
+  el('trashModal').addEventListener('click', (e) => {
+    if (e.target === el('trashModal')) closeModal('trashModal');
+  });
+}
@@ -3,6 +3,8 @@
    Handles switching between different list views: All, Nearby picks, Memory lane
    ============================= */
 
+import { getPlaceById } from '../models/places.js';
+
 let currentView = 'all';
 let viewChangeCallback = null;
 let userLocation = null;
@@ -65,6 +67,14 @@ async function setActiveView(view) {
   }
 }
 
+/**
+ * Switch to a view (e.g. the one in a link)
+ * @param {string} view - View identifier ('all', 'nearby', 'memory')
+ */
+export async function selectView(view) {
+  await setActiveView(view);
+}
+
 /**
  * Get the current active view
  * @returns {string} Current view identifier
@@ -128,6 +138,56 @@ export function getCachedUserLocation() {
   return userLocation;
 }
 
+/**
+ * Fetch the user's location again (e.g. to sort the All view by distance) and cache it
+ * @returns {Promise<{lat: number, lng: number}|null>}
+ */
+export async function refreshUserLocation() {
+  userLocation = await getUserLocation();
+  return userLocation;
+}
+
+/**
+ * Add each item's distance to its nearest place with coordinates (Infinity when none has any)
+ * @param {Array} items
+ * @param {{lat: number, lng: number}} location
+ * @returns {Promise<Array>} Copies of the items with a `distance` property (in meters)
+ */
+export async function withDistances(items, location) {
+  const itemsWithDistance = [];
+
+  for (const item of items) {
+    let minDistance = Infinity;
+
+    // Check if item has places with coordinates
+    if (item.places && Array.isArray(item.places) && item.places.length > 0) {
+      for (const placeId of item.places) {
+        const place = await getPlaceById(placeId);
+
+        if (place && place.coordinates && place.coordinates.lat && place.coordinates.lng) {
+          const distance = calculateDistance(
+            location.lat,
+            location.lng,
+            place.coordinates.lat,
+            place.coordinates.lng
+          );
+
+          if (distance < minDistance) {
+            minDistance = distance;
+          }
+        }
+      }
+    }
+
+    itemsWithDistance.push({
+      ...item,
+      distance: minDistance
+    });
+  }
+
+  return itemsWithDistance;
+}
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - First latitude
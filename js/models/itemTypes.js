@@ -6,9 +6,9 @@ import {
   addItemType,
   getItemType,
   listAllItemTypes,
-  updateItemType,
-  deleteItemType
+  updateItemType
 } from '../db.js';
+import { moveItemTypeToTrash } from './trash.js';
 
 let itemTypesCache = null;
 
@@ -142,10 +142,10 @@ export async function updateItemTypeData(key, updates) {
 }
 
 /**
- * Delete an item type
+ * Delete an item type (moved to the trash, so it can be restored)
  */
 export async function deleteItemTypeData(key) {
-  await deleteItemType(key);
+  await moveItemTypeToTrash(key);
 
   // Invalidate cache
   itemTypesCache = null;
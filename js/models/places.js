@@ -138,9 +138,10 @@ function shouldAutoAddLocation() {
  * If the place exists, return its ID
  * If not, create it and return the new ID
  * If auto-add location is enabled, add current location to new places (async)
+ * Pass { autoLocation: false } for bulk imports, where the current location is meaningless
  * Returns { placeId, loadingLocation: boolean }
  */
-export async function getOrCreatePlace(placeName) {
+export async function getOrCreatePlace(placeName, { autoLocation = true } = {}) {
   if (!placeName || !placeName.trim()) return null;
 
   const trimmedName = placeName.trim();
@@ -159,7 +160,7 @@ export async function getOrCreatePlace(placeName) {
   const placeData = { name: trimmedName };
 
   // Check if we should auto-add current location
-  const autoAddEnabled = shouldAutoAddLocation();
+  const autoAddEnabled = autoLocation && shouldAutoAddLocation();
 
   const newPlaceId = await addPlace(placeData);
   invalidatePlaceUsageCache();
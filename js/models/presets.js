@@ -0,0 +1,46 @@
+/* =============================
+   Saved Searches (Presets)
+   A preset is a named search: the search box query plus the filter panel state.
+   Presets are part of exports; changes are announced with a 'presets-changed' event.
+   ============================= */
+
+import { addPreset, listAllPresets, updatePreset, deletePreset } from '../db.js';
+
+function notifyPresetsChanged() {
+  window.dispatchEvent(new CustomEvent('presets-changed'));
+}
+
+/**
+ * Get every preset, sorted by name
+ */
+export async function listPresets() {
+  const presets = await listAllPresets();
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a search under a name; a preset with the same name (ignoring case) is overwritten
+ * @param {string} name
+ * @param {{query: string, filters: object}} search
+ * @returns {Promise<number>} Preset id
+ */
+export async function savePreset(name, { query = '', filters = {} } = {}) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Please enter a name for the search');
+
+  const existing = (await listAllPresets()).find(p => p.name.toLowerCase() === trimmed.toLowerCase());
+  let id;
+  if (existing) {
+    await updatePreset(existing.id, { name: trimmed, query, filters });
+    id = existing.id;
+  } else {
+    id = await addPreset({ name: trimmed, query, filters });
+  }
+  notifyPresetsChanged();
+  return id;
+}
+
+export async function removePreset(id) {
+  await deletePreset(id);
+  notifyPresetsChanged();
+}
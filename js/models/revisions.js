@@ -0,0 +1,114 @@
+/* =============================
+   Item Revisions (Edit History)
+   Every save in the editor (and every revert) stores the previous version; any of them can be restored.
+   Writes the app makes on its own (pairing back-links, ratings derived from tastings, imports)
+   don't add a version
+   ============================= */
+
+import { getItem, listAll, updateItem, listAllPlaces, getPhotoMetadata, getRevisionsByItemId, getRevision } from '../db.js';
+import { addPairing, removePairing } from './pairings.js';
+import { invalidatePlaceUsageCache } from './places.js';
+
+const BASE_FIELD_LABELS = {
+  type: 'Type',
+  sub_type: 'Sub-type',
+  name: 'Name',
+  rating: 'Rating',
+  notes: 'Notes',
+  places: 'Places',
+  photos: 'Photos',
+  pairings: 'Pairings',
+  barcodes: 'Barcodes'
+};
+
+// manualRating is bookkeeping for ratings derived from tastings (see syncItemRating) and uid
+// identifies the item for sync: neither is shown as a change or rolled back by a restore
+const IGNORED_FIELDS = ['id', 'uid', 'createdAt', 'updatedAt', 'manualRating'];
+
+/**
+ * Get an item's edit history, newest first
+ * Each entry holds the item as it was before that edit
+ */
+export async function getItemHistory(itemId) {
+  return getRevisionsByItemId(itemId);
+}
+
+/**
+ * List the labels of the fields that differ between two versions of an item
+ * @param {object} before - Older version
+ * @param {object} after - Newer version
+ * @param {object} typeInfo - Type info providing dynamic field labels
+ * @returns {Array<string>}
+ */
+export function describeChanges(before, after, typeInfo = { fields: [] }) {
+  const labels = { ...BASE_FIELD_LABELS };
+  (typeInfo.fields || []).forEach(field => { labels[field.name] = field.label; });
+
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed = [];
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null)) {
+      changed.push(labels[key] || key);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Write an earlier version of an item back
+ * Places, photos and pairings that no longer exist are left out; paired items are updated
+ * so both sides of each pairing stay in sync. The overwritten version becomes a revision itself.
+ * @param {object} version - Item record to restore (must have the item's id)
+ */
+export async function restoreItemVersion(version) {
+  const current = await getItem(version.id);
+  if (!current) throw new Error('Item not found');
+
+  const itemIds = new Set((await listAll()).map(item => item.id));
+  const placeIds = new Set((await listAllPlaces()).map(place => place.id));
+  const photos = [];
+  for (const photoId of version.photos || []) {
+    if (await getPhotoMetadata(photoId)) photos.push(photoId);
+  }
+  const pairings = {
+    good: (version.pairings?.good || []).filter(id => itemIds.has(id)),
+    bad: (version.pairings?.bad || []).filter(id => itemIds.has(id))
+  };
+
+  // Fields added since that version are cleared
+  const patch = {};
+  Object.keys(current).forEach(key => {
+    if (!(key in version)) patch[key] = undefined;
+  });
+  Object.assign(patch, version, {
+    places: (version.places || []).filter(id => placeIds.has(id)),
+    photos,
+    pairings
+  });
+  IGNORED_FIELDS.forEach(key => delete patch[key]);
+
+  await updateItem(current.id, patch, { revision: true });
+
+  for (const type of ['good', 'bad']) {
+    const before = current.pairings?.[type] || [];
+    for (const targetId of before.filter(id => !pairings[type].includes(id))) {
+      await removePairing(current.id, targetId, type);
+    }
+    for (const targetId of pairings[type].filter(id => !before.includes(id))) {
+      await addPairing(current.id, targetId, type);
+    }
+  }
+
+  invalidatePlaceUsageCache();
+  window.dispatchEvent(new CustomEvent('item-reverted', { detail: { itemId: current.id } }));
+}
+
+/**
+ * Revert an item to the version stored in a revision
+ */
+export async function revertToRevision(revisionId) {
+  const revision = await getRevision(revisionId);
+  if (!revision) throw new Error('Revision not found');
+  await restoreItemVersion(revision.record);
+}
@@ -0,0 +1,157 @@
+/* =============================
+   Tastings Management
+   Each item keeps a log of dated tastings; the item's displayed rating is derived from it
+   ============================= */
+
+import {
+  addTasting,
+  getTasting,
+  deleteTasting,
+  getTastingsByItemId,
+  getItem,
+  updateItem,
+  listAll,
+  deletePhoto
+} from '../db.js';
+
+const RATING_MODE_KEY = 'tastingRatingMode';
+
+export const RATING_MODES = {
+  latest: 'Latest',
+  average: 'Average',
+  best: 'Best'
+};
+
+/**
+ * Get the selected rating derivation mode ('latest', 'average' or 'best')
+ */
+export function getRatingMode() {
+  try {
+    const mode = localStorage.getItem(RATING_MODE_KEY);
+    return RATING_MODES[mode] ? mode : 'latest';
+  } catch (e) {
+    return 'latest';
+  }
+}
+
+/**
+ * Change the rating derivation mode and recompute every item's rating
+ */
+export async function setRatingMode(mode) {
+  if (!RATING_MODES[mode]) return;
+  localStorage.setItem(RATING_MODE_KEY, mode);
+  await recomputeAllDerivedRatings();
+}
+
+/**
+ * Sort tastings newest first (by tasting date, then creation time)
+ */
+export function sortTastings(tastings) {
+  return [...tastings].sort((a, b) => {
+    const dateDiff = (b.date || 0) - (a.date || 0);
+    if (dateDiff !== 0) return dateDiff;
+    return (b.createdAt || 0) - (a.createdAt || 0);
+  });
+}
+
+/**
+ * Derive a single rating from a list of tastings
+ * @param {Array} tastings - Tasting entries
+ * @param {string} mode - 'latest', 'average' or 'best'
+ * @returns {number|null} Derived rating rounded to the nearest half star, or null if no rated tastings
+ */
+export function deriveRating(tastings, mode = getRatingMode()) {
+  const rated = sortTastings(tastings).filter(t => Number(t.rating) > 0);
+  if (rated.length === 0) return null;
+
+  if (mode === 'best') {
+    return Math.max(...rated.map(t => Number(t.rating)));
+  }
+  if (mode === 'average') {
+    const sum = rated.reduce((acc, t) => acc + Number(t.rating), 0);
+    return Math.round((sum / rated.length) * 2) / 2;
+  }
+  return Number(rated[0].rating);
+}
+
+/**
+ * Get all tastings of an item, newest first
+ */
+export async function getItemTastings(itemId) {
+  const tastings = await getTastingsByItemId(itemId);
+  return sortTastings(tastings);
+}
+
+/**
+ * Recompute and store the derived rating of an item
+ * While rated tastings drive the rating, the item's own rating (set in the editor) is kept in
+ * manualRating; it comes back once no rated tasting is left (e.g. the last one was deleted)
+ */
+export async function syncItemRating(itemId) {
+  const item = await getItem(itemId);
+  if (!item) return;
+
+  const tastings = await getTastingsByItemId(itemId);
+  const rating = deriveRating(tastings);
+  if (rating === null) {
+    if (item.manualRating === undefined) return;
+    await updateItem(itemId, { rating: Number(item.manualRating) || 0, manualRating: undefined });
+    return;
+  }
+  if (rating === Number(item.rating) && item.manualRating !== undefined) return;
+
+  const manualRating = item.manualRating !== undefined ? item.manualRating : Number(item.rating) || 0;
+  await updateItem(itemId, { rating, manualRating });
+}
+
+/**
+ * Add a tasting to an item and refresh the item's derived rating
+ * The tasting's place is also linked to the item so place filters keep working
+ */
+export async function addItemTasting(itemId, tasting) {
+  const tastingId = await addTasting({
+    itemId,
+    date: tasting.date || Date.now(),
+    rating: Number(tasting.rating) || 0,
+    notes: tasting.notes || '',
+    placeId: tasting.placeId || null,
+    photos: tasting.photos || []
+  });
+
+  if (tasting.placeId) {
+    const item = await getItem(itemId);
+    const places = item && Array.isArray(item.places) ? item.places : [];
+    if (item && !places.includes(tasting.placeId)) {
+      await updateItem(itemId, { places: [...places, tasting.placeId] });
+    }
+  }
+
+  await syncItemRating(itemId);
+  window.dispatchEvent(new CustomEvent('tasting-added', { detail: { itemId, tastingId } }));
+  return tastingId;
+}
+
+/**
+ * Remove a tasting (and its photos) and refresh the item's derived rating
+ */
+export async function removeItemTasting(tastingId) {
+  const tasting = await getTasting(tastingId);
+  if (!tasting) return;
+
+  for (const photoId of tasting.photos || []) {
+    await deletePhoto(photoId);
+  }
+  await deleteTasting(tastingId);
+  await syncItemRating(tasting.itemId);
+  window.dispatchEvent(new CustomEvent('tasting-deleted', { detail: { itemId: tasting.itemId, tastingId } }));
+}
+
+/**
+ * Recompute derived ratings for every item that has tastings
+ */
+export async function recomputeAllDerivedRatings() {
+  const items = await listAll();
+  for (const item of items) {
+    await syncItemRating(item.id);
+  }
+}
@@ -0,0 +1,263 @@
+/* =============================
+   Trash Management
+   Deleted items, places and item types are moved to the trash store together with
+   what they need to be restored with their links intact, and purged after a retention period
+   ============================= */
+
+import {
+  getItem,
+  deleteItem,
+  listAll,
+  updateItem,
+  getPlace,
+  listAllPlaces,
+  deletePlace,
+  getItemType,
+  deleteItemType,
+  getPhotosByItemId,
+  getPhotoMetadata,
+  deletePhoto,
+  savePhoto,
+  getTastingsByItemId,
+  getTasting,
+  deleteTasting,
+  addRecord,
+  putRecord,
+  addTrashEntry,
+  getTrashEntry,
+  listTrash,
+  deleteTrashEntry,
+  deleteRevisionsByItemId
+} from '../db.js';
+import { addPairing, cleanupPairingsOnDelete } from './pairings.js';
+import { invalidatePlaceUsageCache } from './places.js';
+import { invalidateItemTypesCache } from './itemTypes.js';
+import { updateSearchIndex, updatePlaceInSearchIndex } from '../searchIndex.js';
+import { generatePhotoId } from '../components/photos.js';
+
+const RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * Get the number of days trashed entries are kept
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(localStorage.getItem(RETENTION_KEY) || '', 10);
+  return Number.isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+export function setTrashRetentionDays(days) {
+  localStorage.setItem(RETENTION_KEY, String(days));
+}
+
+/**
+ * Move an item to the trash with its photos and tastings
+ * Other items drop their pairing links to it; the item keeps its own pairings for restore
+ * @returns {Promise<number>} Trash entry ID
+ */
+export async function moveItemToTrash(itemId) {
+  const item = await getItem(itemId);
+  if (!item) return null;
+
+  const photos = await getPhotosByItemId(itemId);
+  const tastings = await getTastingsByItemId(itemId);
+  const entryId = await addTrashEntry({ storeName: 'items', key: itemId, record: item, photos, tastings });
+
+  await cleanupPairingsOnDelete(itemId, item.pairings);
+  for (const photo of photos) await deletePhoto(photo.id);
+  for (const tasting of tastings) await deleteTasting(tasting.id);
+  await deleteItem(itemId);
+  invalidatePlaceUsageCache();
+  return entryId;
+}
+
+/**
+ * Move a place to the trash, removing it from the items that reference it
+ * @returns {Promise<number>} Trash entry ID
+ */
+export async function movePlaceToTrash(placeId) {
+  const place = await getPlace(placeId);
+  if (!place) return null;
+
+  const items = (await listAll()).filter(item => Array.isArray(item.places) && item.places.includes(placeId));
+  const entryId = await addTrashEntry({
+    storeName: 'places',
+    key: placeId,
+    record: place,
+    links: { itemIds: items.map(item => item.id) }
+  });
+
+  for (const item of items) {
+    await updateItem(item.id, { places: item.places.filter(pid => pid !== placeId) });
+  }
+  await deletePlace(placeId);
+  invalidatePlaceUsageCache();
+  return entryId;
+}
+
+/**
+ * Move an item type to the trash (its items are left untouched)
+ * @returns {Promise<number>} Trash entry ID
+ */
+export async function moveItemTypeToTrash(key) {
+  const itemType = await getItemType(key);
+  if (!itemType) return null;
+
+  const entryId = await addTrashEntry({ storeName: 'itemTypes', key, record: itemType });
+  await deleteItemType(key);
+  invalidateItemTypesCache();
+  return entryId;
+}
+
+// Write a restored record under its old key, or under a new one when that key was taken in the meantime
+// (an import, a sync or a restored backup may have reused it)
+async function putRestoredRecord(storeName, record, isTaken) {
+  if (!(await isTaken(record.id))) {
+    await putRecord(storeName, record);
+    return record;
+  }
+  return { ...record, id: await addRecord(storeName, record) };
+}
+
+// Restored photos keep their ids unless another photo has it by now
+async function restorePhotoIds(photos) {
+  const photoIds = new Map();
+  for (const photo of photos) {
+    photoIds.set(photo.id, (await getPhotoMetadata(photo.id)) ? generatePhotoId() : photo.id);
+  }
+  return photoIds;
+}
+
+/**
+ * Links to records deleted in the meantime are dropped
+ * @returns {Promise<number>} The restored item's id (a new one if its id was taken)
+ */
+async function restoreItem(entry) {
+  const existingIds = new Set((await listAll()).map(it => it.id));
+  const placeIds = new Set((await listAllPlaces()).map(place => place.id));
+  const photoIds = await restorePhotoIds(entry.photos || []);
+  const restoredPhotos = (ids) => (ids || []).filter(id => photoIds.has(id)).map(id => photoIds.get(id));
+
+  const pairings = entry.record.pairings || { good: [], bad: [] };
+  const item = await putRestoredRecord('items', {
+    ...entry.record,
+    places: (entry.record.places || []).filter(id => placeIds.has(id)),
+    photos: restoredPhotos(entry.record.photos),
+    pairings: { good: [], bad: [] },
+    updatedAt: Date.now()
+  }, async id => existingIds.has(id));
+  updateSearchIndex(item);
+
+  for (const photo of entry.photos || []) {
+    await savePhoto(photoIds.get(photo.id), photo.blob, photo.thumbnail, item.id);
+  }
+  for (const tasting of entry.tastings || []) {
+    await putRestoredRecord('tastings', {
+      ...tasting,
+      itemId: item.id,
+      placeId: tasting.placeId && !placeIds.has(tasting.placeId) ? null : tasting.placeId,
+      photos: restoredPhotos(tasting.photos),
+      updatedAt: Date.now()
+    }, async id => Boolean(await getTasting(id)));
+  }
+  for (const type of ['good', 'bad']) {
+    for (const targetId of pairings[type] || []) {
+      // The old id belongs to another item when this one was re-keyed
+      if (existingIds.has(targetId) && targetId !== entry.record.id) await addPairing(item.id, targetId, type);
+    }
+  }
+  invalidatePlaceUsageCache();
+  return item.id;
+}
+
+/**
+ * Items deleted in the meantime are skipped
+ * @returns {Promise<number>} The restored place's id (a new one if its id was taken)
+ */
+async function restorePlace(entry) {
+  const place = await putRestoredRecord('places', { ...entry.record, updatedAt: Date.now() }, async id => Boolean(await getPlace(id)));
+  updatePlaceInSearchIndex(place);
+  for (const itemId of entry.links?.itemIds || []) {
+    const item = await getItem(itemId);
+    if (!item) continue;
+    const places = Array.isArray(item.places) ? item.places : [];
+    if (!places.includes(place.id)) await updateItem(itemId, { places: [...places, place.id] });
+  }
+  invalidatePlaceUsageCache();
+  return place.id;
+}
+
+async function restoreItemType(entry) {
+  if (await getItemType(entry.key)) {
+    throw new Error(`An item type with key "${entry.key}" already exists`);
+  }
+  await putRecord('itemTypes', { ...entry.record, updatedAt: Date.now() });
+  invalidateItemTypesCache();
+  return entry.key;
+}
+
+/**
+ * Restore a trash entry and remove it from the trash
+ */
+export async function restoreFromTrash(entryId) {
+  const entry = await getTrashEntry(entryId);
+  if (!entry) return;
+
+  let key = entry.key;
+  if (entry.storeName === 'items') key = await restoreItem(entry);
+  else if (entry.storeName === 'places') key = await restorePlace(entry);
+  else if (entry.storeName === 'itemTypes') key = await restoreItemType(entry);
+
+  await deleteTrashEntry(entryId);
+  // Lists of places / item types refresh on their usual events
+  if (entry.storeName === 'places') {
+    window.dispatchEvent(new CustomEvent('place-created', { detail: { placeId: key } }));
+  } else if (entry.storeName === 'itemTypes') {
+    window.dispatchEvent(new CustomEvent('itemtype-created', { detail: { key } }));
+  }
+  window.dispatchEvent(new CustomEvent('trash-restored', { detail: { storeName: entry.storeName, key } }));
+}
+
+// An item's edit history is kept while it is in the trash and goes with it
+async function discardEntry(entry) {
+  if (entry.storeName === 'items') await deleteRevisionsByItemId(entry.key);
+  await deleteTrashEntry(entry.id);
+}
+
+/**
+ * Permanently delete a trash entry (its photos, tastings and edit history go with it)
+ */
+export async function deleteForever(entryId) {
+  const entry = await getTrashEntry(entryId);
+  if (entry) await discardEntry(entry);
+}
+
+/**
+ * Get trash entries, most recently deleted first
+ */
+export async function getTrashEntries() {
+  return listTrash();
+}
+
+/**
+ * Permanently delete every trash entry
+ */
+export async function emptyTrash() {
+  const entries = await listTrash();
+  for (const entry of entries) await discardEntry(entry);
+  return entries.length;
+}
+
+/**
+ * Permanently delete entries older than the retention period
+ */
+export async function purgeExpiredTrash() {
+  const cutoff = Date.now() - getTrashRetentionDays() * DAY;
+  const entries = await listTrash();
+  const expired = entries.filter(entry => entry.deletedAt < cutoff);
+  for (const entry of expired) await discardEntry(entry);
+  return expired.length;
+}
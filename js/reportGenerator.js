@@ -0,0 +1,179 @@
+/* =============================
+   Report Generator
+   Print-ready HTML report of a selection of items: a cover page with counts and average
+   ratings, then the items grouped by type. The document is self-contained (styles inline,
+   thumbnails as data URLs) so it can be printed, saved as PDF or downloaded as a file.
+   ============================= */
+
+import { escapeHtml } from './utils.js';
+import { getTypeInfo } from './config.js';
+import { listAllPlaces, getPhotoThumbnails } from './db.js';
+import { blobToDataURL } from './components/photos.js';
+import { sortItems } from './features/sort.js';
+import { typeRankOrder } from './features/grouping.js';
+
+const REPORT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; margin: 0; padding: 24px; font-size: 12pt; }
+  h1 { font-size: 26pt; margin: 0 0 6px; }
+  h2 { font-size: 16pt; margin: 28px 0 12px; padding-bottom: 6px; border-bottom: 2px solid #d1d5db; }
+  .cover { page-break-after: always; break-after: page; }
+  .cover-meta { color: #6b7280; margin-bottom: 28px; }
+  .cover-totals { display: flex; gap: 32px; margin-bottom: 28px; }
+  .cover-total-value { font-size: 24pt; font-weight: 700; }
+  .cover-total-label { color: #6b7280; font-size: 10pt; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+  th { font-size: 10pt; color: #6b7280; text-transform: uppercase; }
+  .item { display: flex; gap: 14px; padding: 12px 0; border-bottom: 1px solid #e5e7eb; break-inside: avoid; page-break-inside: avoid; }
+  .item-photo { width: 72px; height: 72px; object-fit: cover; border-radius: 6px; flex-shrink: 0; }
+  .item-body { flex: 1; min-width: 0; }
+  .item-head { display: flex; justify-content: space-between; gap: 12px; }
+  .item-name { font-weight: 700; font-size: 13pt; }
+  .item-subtype { color: #6b7280; font-size: 10pt; }
+  .item-rating { color: #f59e0b; white-space: nowrap; letter-spacing: 1px; }
+  .item-fields { margin: 6px 0 0; font-size: 10pt; }
+  .item-fields span { margin-right: 14px; }
+  .item-fields b { color: #6b7280; font-weight: 600; }
+  .item-notes { margin-top: 6px; font-size: 10pt; white-space: pre-wrap; }
+  @media print { body { padding: 0; } @page { margin: 16mm; } }
+`;
+
+function formatAverage(ratings) {
+  if (ratings.length === 0) return '–';
+  return (ratings.reduce((sum, r) => sum + r, 0) / ratings.length).toFixed(1);
+}
+
+function ratingStars(rating) {
+  const stars = Math.round(Number(rating) || 0);
+  return '★'.repeat(stars) + '☆'.repeat(5 - stars);
+}
+
+// First photo of every item as a data URL (thumbnails are stored as data URLs or Blobs)
+async function loadThumbnails(items) {
+  const thumbnails = new Map();
+  for (const item of items) {
+    const firstPhotoId = (item.photos || [])[0];
+    if (!firstPhotoId) continue;
+    const [photo] = await getPhotoThumbnails([firstPhotoId]);
+    let thumbnail = photo ? photo.thumbnail : null;
+    if (thumbnail && typeof thumbnail !== 'string') {
+      try {
+        thumbnail = await blobToDataURL(thumbnail);
+      } catch (err) {
+        thumbnail = null;
+      }
+    }
+    if (thumbnail) thumbnails.set(item.id, thumbnail);
+  }
+  return thumbnails;
+}
+
+/**
+ * Group items by type, in the order of the types' rank (like the list grouped by type)
+ * @returns {Array<{type: string, typeInfo: object, items: Array}>}
+ */
+function groupByType(items) {
+  const typeOrder = typeRankOrder();
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.type)) groups.set(item.type, []);
+    groups.get(item.type).push(item);
+  });
+  const rank = (type) => (typeOrder.includes(type) ? typeOrder.indexOf(type) : typeOrder.length);
+  return [...groups.keys()]
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(type => ({ type, typeInfo: getTypeInfo(type), items: sortItems(groups.get(type)) }));
+}
+
+function renderCover(title, subtitle, items, groups) {
+  const rated = (list) => list.map(it => Number(it.rating) || 0).filter(r => r > 0);
+  const rows = groups.map(({ typeInfo, items: groupItems }) => `
+      <tr>
+        <td>${typeInfo.icon} ${escapeHtml(typeInfo.label)}</td>
+        <td>${groupItems.length}</td>
+        <td>${formatAverage(rated(groupItems))}</td>
+      </tr>`).join('');
+
+  return `
+  <section class="cover">
+    <h1>${escapeHtml(title)}</h1>
+    <div class="cover-meta">${escapeHtml(subtitle)}</div>
+    <div class="cover-totals">
+      <div><div class="cover-total-value">${items.length}</div><div class="cover-total-label">Items</div></div>
+      <div><div class="cover-total-value">${groups.length}</div><div class="cover-total-label">Types</div></div>
+      <div><div class="cover-total-value">${formatAverage(rated(items))}</div><div class="cover-total-label">Average rating</div></div>
+    </div>
+    <table>
+      <thead><tr><th>Type</th><th>Items</th><th>Average rating</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </section>`;
+}
+
+function renderItem(item, typeInfo, placeNames, thumbnail) {
+  const subType = typeInfo.subTypeEnabled && item.sub_type ? item.sub_type : '';
+  const fields = (typeInfo.fields || [])
+    .filter(field => item[field.name] !== undefined && item[field.name] !== null && item[field.name] !== '')
+    .map(field => `<span><b>${escapeHtml(field.label)}:</b> ${escapeHtml(String(item[field.name]))}</span>`);
+  const places = (item.places || []).map(id => placeNames.get(id)).filter(Boolean);
+  if (places.length > 0) fields.push(`<span><b>Places:</b> ${escapeHtml(places.join(', '))}</span>`);
+
+  return `
+    <div class="item">
+      ${thumbnail ? `<img class="item-photo" src="${escapeHtml(thumbnail)}" alt="" />` : ''}
+      <div class="item-body">
+        <div class="item-head">
+          <div>
+            <div class="item-name">${escapeHtml(item.name || 'Unnamed')}</div>
+            ${subType ? `<div class="item-subtype">${escapeHtml(subType)}</div>` : ''}
+          </div>
+          <div class="item-rating">${ratingStars(item.rating)}</div>
+        </div>
+        ${fields.length > 0 ? `<div class="item-fields">${fields.join('')}</div>` : ''}
+        ${item.notes ? `<div class="item-notes">${escapeHtml(item.notes)}</div>` : ''}
+      </div>
+    </div>`;
+}
+
+/**
+ * Build the report as a standalone HTML document
+ * @param {Array} items - Items to include (e.g. the filtered results)
+ * @param {object} options
+ * @param {string} options.title - Report title
+ * @param {string} options.subtitle - Line under the title (e.g. the active search)
+ * @param {boolean} options.includePhotos - Show each item's first photo
+ * @returns {Promise<string>} HTML document
+ */
+export async function buildReportHtml(items, { title = 'GourmetApp Report', subtitle = '', includePhotos = true } = {}) {
+  const groups = groupByType(items);
+  const placeNames = new Map((await listAllPlaces()).map(place => [place.id, place.name]));
+  const thumbnails = includePhotos ? await loadThumbnails(items) : new Map();
+  const generated = `Generated ${new Date().toLocaleString()}`;
+
+  const sections = groups.map(({ typeInfo, items: groupItems }) => `
+  <section>
+    <h2>${typeInfo.icon} ${escapeHtml(typeInfo.label)} (${groupItems.length})</h2>
+    ${groupItems.map(item => renderItem(item, typeInfo, placeNames, thumbnails.get(item.id))).join('')}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${renderCover(title, subtitle ? `${subtitle} · ${generated}` : generated, items, groups)}
+${sections}
+</body>
+</html>`;
+}
+
+/**
+ * File name for a report generated now
+ */
+export function reportFileName(date = new Date()) {
+  return `gourmetapp-report-${date.toISOString().slice(0, 10)}.html`;
+}
@@ -0,0 +1,268 @@
+/* =============================
+   Hash Router
+   Keeps the URL in step with the app so views can be bookmarked, shared and navigated with Back:
+
+     #/                     the list
+     #/item/<id>            item details
+     #/item/<id>/edit       item editor
+     #/add                  editor for a new item
+     #/scan, #/shared       one-off actions (home-screen shortcut, photos shared to the app):
+                            run once, then the URL goes back to the list
+
+   followed by the list state: ?view=nearby&q=<search query>&f=<filters as JSON>.
+   Opening the details or the editor pushes a history entry, so the system Back button closes them
+   in order; closing them from the app goes back over their entry. Search, filter and view changes
+   replace the current entry instead (typing a query shouldn't fill the history).
+   ============================= */
+
+import { el } from './utils.js';
+import { setSearchValue } from './features/search.js';
+import { getFilterState, setFilterState } from './features/filters.js';
+import { getCurrentView, selectView } from './features/viewSelector.js';
+
+const ROUTED_MODALS = ['detailsModal', 'editorModal'];
+const ACTIONS = ['scan', 'shared'];
+const VIEWS = ['all', 'nearby', 'memory'];
+const DEFAULT_FILTERS = { types: [], subTypes: [], places: [], minRating: 0, maxRating: 5, fields: {}, dates: {}, presence: {} };
+const BACK_TIMEOUT = 1000;
+
+let handlers = null;
+let applying = false; // the router itself is opening/closing views: no history writes
+let awaitingBack = false; // a Back over a closed modal's entry hasn't landed yet
+let deferred = []; // history writes waiting for that Back
+
+/* ===== URLs ===== */
+
+/**
+ * Parse a location hash into a route
+ * @returns {{modal: string|null, itemId: number|null, action: string|null, params: URLSearchParams}}
+ */
+export function parseRoute(hash) {
+  const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+  const params = new URLSearchParams(query);
+  const parts = path.split('/').filter(Boolean);
+  const id = Number(parts[1]);
+  if (parts[0] === 'item' && Number.isInteger(id) && id > 0) {
+    return { modal: parts[2] === 'edit' ? 'editorModal' : 'detailsModal', itemId: id, action: null, params };
+  }
+  if (parts[0] === 'add') return { modal: 'editorModal', itemId: null, action: null, params };
+  const action = ACTIONS.includes(parts[0]) ? parts[0] : null;
+  return { modal: null, itemId: null, action, params };
+}
+
+function routePath(route) {
+  if (route?.modal === 'detailsModal') return `item/${route.itemId}`;
+  if (route?.modal === 'editorModal') return route.itemId ? `item/${route.itemId}/edit` : 'add';
+  return '';
+}
+
+// Filters that differ from the defaults (the rest is left out of the URL)
+function changedFilters() {
+  const filters = getFilterState();
+  const changed = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (JSON.stringify(value) !== JSON.stringify(DEFAULT_FILTERS[key])) changed[key] = value;
+  });
+  return changed;
+}
+
+// The list state: view, search query and filters
+function listParams() {
+  const params = new URLSearchParams();
+  const view = getCurrentView();
+  if (view !== 'all') params.set('view', view);
+  const query = el('searchInput')?.value.trim();
+  if (query) params.set('q', query);
+  const filters = changedFilters();
+  if (Object.keys(filters).length > 0) params.set('f', JSON.stringify(filters));
+  return params;
+}
+
+function buildHash(route, params = listParams()) {
+  const query = params.toString();
+  return `#/${routePath(route)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Absolute link to an item's details (with the current list state)
+ */
+export function getItemLink(id) {
+  return `${location.origin}${location.pathname}${buildHash({ modal: 'detailsModal', itemId: id })}`;
+}
+
+/* ===== History ===== */
+
+function entryState(route) {
+  return { router: true, modal: route.modal || null, itemId: route.itemId ?? null };
+}
+
+function currentEntry() {
+  return history.state?.router ? history.state : null;
+}
+
+// Run a history write now, or once a pending Back has landed (writes made before it would be undone)
+function whenSettled(write) {
+  if (awaitingBack) deferred.push(write);
+  else write();
+}
+
+function settleBack() {
+  awaitingBack = false;
+  const writes = deferred;
+  deferred = [];
+  writes.forEach(write => write());
+}
+
+function goBack() {
+  awaitingBack = true;
+  history.back();
+  // Nothing to go back to (shouldn't happen, the list entry is always below): don't stall the writes
+  setTimeout(() => {
+    if (awaitingBack) settleBack();
+  }, BACK_TIMEOUT);
+}
+
+/**
+ * Write the list state (view, query, filters) into the current entry's URL
+ */
+export function recordListState() {
+  if (!handlers || applying) return;
+  whenSettled(() => {
+    const entry = currentEntry();
+    const hash = buildHash(entry);
+    if (hash !== location.hash) history.replaceState(entry || entryState({}), '', hash);
+  });
+}
+
+function openedModalRoute(modalId) {
+  const itemId = Number(el(modalId).dataset.itemId) || null;
+  return { modal: modalId, itemId };
+}
+
+function onModalOpened(e) {
+  const modalId = e.detail?.modalId;
+  if (!handlers || applying || !ROUTED_MODALS.includes(modalId)) return;
+  const route = openedModalRoute(modalId);
+  whenSettled(() => {
+    const entry = currentEntry();
+    // Re-rendered in place (e.g. after adding a tasting): same entry
+    if (entry && entry.modal === route.modal && entry.itemId === route.itemId) return;
+    history.pushState(entryState(route), '', buildHash(route));
+  });
+}
+
+function onModalClosed(e) {
+  const modalId = e.detail?.modalId;
+  if (!handlers || applying || !ROUTED_MODALS.includes(modalId)) return;
+  whenSettled(() => {
+    if (currentEntry()?.modal === modalId) goBack();
+  });
+}
+
+/* ===== Applying routes ===== */
+
+function isOpen(modalId) {
+  return el(modalId)?.classList.contains('active');
+}
+
+// Close a modal the way its back button does (Memory Lane's details return to the story)
+function closeRoutedModal(modalId) {
+  if (modalId === 'detailsModal') el('backDetailsBtn')?.click();
+  else el('backEditorBtn')?.click();
+}
+
+// Filters from a link (which may have been edited by hand): setFilterState() drops values of the wrong shape
+function parseLinkFilters(text) {
+  try {
+    const filters = JSON.parse(text || '{}');
+    return filters && typeof filters === 'object' && !Array.isArray(filters) ? filters : {};
+  } catch (e) {
+    console.warn('Ignoring invalid filters in the link');
+    return {};
+  }
+}
+
+async function applyListParams(params) {
+  if (params.toString() === listParams().toString()) return;
+  setSearchValue(params.get('q') || '');
+  await setFilterState(parseLinkFilters(params.get('f')));
+  const view = params.get('view');
+  await selectView(VIEWS.includes(view) ? view : 'all');
+}
+
+function openRoute(route) {
+  if (route.modal === 'detailsModal') return handlers.showItem(route.itemId);
+  return route.itemId ? handlers.editItem(route.itemId) : handlers.addItem();
+}
+
+/**
+ * Make the app match a route: list state first, then the open modal
+ */
+async function applyRoute(route) {
+  applying = true;
+  try {
+    await applyListParams(route.params);
+
+    ROUTED_MODALS.forEach(modalId => {
+      if (isOpen(modalId) && route.modal !== modalId) closeRoutedModal(modalId);
+    });
+
+    // Opened, or shown in place when it is open on another item (Back after following a pairing)
+    const shown = route.modal && isOpen(route.modal) ? openedModalRoute(route.modal) : null;
+    if (route.modal && shown?.itemId !== route.itemId) await openRoute(route);
+  } finally {
+    applying = false;
+  }
+  // The item may not exist (anymore): fall back to the list
+  if (route.modal && !isOpen(route.modal)) {
+    history.replaceState(entryState({}), '', buildHash(null));
+  }
+  if (route.action) await runAction(route.action);
+}
+
+// Actions leave the list in the URL, so reloading or going Back doesn't run them again
+async function runAction(action) {
+  history.replaceState(entryState({}), '', buildHash(null));
+  await handlers.actions[action]();
+}
+
+async function onPopState() {
+  if (awaitingBack) {
+    // Back over the entry of a modal the app already closed: nothing to apply, but the list
+    // state may have changed meanwhile (e.g. a place filter applied from the details)
+    settleBack();
+    recordListState();
+    return;
+  }
+  const route = parseRoute(location.hash);
+  // A link followed or edited by hand has no state yet
+  if (!currentEntry()) history.replaceState(entryState(route), '', location.hash);
+  await applyRoute(route);
+}
+
+/**
+ * Start routing, restoring the state in the URL (a bookmark or a shared link)
+ * @param {object} routeHandlers
+ * @param {Function} routeHandlers.showItem - Open an item's details: (id) => Promise
+ * @param {Function} routeHandlers.editItem - Open the editor for an item: (id) => Promise
+ * @param {Function} routeHandlers.addItem - Open the editor for a new item: () => Promise
+ * @param {Object<string, Function>} routeHandlers.actions - Run an action ('scan', 'shared'): () => Promise
+ */
+export async function initRouter(routeHandlers) {
+  handlers = routeHandlers;
+  window.addEventListener('modal-opened', onModalOpened);
+  window.addEventListener('modal-closed', onModalClosed);
+  window.addEventListener('popstate', onPopState);
+
+  const route = parseRoute(location.hash);
+  if (route.modal && currentEntry()?.modal === route.modal) {
+    // Reloaded on a modal's entry: the list entry is already below it
+    await applyRoute(route);
+    return;
+  }
+  // The list goes below a linked modal, so Back leads into the app rather than out of it
+  await applyRoute({ ...route, modal: null, action: null });
+  history.replaceState(entryState({}), '', buildHash(null));
+  if (route.modal) await openRoute(route);
+  if (route.action) await runAction(route.action);
+}
@@ -1,60 +1,218 @@
 /* =============================
    Lightweight Search Index
    Purpose: In-memory text index for fast searching without reading entire DB on each keystroke
+   The entries are also saved in the `searchIndex` store and updated with every item write, so startup
+   loads them instead of rebuilding; checkSearchIndex() repairs drift against the `items` store.
+   Text is normalised (lowercase, no diacritics: "Rosé" -> "rose") and split into words.
+   A query word matches a whole word, a word prefix, any part of the text, or a word within
+   a small edit distance (typos). Results are ranked: name hits above sub-type, barcode and notes hits.
+   Besides its own text, an item is found by the dynamic fields of its type (country, producer...),
+   the names of its places and the names of the items it is paired with.
    ============================= */
 
-import { listAll } from './db.js';
+import {
+  listAll,
+  listAllPlaces,
+  getItemsByIds,
+  listItemStamps,
+  getItemsWatermark,
+  listSearchIndexEntries,
+  putSearchIndexEntries,
+  deleteSearchIndexEntries,
+  replaceSearchIndexEntries
+} from './db.js';
+import { getConfig } from './config.js';
+
+// Saved index: bump INDEX_FORMAT when the entries change shape or normalisation, so they get rebuilt
+const INDEX_META_KEY = 'searchIndexMeta';
+const INDEX_FORMAT = 1;
 
 // In-memory search index: Map of id -> searchable fields
 let searchIndex = new Map();
 
+// Place id -> indexed name; places are renamed independently of their items
+let placeNames = new Map();
+
+// Relevance of a hit per field, and of each kind of match
+const FIELD_WEIGHTS = { name: 10, barcode: 8, sub_type: 6, fields: 5, place: 4, notes: 3, pairing: 2 };
+const TEXT_FIELDS = ['name', 'sub_type', 'fields', 'notes'];
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, substring: 0.6, fuzzy: 0.4 };
+
+/**
+ * Normalise text for searching: lowercase, diacritics removed
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .toLowerCase();
+}
+
+/**
+ * Split normalised text into words
+ */
+export function tokenizeSearchText(text) {
+  return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Normalised text and its words, for matching
+function indexText(text) {
+  const normalized = normalizeSearchText(text);
+  return { text: normalized, words: tokenizeSearchText(normalized) };
+}
+
+// Values of the dynamic fields defined for the item's type, as one text
+function fieldValues(item) {
+  const fields = getConfig()[item.type]?.fields || [];
+  return fields
+    .map(field => item[field.name])
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .join(' ');
+}
+
+function buildEntry(item) {
+  return {
+    id: item.id,
+    name_lc: (item.name || '').toLowerCase(),
+    notes_lc: (item.notes || '').toLowerCase(),
+    barcodes: item.barcodes || [],
+    type: item.type || '',
+    sub_type_lc: (item.sub_type || '').toLowerCase(),
+    placeIds: item.places || [],
+    pairingIds: [...(item.pairings?.good || []), ...(item.pairings?.bad || [])],
+    rating: item.rating || 0,
+    text: {
+      name: indexText(item.name),
+      sub_type: indexText(item.sub_type),
+      fields: indexText(fieldValues(item)),
+      notes: indexText(item.notes)
+    },
+    // Keep a reference to commonly accessed fields for sorting/filtering
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt
+  };
+}
+
+/* =============================
+   Saved index
+   ============================= */
+
+// Entries depend on the item types' fields (see fieldValues)
+function fieldsFingerprint() {
+  const config = getConfig();
+  return JSON.stringify(Object.keys(config).sort().map(key => [key, (config[key].fields || []).map(field => field.name)]));
+}
+
+function isSavedIndexCurrent() {
+  try {
+    const meta = JSON.parse(localStorage.getItem(INDEX_META_KEY) || '{}');
+    return meta.format === INDEX_FORMAT && meta.fields === fieldsFingerprint();
+  } catch (e) {
+    return false;
+  }
+}
+
+// Saved index writes run in the background; one that fails is repaired by the next check
+function persist(promise) {
+  promise.catch(err => console.warn('Saving the search index failed:', err));
+}
+
 /**
- * Build the search index from all items in the database
- * Call this once on app initialization
+ * Build the search index from all items in the database and save it
+ * Call this when many items changed at once (import, restore) or the item types' fields changed
  */
 export async function buildSearchIndex() {
-  const items = await listAll();
+  const [items, places] = await Promise.all([listAll(), listAllPlaces()]);
   searchIndex.clear();
+  placeNames = new Map(places.map(place => [place.id, indexText(place.name)]));
 
   for (const item of items) {
-    const indexEntry = {
-      id: item.id,
-      name_lc: (item.name || '').toLowerCase(),
-      notes_lc: (item.notes || '').toLowerCase(),
-      barcodes: item.barcodes || [],
-      type: item.type || '',
-      sub_type_lc: (item.sub_type || '').toLowerCase(),
-      place: item.place || '',
-      rating: item.rating || 0,
-      // Keep a reference to commonly accessed fields for sorting/filtering
-      createdAt: item.createdAt,
-      updatedAt: item.updatedAt
-    };
-    searchIndex.set(item.id, indexEntry);
+    searchIndex.set(item.id, buildEntry(item));
   }
 
+  await replaceSearchIndexEntries([...searchIndex.values()]);
+  localStorage.setItem(INDEX_META_KEY, JSON.stringify({ format: INDEX_FORMAT, fields: fieldsFingerprint() }));
   console.log(`Search index built with ${searchIndex.size} items`);
   return searchIndex.size;
 }
 
+/**
+ * Load the saved search index (call once on app initialization, after the config)
+ * Builds it instead when there is none yet, or it was saved for other item type fields or another format
+ */
+export async function loadSearchIndex() {
+  if (!isSavedIndexCurrent()) return buildSearchIndex();
+
+  const [entries, places] = await Promise.all([listSearchIndexEntries(), listAllPlaces()]);
+  searchIndex = new Map(entries.map(entry => [entry.id, entry]));
+  placeNames = new Map(places.map(place => [place.id, indexText(place.name)]));
+
+  console.log(`Search index loaded with ${searchIndex.size} items`);
+  return searchIndex.size;
+}
+
+// Number of indexed items and their latest update timestamp, to compare with the items store
+function indexWatermark() {
+  let updatedAt = null;
+  searchIndex.forEach(entry => {
+    const stamp = entry.updatedAt ?? null;
+    if (stamp !== null && (updatedAt === null || stamp > updatedAt)) updatedAt = stamp;
+  });
+  return { count: searchIndex.size, updatedAt };
+}
+
+/**
+ * Compare the search index with the items store and repair the differences: items written without
+ * going through updateSearchIndex, saved entries that a failed write left behind...
+ * The item count and latest update timestamp are compared first; only when they differ are the ids
+ * and update timestamps of every item read, plus the items that need re-indexing
+ * @returns {Promise<{added: number, updated: number, removed: number}>}
+ */
+export async function checkSearchIndex() {
+  const stored = await getItemsWatermark();
+  const indexed = indexWatermark();
+  if (stored.count === indexed.count && stored.updatedAt === indexed.updatedAt) {
+    return { added: 0, updated: 0, removed: 0 };
+  }
+
+  const stamps = await listItemStamps();
+  const missing = [];
+  const stale = [];
+  stamps.forEach((updatedAt, id) => {
+    const entry = searchIndex.get(id);
+    if (!entry) missing.push(id);
+    else if ((entry.updatedAt ?? null) !== updatedAt) stale.push(id);
+  });
+  const orphaned = [...searchIndex.keys()].filter(id => !stamps.has(id));
+
+  if (missing.length > 0 || stale.length > 0) {
+    const entries = (await getItemsByIds([...missing, ...stale])).filter(Boolean).map(buildEntry);
+    entries.forEach(entry => searchIndex.set(entry.id, entry));
+    await putSearchIndexEntries(entries);
+  }
+  if (orphaned.length > 0) {
+    orphaned.forEach(id => searchIndex.delete(id));
+    await deleteSearchIndexEntries(orphaned);
+  }
+  if (missing.length + stale.length + orphaned.length > 0) {
+    console.log(`Search index repaired: ${missing.length} added, ${stale.length} updated, ${orphaned.length} removed`);
+  }
+  return { added: missing.length, updated: stale.length, removed: orphaned.length };
+}
+
+/* =============================
+   Incremental updates
+   ============================= */
+
 /**
  * Add or update an item in the search index
  * Call this when an item is added or updated
  */
 export function updateSearchIndex(item) {
-  const indexEntry = {
-    id: item.id,
-    name_lc: (item.name || '').toLowerCase(),
-    notes_lc: (item.notes || '').toLowerCase(),
-    barcodes: item.barcodes || [],
-    type: item.type || '',
-    sub_type_lc: (item.sub_type || '').toLowerCase(),
-    place: item.place || '',
-    rating: item.rating || 0,
-    createdAt: item.createdAt,
-    updatedAt: item.updatedAt
-  };
-  searchIndex.set(item.id, indexEntry);
+  const entry = buildEntry(item);
+  searchIndex.set(item.id, entry);
+  persist(putSearchIndexEntries([entry]));
 }
 
 /**
@@ -63,31 +221,193 @@ export function updateSearchIndex(item) {
  */
 export function removeFromSearchIndex(id) {
   searchIndex.delete(id);
+  persist(deleteSearchIndexEntries([id]));
+}
+
+/**
+ * Add or update a place name in the search index
+ * Call this when a place is added or renamed
+ */
+export function updatePlaceInSearchIndex(place) {
+  placeNames.set(place.id, indexText(place.name));
+}
+
+/**
+ * Remove a place from the search index
+ * Call this when a place is deleted
+ */
+export function removePlaceFromSearchIndex(id) {
+  placeNames.delete(id);
+}
+
+/* =============================
+   Matching
+   ============================= */
+
+/**
+ * Edit distance (insertions, deletions, substitutions, swaps of neighbours), giving up above max
+ * @returns {number} Distance, or max + 1 when larger
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos tolerated for a query word of this length (short words must match exactly)
+function allowedTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * How well a query word matches a word of the text
+ * @returns {number} Match quality (0 when it doesn't match)
+ */
+export function matchWord(queryWord, word) {
+  if (word === queryWord) return MATCH_QUALITY.exact;
+  if (word.startsWith(queryWord)) return MATCH_QUALITY.prefix;
+  const typos = allowedTypos(queryWord);
+  if (typos === 0) return 0;
+  // The whole word, or its beginning while the query word is still being typed
+  const distance = Math.min(
+    editDistance(queryWord, word, typos),
+    word.length > queryWord.length ? editDistance(queryWord, word.slice(0, queryWord.length), typos) : typos + 1
+  );
+  return distance <= typos ? MATCH_QUALITY.fuzzy - 0.1 * (distance - 1) : 0;
+}
+
+// Best match of a query word in an indexed text
+function textScore(indexed, queryWord) {
+  let best = 0;
+  for (const word of indexed.words) {
+    best = Math.max(best, matchWord(queryWord, word));
+    if (best === MATCH_QUALITY.exact) break;
+  }
+  if (best < MATCH_QUALITY.substring && indexed.text.includes(queryWord)) best = MATCH_QUALITY.substring;
+  return best;
+}
+
+// Indexed texts of the linked places and paired items (looked up now, so renames are picked up)
+function linkedTexts(entry) {
+  return {
+    place: entry.placeIds.map(id => placeNames.get(id)).filter(Boolean),
+    pairing: entry.pairingIds.map(id => searchIndex.get(id)?.text.name).filter(Boolean)
+  };
+}
+
+// Best score of a match function over the linked texts, weighted per kind of link
+function linkedScore(entry, score) {
+  const linked = linkedTexts(entry);
+  return Object.entries(linked).reduce((total, [kind, texts]) =>
+    total + FIELD_WEIGHTS[kind] * Math.max(0, ...texts.map(score)), 0);
+}
+
+// Relevance of an entry for one query word (0 when no field matches)
+function wordScore(entry, queryWord) {
+  let score = 0;
+  TEXT_FIELDS.forEach(field => {
+    score += FIELD_WEIGHTS[field] * textScore(entry.text[field], queryWord);
+  });
+  if (entry.barcodes.some(barcode => barcode.includes(queryWord))) score += FIELD_WEIGHTS.barcode;
+  return score + linkedScore(entry, indexed => textScore(indexed, queryWord));
+}
+
+// Relevance of an entry for a phrase, matched as written
+function phraseScore(entry, phrase) {
+  let score = 0;
+  TEXT_FIELDS.forEach(field => {
+    if (entry.text[field].text.includes(phrase)) score += FIELD_WEIGHTS[field];
+  });
+  if (entry.barcodes.some(barcode => barcode.includes(phrase))) score += FIELD_WEIGHTS.barcode;
+  return score + linkedScore(entry, indexed => (indexed.text.includes(phrase) ? 1 : 0));
+}
+
+/**
+ * Score every item against a query; every word of the query has to match
+ * @param {string} query - Free text
+ * @param {object} options
+ * @param {boolean} options.phrase - Match the query as one piece of text (quoted phrase), without typos
+ * @returns {Map<number, number>} Item id -> relevance, for matching items only
+ */
+export function searchScores(query, { phrase = false } = {}) {
+  const scores = new Map();
+  const normalized = normalizeSearchText(query).trim();
+  const queryWords = phrase ? [] : tokenizeSearchText(query);
+
+  for (const [id, entry] of searchIndex) {
+    if (phrase) {
+      const score = phraseScore(entry, normalized);
+      if (score > 0) scores.set(id, score);
+      continue;
+    }
+    let score = 0;
+    let matchesAll = true;
+    for (const queryWord of queryWords) {
+      const s = wordScore(entry, queryWord);
+      if (s === 0) {
+        matchesAll = false;
+        break;
+      }
+      score += s;
+    }
+    if (matchesAll) scores.set(id, score);
+  }
+  return scores;
 }
 
 /**
  * Search the index for items matching the query
- * Returns array of item IDs that match
+ * Returns array of item IDs that match, best matches first (all IDs for an empty query)
  */
 export function searchIndex_fast(query) {
-  if (!query || query.trim() === '') {
+  if (!query || query.trim() === '' || tokenizeSearchText(query).length === 0) {
     // Return all IDs if no query
     return Array.from(searchIndex.keys());
   }
 
-  const q = query.toLowerCase().trim();
-  const matchingIds = [];
+  return [...searchScores(query).entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id);
+}
 
-  for (const [id, entry] of searchIndex) {
-    if (
-      entry.name_lc.includes(q) ||
-      entry.notes_lc.includes(q) ||
-      entry.barcodes.some(barcode => barcode.includes(q)) ||
-      entry.sub_type_lc.includes(q)
-    ) {
-      matchingIds.push(id);
-    }
+/**
+ * Mark the words of a text that match any of the query words
+ * @param {string} text - Original text
+ * @param {Array<string>} queryWords - Normalised query words
+ * @param {Function} escape - HTML escaping for the text
+ * @returns {string} HTML
+ */
+export function highlightMatches(text, queryWords, escape) {
+  const source = String(text || '');
+  if (!queryWords || queryWords.length === 0) return escape(source);
+  let html = '';
+  let pos = 0;
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = normalizeSearchText(match[0]);
+    const hit = queryWords.some(q => matchWord(q, word) > 0 || word.includes(q));
+    if (!hit) continue;
+    html += escape(source.slice(pos, match.index));
+    html += `<mark class="search-hit">${escape(match[0])}</mark>`;
+    pos = match.index + match[0].length;
   }
-
-  return matchingIds;
+  return html + escape(source.slice(pos));
 }
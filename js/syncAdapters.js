@@ -0,0 +1,150 @@
+/* =============================
+   Sync Adapters
+   A sync adapter stores change-set files (see syncManager.js) on a backend.
+   Every adapter is created from the sync server settings and provides:
+     test()               -> Promise<void>, throws when the backend is unreachable or refuses access
+     list()               -> Promise<Array<{ name, size }>>
+     upload(name, blob)   -> Promise<void>
+     download(name)       -> Promise<Blob>
+   Errors carry `status` (HTTP status, if any) and `retryable` (true for network and server errors).
+   ============================= */
+
+const FOLDER = 'changesets';
+
+const adapters = {};
+
+/**
+ * Register a sync adapter
+ * @param {string} key - Adapter key stored in the settings
+ * @param {object} adapter - { label, create(settings) }
+ */
+export function registerSyncAdapter(key, adapter) {
+  adapters[key] = adapter;
+}
+
+/**
+ * Get registered adapters as [{ key, label }]
+ */
+export function getSyncAdapters() {
+  return Object.entries(adapters).map(([key, adapter]) => ({ key, label: adapter.label }));
+}
+
+export function createSyncAdapter(settings) {
+  const adapter = adapters[settings.adapter];
+  if (!adapter) throw new Error(`Unknown sync adapter "${settings.adapter}"`);
+  if (!settings.url) throw new Error('No server URL configured');
+  return adapter.create(settings);
+}
+
+/* ===== HTTP helpers ===== */
+
+function basicAuth(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+function authHeaders(settings) {
+  if (settings.token) return { Authorization: `Bearer ${settings.token}` };
+  if (settings.username) return { Authorization: basicAuth(settings.username, settings.password || '') };
+  return {};
+}
+
+async function request(settings, method, path, { body, headers = {} } = {}) {
+  const url = `${settings.url.replace(/\/+$/, '')}/${path}`;
+  let res;
+  try {
+    res = await fetch(url, { method, body, headers: { ...authHeaders(settings), ...headers } });
+  } catch (e) {
+    const err = new Error('Server unreachable');
+    err.retryable = true;
+    throw err;
+  }
+  if (!res.ok) {
+    const unauthorized = res.status === 401 || res.status === 403;
+    const err = new Error(unauthorized ? 'Not authorized: check the user name, password or token' : `Server error ${res.status}`);
+    err.status = res.status;
+    err.retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+    throw err;
+  }
+  return res;
+}
+
+function fileName(name) {
+  return `${FOLDER}/${encodeURIComponent(name)}`;
+}
+
+/* ===== REST adapter =====
+   GET  {url}/changesets         -> JSON [{ name, size }]
+   PUT  {url}/changesets/{name}  <- change-set ZIP
+   GET  {url}/changesets/{name}  -> change-set ZIP
+   (mock-sync-server.cjs implements this API for local testing) */
+
+function createRestAdapter(settings) {
+  return {
+    async test() {
+      await request(settings, 'GET', FOLDER);
+    },
+    async list() {
+      const res = await request(settings, 'GET', FOLDER, { headers: { Accept: 'application/json' } });
+      const files = await res.json();
+      return Array.isArray(files) ? files.filter(file => file && typeof file.name === 'string') : [];
+    },
+    async upload(name, blob) {
+      await request(settings, 'PUT', fileName(name), { body: blob, headers: { 'Content-Type': 'application/zip' } });
+    },
+    async download(name) {
+      const res = await request(settings, 'GET', fileName(name));
+      return res.blob();
+    }
+  };
+}
+
+/* ===== WebDAV adapter =====
+   Change sets are files in a `changesets` folder under the configured URL
+   (e.g. a Nextcloud or Apache mod_dav folder) */
+
+function parsePropfind(xmlText) {
+  const xml = new DOMParser().parseFromString(xmlText, 'application/xml');
+  return [...xml.getElementsByTagNameNS('DAV:', 'response')].map(response => {
+    const href = decodeURIComponent(response.getElementsByTagNameNS('DAV:', 'href')[0]?.textContent || '');
+    const size = Number(response.getElementsByTagNameNS('DAV:', 'getcontentlength')[0]?.textContent || 0);
+    return { name: href.replace(/\/+$/, '').split('/').pop(), size };
+  }).filter(file => file.name.endsWith('.zip'));
+}
+
+function createWebDavAdapter(settings) {
+  let folderReady = false;
+
+  async function ensureFolder() {
+    if (folderReady) return;
+    try {
+      await request(settings, 'MKCOL', `${FOLDER}/`);
+    } catch (err) {
+      // 405: the folder already exists
+      if (err.status !== 405) throw err;
+    }
+    folderReady = true;
+  }
+
+  return {
+    async test() {
+      await ensureFolder();
+    },
+    async list() {
+      await ensureFolder();
+      const res = await request(settings, 'PROPFIND', `${FOLDER}/`, { headers: { Depth: '1' } });
+      return parsePropfind(await res.text());
+    },
+    async upload(name, blob) {
+      await ensureFolder();
+      await request(settings, 'PUT', fileName(name), { body: blob, headers: { 'Content-Type': 'application/zip' } });
+    },
+    async download(name) {
+      const res = await request(settings, 'GET', fileName(name));
+      return res.blob();
+    }
+  };
+}
+
+registerSyncAdapter('rest', { label: 'REST server', create: createRestAdapter });
+registerSyncAdapter('webdav', { label: 'WebDAV', create: createWebDavAdapter });
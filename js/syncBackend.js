@@ -0,0 +1,298 @@
+/* =============================
+   Sync Backend
+   Pushes this device's change sets to a sync server and pulls the other devices' ones,
+   in the background while online. Failed operations stay queued and are retried with backoff.
+   ============================= */
+
+import { createSyncAdapter } from './syncAdapters.js';
+import { createChangeSet, applyChangeSet, getSyncInfo } from './syncManager.js';
+import { EXPORT_STORES } from './exportFormat.js';
+
+const SETTINGS_KEY = 'syncBackendSettings';
+const STATE_KEY = 'syncBackendState';
+const QUEUE_KEY = 'syncBackendQueue';
+const PULL_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const PUSH_DEBOUNCE = 15 * 1000; // wait for a burst of writes to settle
+const RETRY_BASE = 30 * 1000;
+const RETRY_MAX = 30 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  adapter: 'rest',
+  url: '',
+  username: '',
+  password: '',
+  token: ''
+};
+
+let running = null;
+let pushTimer = null;
+let retryTimer = null;
+let lastError = null;
+
+/**
+ * Get sync server settings (merged with defaults)
+ */
+export function getSyncBackendSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save sync server settings; a sync runs right away when enabled
+ */
+export function saveSyncBackendSettings(patch) {
+  const settings = { ...getSyncBackendSettings(), ...patch };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  lastError = null;
+  if (settings.enabled) {
+    enqueue('pull');
+    enqueue('push');
+  }
+  notifyStatus();
+  return settings;
+}
+
+// What the server holds, per server: the version vector pushed so far, and the files the version
+// vector can't account for (unreadable ones, and ones named without the sender's clock) that were dealt with
+function loadServerState(settings) {
+  let state = {};
+  try {
+    state = JSON.parse(localStorage.getItem(STATE_KEY) || '{}');
+  } catch (e) {
+    state = {};
+  }
+  const server = `${settings.adapter}:${settings.url}`;
+  if (state.server !== server) state = { server, vector: {}, applied: [] };
+  return state;
+}
+
+function saveServerState(state) {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+/* ===== Retry queue ===== */
+
+function loadQueue() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+    return Array.isArray(queue) ? queue : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveQueue(queue) {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+}
+
+function enqueue(op) {
+  const queue = loadQueue();
+  if (!queue.some(entry => entry.op === op)) {
+    queue.push({ op, attempts: 0, nextAttemptAt: 0 });
+    saveQueue(queue);
+  }
+  processQueue();
+}
+
+/**
+ * Get the sync status for the settings screen
+ */
+export function getSyncBackendStatus() {
+  const state = loadServerState(getSyncBackendSettings());
+  return {
+    lastSyncAt: state.lastSyncAt || null,
+    lastError,
+    pending: loadQueue().length,
+    online: navigator.onLine
+  };
+}
+
+function notifyStatus() {
+  window.dispatchEvent(new CustomEvent('sync-status', { detail: getSyncBackendStatus() }));
+}
+
+/* ===== Push / pull ===== */
+
+// Change set files are named <time>-<device id>.c<clock>.zip: names sort by time, the device id lets
+// pulls skip their own uploads and the sender's clock tells whether the version vector covers the file.
+// Files from earlier versions have no clock
+const FILE_NAME = /^\d+-(.+?)(?:\.c(\d+))?\.zip$/;
+
+function parseFileName(name) {
+  const match = FILE_NAME.exec(name);
+  return match ? { deviceId: match[1], clock: match[2] ? Number(match[2]) : null } : null;
+}
+
+// Everything the sender had when it made the file has been seen here (from the file, or through another device)
+function isCovered(file, vector) {
+  return file.clock !== null && file.clock <= (vector[file.deviceId] || 0);
+}
+
+async function push(adapter, settings) {
+  const state = loadServerState(settings);
+  const { blob, count, deviceId, vector } = await createChangeSet(null, state.vector);
+  if (count === 0) return 0;
+  await adapter.upload(`${Date.now()}-${deviceId}.c${vector[deviceId]}.zip`, blob);
+  state.vector = vector;
+  saveServerState(state);
+  return count;
+}
+
+async function pull(adapter, settings) {
+  const { deviceId } = getSyncInfo();
+  const state = loadServerState(settings);
+  const files = (await adapter.list())
+    .map(file => ({ name: file.name, ...parseFileName(file.name) }))
+    .filter(file => file.deviceId && file.deviceId !== deviceId && !state.applied.includes(file.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  let applied = 0;
+  for (const file of files) {
+    // Applying a file can cover later ones (they came through another device)
+    if (isCovered(file, getSyncInfo().vector)) continue;
+    const blob = await adapter.download(file.name);
+    let unreadable = false;
+    try {
+      await applyChangeSet(new File([blob], file.name, { type: 'application/zip' }));
+      applied++;
+    } catch (err) {
+      // A failed write (storage full...) or a newer format: stop here and retry the pull later, so
+      // files are applied in order. A broken file would fail every pull; skip it
+      if (err.code !== 'invalid-change-set') {
+        err.retryable = true;
+        throw err;
+      }
+      console.warn('Skipping unreadable change set', file.name, err);
+      unreadable = true;
+    }
+    // The version vector doesn't account for these
+    if (unreadable || file.clock === null) {
+      state.applied = [...state.applied, file.name];
+      saveServerState(state);
+    }
+  }
+  // Skipped files the version vector covers by now don't need to be remembered
+  const { vector } = getSyncInfo();
+  state.applied = state.applied.filter(name => !isCovered(parseFileName(name) || { clock: null }, vector));
+  saveServerState(state);
+  return applied;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_MAX, RETRY_BASE * 2 ** (attempts - 1));
+}
+
+function scheduleRetry(queue) {
+  clearTimeout(retryTimer);
+  if (queue.length === 0) return;
+  const next = Math.min(...queue.map(entry => entry.nextAttemptAt));
+  retryTimer = setTimeout(processQueue, Math.max(1000, next - Date.now()));
+}
+
+/**
+ * Run the queued operations that are due (pulls before pushes)
+ */
+export async function processQueue() {
+  if (running) return running;
+  const settings = getSyncBackendSettings();
+  if (!settings.enabled || !settings.url || !navigator.onLine) return null;
+
+  let adapter;
+  try {
+    adapter = createSyncAdapter(settings);
+  } catch (err) {
+    lastError = err.message;
+    notifyStatus();
+    return null;
+  }
+
+  running = (async () => {
+    const due = loadQueue()
+      .filter(entry => entry.nextAttemptAt <= Date.now())
+      .sort((a, b) => (a.op === 'pull' ? 0 : 1) - (b.op === 'pull' ? 0 : 1));
+    for (const entry of due) {
+      // The queue is re-read each time: operations can be queued while this runs
+      try {
+        if (entry.op === 'pull') await pull(adapter, settings);
+        else await push(adapter, settings);
+        saveQueue(loadQueue().filter(e => e.op !== entry.op));
+        const state = loadServerState(settings);
+        state.lastSyncAt = Date.now();
+        saveServerState(state);
+        lastError = null;
+      } catch (err) {
+        console.warn(`Sync ${entry.op} failed:`, err);
+        lastError = err.message;
+        if (err.retryable) {
+          const attempts = entry.attempts + 1;
+          const retry = { op: entry.op, attempts, nextAttemptAt: Date.now() + retryDelay(attempts) };
+          saveQueue(loadQueue().map(e => (e.op === entry.op ? retry : e)));
+        } else {
+          // Settings problem: retrying won't help until they change
+          saveQueue(loadQueue().filter(e => e.op !== entry.op));
+        }
+      }
+      notifyStatus();
+    }
+    scheduleRetry(loadQueue());
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Pull and push right away (Sync now)
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+export async function syncNow() {
+  saveQueue(loadQueue().map(entry => ({ ...entry, nextAttemptAt: 0 })));
+  enqueue('pull');
+  enqueue('push');
+  await processQueue();
+  // A run already in progress may have started before these were queued
+  if (loadQueue().some(entry => entry.nextAttemptAt <= Date.now())) await processQueue();
+  return lastError;
+}
+
+/**
+ * Check the server settings without syncing
+ */
+export async function testSyncBackend(settings) {
+  await createSyncAdapter(settings).test();
+}
+
+/**
+ * Start background sync: push after local changes, pull periodically, resume when back online
+ */
+export function initSyncBackend() {
+  window.addEventListener('db-changed', (e) => {
+    if (!EXPORT_STORES.includes(e.detail?.storeName)) return;
+    if (!getSyncBackendSettings().enabled) return;
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(() => enqueue('push'), PUSH_DEBOUNCE);
+  });
+
+  window.addEventListener('online', () => {
+    // Back online: don't wait for the backoff
+    saveQueue(loadQueue().map(entry => ({ ...entry, nextAttemptAt: 0 })));
+    processQueue();
+  });
+  window.addEventListener('offline', notifyStatus);
+
+  setInterval(() => {
+    if (getSyncBackendSettings().enabled) enqueue('pull');
+  }, PULL_INTERVAL);
+
+  if (getSyncBackendSettings().enabled) {
+    enqueue('pull');
+    enqueue('push');
+  }
+}
@@ -0,0 +1,478 @@
+/* =============================
+   Sync Manager
+   Offline sync between devices through change-set files. Every device keeps a change log
+   (one entry per record with the device id and logical clock of its last change) and a
+   version vector of what it has seen from each device, so a change set only carries what
+   the other device is missing. Conflicts are resolved on updatedAt (last write wins).
+   ============================= */
+
+const JSZip = window.JSZip;
+
+import { getAllFromStore, getAllStoreNames, applyStoreChanges } from './db.js';
+import { downloadBlob, exportFileName, addPhotoToZip, readPhotoFromZip } from './dataManager.js';
+import { invalidateItemTypesCache } from './models/itemTypes.js';
+import { invalidatePlaceUsageCache } from './models/places.js';
+
+const STATE_KEY = 'syncState';
+const CHANGES_STORE = 'changes';
+const CHANGESET_FORMAT = 'gourmetapp-changeset';
+const CHANGESET_VERSION = 1;
+
+// Referenced records first, so references resolve when applying
+const SYNC_STORES = ['itemTypes', 'places', 'items', 'tastings', 'photos', 'presets'];
+
+// Stores whose own key is already the same on every device; the others get a `uid`
+const NATURAL_KEYS = { photos: 'id', itemTypes: 'key' };
+
+function generateUid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+function loadState() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(STATE_KEY) || '{}');
+  } catch (e) {
+    saved = {};
+  }
+  const state = { deviceId: null, deviceName: '', clock: 0, vector: {}, peers: {}, ...saved };
+  if (!state.deviceId) {
+    state.deviceId = generateUid();
+    saveState(state);
+  }
+  return state;
+}
+
+function saveState(state) {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Get this device's sync identity, its version vector and the devices it has synced with
+ */
+export function getSyncInfo() {
+  const state = loadState();
+  const peers = Object.entries(state.peers)
+    .map(([deviceId, peer]) => ({ deviceId, name: peer.name || '', lastSyncAt: peer.lastSyncAt || null }))
+    .sort((a, b) => (b.lastSyncAt || 0) - (a.lastSyncAt || 0));
+  return { deviceId: state.deviceId, deviceName: state.deviceName, vector: { ...state.vector }, peers };
+}
+
+export function setDeviceName(name) {
+  const state = loadState();
+  state.deviceName = String(name || '').trim();
+  saveState(state);
+}
+
+function recordTime(record) {
+  return record.updatedAt || record.createdAt || 0;
+}
+
+function uidOf(storeName, record) {
+  return NATURAL_KEYS[storeName] ? record[NATURAL_KEYS[storeName]] : record.uid;
+}
+
+function localKeyOf(storeName, record) {
+  return record[NATURAL_KEYS[storeName] || 'id'];
+}
+
+function entryId(storeName, uid) {
+  return `${storeName}:${uid}`;
+}
+
+async function readSyncStores() {
+  const known = await getAllStoreNames();
+  const records = {};
+  for (const storeName of SYNC_STORES) {
+    records[storeName] = known.includes(storeName) ? await getAllFromStore(storeName) : [];
+  }
+  return records;
+}
+
+/**
+ * Bring the change log up to date with the stores
+ * Records without a uid (or sharing one, e.g. after an import) get a new one. Records added,
+ * edited or deleted since the last refresh get an entry stamped with this device and the next clock value.
+ * @returns {Promise<Array>} Every change log entry
+ */
+export async function refreshChangeLog() {
+  const state = loadState();
+  const entries = await getAllFromStore(CHANGES_STORE);
+  const log = new Map(entries.map(entry => [entryId(entry.storeName, entry.uid), entry]));
+  const deletedAt = new Map((await getAllFromStore('tombstones')).map(t => [entryId(t.storeName, t.key), t.deletedAt]));
+  const records = await readSyncStores();
+  const puts = {};
+  const changes = [];
+  const present = new Set();
+
+  for (const storeName of SYNC_STORES) {
+    const uids = new Set();
+    for (const record of records[storeName]) {
+      let uid = uidOf(storeName, record);
+      if (!NATURAL_KEYS[storeName] && (!uid || uids.has(uid))) {
+        uid = generateUid();
+        (puts[storeName] = puts[storeName] || []).push({ ...record, uid });
+      }
+      uids.add(uid);
+      present.add(entryId(storeName, uid));
+
+      const entry = log.get(entryId(storeName, uid));
+      const time = recordTime(record);
+      if (!entry || entry.deleted || entry.updatedAt !== time) {
+        changes.push({
+          storeName,
+          uid,
+          key: localKeyOf(storeName, record),
+          deviceId: state.deviceId,
+          clock: ++state.clock,
+          updatedAt: time,
+          deleted: false
+        });
+      }
+    }
+  }
+
+  // Logged records that are gone were deleted here
+  for (const entry of entries) {
+    if (entry.deleted || present.has(entryId(entry.storeName, entry.uid))) continue;
+    changes.push({
+      ...entry,
+      deviceId: state.deviceId,
+      clock: ++state.clock,
+      updatedAt: deletedAt.get(entryId(entry.storeName, entry.key)) || Date.now(),
+      deleted: true
+    });
+  }
+
+  if (changes.length > 0) {
+    puts[CHANGES_STORE] = changes;
+    await applyStoreChanges(puts);
+  }
+  state.vector[state.deviceId] = state.clock;
+  saveState(state);
+
+  changes.forEach(change => log.set(entryId(change.storeName, change.uid), change));
+  return [...log.values()];
+}
+
+// Local id -> uid for the stores referenced by other records
+function buildUidMaps(records) {
+  const maps = {};
+  ['items', 'places'].forEach(storeName => {
+    maps[storeName] = new Map(records[storeName].map(record => [record.id, record.uid]));
+  });
+  return maps;
+}
+
+// Copy of a record that can travel: no local id, references as uids
+function toPortable(storeName, record, uids) {
+  const { blob: _blob, ...portable } = record;
+  if (!NATURAL_KEYS[storeName]) delete portable.id;
+  const toUids = (ids, storeName) => (ids || []).map(id => uids[storeName].get(id)).filter(Boolean);
+
+  if (storeName === 'items') {
+    portable.places = toUids(record.places, 'places');
+    portable.pairings = {
+      good: toUids(record.pairings?.good, 'items'),
+      bad: toUids(record.pairings?.bad, 'items')
+    };
+  } else if (storeName === 'tastings') {
+    portable.itemId = uids.items.get(record.itemId) || null;
+    portable.placeId = record.placeId ? uids.places.get(record.placeId) || null : null;
+  } else if (storeName === 'photos') {
+    portable.itemId = uids.items.get(record.itemId) || null;
+  } else if (storeName === 'presets' && record.filters?.places) {
+    portable.filters = { ...record.filters, places: toUids(record.filters.places, 'places') };
+  }
+  return portable;
+}
+
+/**
+ * Build a change set with every change the peer hasn't seen yet
+ * @param {string|null} peerId - Device to sync with; null sends everything (first sync)
+ * @param {object|null} knownVector - What the receiver has seen, for receivers that aren't devices (sync servers)
+ * @returns {Promise<{blob: Blob, count: number, deviceId: string, vector: object}>}
+ */
+export async function createChangeSet(peerId = null, knownVector = null) {
+  const entries = await refreshChangeLog();
+  const state = loadState();
+  const known = knownVector || (peerId && state.peers[peerId]?.vector) || {};
+  const pending = entries.filter(entry => entry.clock > (known[entry.deviceId] || 0));
+
+  const records = await readSyncStores();
+  const byUid = {};
+  SYNC_STORES.forEach(storeName => {
+    byUid[storeName] = new Map(records[storeName].map(record => [uidOf(storeName, record), record]));
+  });
+  const uids = buildUidMaps(records);
+
+  const zip = new JSZip();
+  const changes = [];
+  for (const entry of pending) {
+    const change = {
+      storeName: entry.storeName,
+      uid: entry.uid,
+      deviceId: entry.deviceId,
+      clock: entry.clock,
+      updatedAt: entry.updatedAt,
+      deleted: entry.deleted
+    };
+    if (!entry.deleted) {
+      const record = byUid[entry.storeName].get(entry.uid);
+      if (!record) continue;
+      // Photo and thumbnail blobs go into the ZIP
+      change.record = toPortable(entry.storeName, entry.storeName === 'photos' ? addPhotoToZip(zip, record) : record, uids);
+    }
+    changes.push(change);
+  }
+
+  const changeSet = {
+    format: CHANGESET_FORMAT,
+    version: CHANGESET_VERSION,
+    deviceId: state.deviceId,
+    deviceName: state.deviceName,
+    createdAt: Date.now(),
+    vector: state.vector,
+    changes
+  };
+  zip.file('changes.json', JSON.stringify(changeSet));
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  return { blob, count: changes.length, deviceId: state.deviceId, vector: { ...state.vector } };
+}
+
+/**
+ * Create a change set for a peer and download it
+ */
+export async function exportChangeSet(peerId = null) {
+  const { blob, count } = await createChangeSet(peerId);
+  downloadBlob(blob, exportFileName(new Date(), 'changes'));
+  return count;
+}
+
+// A file that will never apply (not a change set, or a damaged one), unlike a failed write
+function invalidChangeSet(message) {
+  const err = new Error(message);
+  err.code = 'invalid-change-set';
+  return err;
+}
+
+async function readChangeSet(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (e) {
+    throw invalidChangeSet('Not a change set file');
+  }
+  const json = zip.file('changes.json');
+  if (!json) throw invalidChangeSet('Not a change set file: changes.json is missing');
+  let changeSet;
+  try {
+    changeSet = JSON.parse(await json.async('string'));
+  } catch (e) {
+    throw invalidChangeSet('Not a change set file: changes.json is damaged');
+  }
+  if (changeSet?.format !== CHANGESET_FORMAT || !Array.isArray(changeSet.changes)) {
+    throw invalidChangeSet('Not a change set file');
+  }
+  if (changeSet.version > CHANGESET_VERSION) {
+    throw new Error('This change set was made by a newer version of the app. Please update the app first.');
+  }
+  return { changeSet, zip };
+}
+
+// Last write wins; on equal timestamps the larger device id wins so both devices agree
+function isNewer(change, mine) {
+  if (!mine) return !change.deleted;
+  if (mine.deviceId === change.deviceId && mine.clock === change.clock) return false;
+  if (change.updatedAt !== mine.updatedAt) return change.updatedAt > mine.updatedAt;
+  return change.deviceId > mine.deviceId;
+}
+
+/**
+ * Apply a change set from another device
+ * Records are matched by uid and references (places, pairings, tastings, photos) are mapped
+ * to local ids. References to records that don't exist here are dropped and pairings are
+ * made symmetric again.
+ * @param {File|Blob} file - Change set ZIP
+ * @returns {Promise<{applied: number, deleted: number, skipped: number, from: string}>}
+ * @throws {Error} with code 'invalid-change-set' for files that can never be applied
+ */
+export async function applyChangeSet(file) {
+  const { changeSet, zip } = await readChangeSet(file);
+  const state = loadState();
+  if (changeSet.deviceId === state.deviceId) throw invalidChangeSet('This change set was created on this device');
+
+  const entries = await refreshChangeLog();
+  const log = new Map(entries.map(entry => [entryId(entry.storeName, entry.uid), entry]));
+  const accepted = changeSet.changes
+    .filter(change => SYNC_STORES.includes(change.storeName))
+    .filter(change => isNewer(change, log.get(entryId(change.storeName, change.uid))))
+    .sort((a, b) => SYNC_STORES.indexOf(a.storeName) - SYNC_STORES.indexOf(b.storeName));
+
+  const records = await readSyncStores();
+  // uid -> local key, and the next free id for new records
+  const localKeys = {};
+  const nextIds = {};
+  SYNC_STORES.forEach(storeName => {
+    localKeys[storeName] = new Map(records[storeName].map(record => [uidOf(storeName, record), localKeyOf(storeName, record)]));
+    nextIds[storeName] = records[storeName].reduce((max, record) => Math.max(max, Number(record.id) || 0), 0) + 1;
+  });
+
+  const deletedKeys = {};
+  SYNC_STORES.forEach(storeName => { deletedKeys[storeName] = new Set(); });
+  for (const change of accepted) {
+    if (change.deleted) {
+      change.localKey = localKeys[change.storeName].get(change.uid);
+      if (change.localKey !== undefined) deletedKeys[change.storeName].add(change.localKey);
+      localKeys[change.storeName].delete(change.uid);
+    } else if (!NATURAL_KEYS[change.storeName] && !localKeys[change.storeName].has(change.uid)) {
+      localKeys[change.storeName].set(change.uid, nextIds[change.storeName]++);
+    } else if (NATURAL_KEYS[change.storeName]) {
+      localKeys[change.storeName].set(change.uid, change.uid);
+    }
+  }
+
+  const toIds = (uids, storeName) => (uids || []).map(uid => localKeys[storeName].get(uid)).filter(id => id !== undefined);
+  const puts = { [CHANGES_STORE]: [], tombstones: [] };
+  const deletes = {};
+  const incoming = new Map(); // store -> Map(local key -> record)
+  SYNC_STORES.forEach(storeName => { incoming.set(storeName, new Map()); });
+
+  for (const change of accepted) {
+    const { storeName } = change;
+    if (change.deleted) {
+      const { localKey: key, ...entry } = change;
+      if (key !== undefined) {
+        (deletes[storeName] = deletes[storeName] || []).push(key);
+        puts.tombstones.push({ storeName, key, deletedAt: change.updatedAt });
+      }
+      puts[CHANGES_STORE].push({ ...entry, key: key ?? null });
+      continue;
+    }
+
+    const record = { ...change.record };
+    const key = localKeys[storeName].get(change.uid);
+    if (!NATURAL_KEYS[storeName]) record.id = key;
+    if (storeName === 'items') {
+      record.places = toIds(record.places, 'places');
+      record.pairings = { good: toIds(record.pairings?.good, 'items'), bad: toIds(record.pairings?.bad, 'items') };
+    } else if (storeName === 'tastings') {
+      record.itemId = localKeys.items.get(record.itemId);
+      record.placeId = record.placeId ? localKeys.places.get(record.placeId) ?? null : null;
+      if (record.itemId === undefined) continue;
+    } else if (storeName === 'photos') {
+      record.itemId = localKeys.items.get(record.itemId);
+      if (record.itemId === undefined || !zip.file(`photos/${record.id}`)) continue;
+      // Change sets from earlier versions carry {} instead of the thumbnail
+      if (typeof record.thumbnail !== 'string') delete record.thumbnail;
+      Object.assign(record, await readPhotoFromZip(zip, record));
+    } else if (storeName === 'presets' && record.filters?.places) {
+      record.filters = { ...record.filters, places: toIds(record.filters.places, 'places') };
+    }
+    incoming.get(storeName).set(key, record);
+    (puts[storeName] = puts[storeName] || []).push(record);
+    puts[CHANGES_STORE].push({
+      storeName,
+      uid: change.uid,
+      key,
+      deviceId: change.deviceId,
+      clock: change.clock,
+      updatedAt: change.updatedAt,
+      deleted: false
+    });
+  }
+
+  repairReferences(records, incoming, deletedKeys, puts, deletes);
+  if (puts[CHANGES_STORE].length > 0) await applyStoreChanges(puts, deletes);
+
+  // Lamport clock and version vector: we have now seen everything the sender had
+  changeSet.changes.forEach(change => {
+    state.clock = Math.max(state.clock, change.clock);
+    state.vector[change.deviceId] = Math.max(state.vector[change.deviceId] || 0, change.clock);
+  });
+  Object.entries(changeSet.vector || {}).forEach(([deviceId, clock]) => {
+    state.vector[deviceId] = Math.max(state.vector[deviceId] || 0, clock);
+  });
+  state.vector[state.deviceId] = state.clock;
+  state.peers[changeSet.deviceId] = {
+    name: changeSet.deviceName || '',
+    vector: changeSet.vector || {},
+    lastSyncAt: Date.now()
+  };
+  saveState(state);
+
+  invalidateItemTypesCache();
+  invalidatePlaceUsageCache();
+  if (accepted.length > 0) window.dispatchEvent(new CustomEvent('data-imported'));
+
+  const deleted = accepted.filter(change => change.deleted).length;
+  return {
+    applied: accepted.length - deleted,
+    deleted,
+    skipped: changeSet.changes.length - accepted.length,
+    from: changeSet.deviceName || 'another device'
+  };
+}
+
+/**
+ * Fix references on local records after a change set:
+ * drop links to deleted places and items (saved searches included), drop tastings and photos
+ * of deleted items, and make pairings symmetric (incoming items decide their own pairings)
+ */
+function repairReferences(records, incoming, deletedKeys, puts, deletes) {
+  const incomingItems = incoming.get('items');
+  const fixed = new Map();
+  const current = id => fixed.get(id) || incomingItems.get(id) || records.items.find(item => item.id === id);
+  const exists = id => !deletedKeys.items.has(id) && current(id) !== undefined;
+
+  for (const item of records.items) {
+    if (deletedKeys.items.has(item.id) || incomingItems.has(item.id)) continue;
+    const places = (item.places || []).filter(id => !deletedKeys.places.has(id));
+    const pairings = {
+      good: (item.pairings?.good || []).filter(exists),
+      bad: (item.pairings?.bad || []).filter(exists)
+    };
+    if (places.length !== (item.places || []).length ||
+        pairings.good.length !== (item.pairings?.good || []).length ||
+        pairings.bad.length !== (item.pairings?.bad || []).length) {
+      fixed.set(item.id, { ...item, places, pairings });
+    }
+  }
+
+  const allIds = new Set([...records.items.map(item => item.id), ...incomingItems.keys()]);
+  for (const [id, item] of incomingItems) {
+    for (const type of ['good', 'bad']) {
+      for (const otherId of allIds) {
+        if (otherId === id || deletedKeys.items.has(otherId)) continue;
+        const partner = current(otherId);
+        const listed = (partner.pairings?.[type] || []).includes(id);
+        const wanted = item.pairings[type].includes(otherId);
+        if (listed === wanted) continue;
+        if (incomingItems.has(otherId)) {
+          // Both sides came in: keep the link if either lists it
+          if (!wanted) item.pairings[type].push(otherId);
+          continue;
+        }
+        const pairings = { good: [...(partner.pairings?.good || [])], bad: [...(partner.pairings?.bad || [])] };
+        pairings[type] = wanted ? [...pairings[type], id] : pairings[type].filter(pid => pid !== id);
+        fixed.set(otherId, { ...partner, pairings });
+      }
+    }
+  }
+
+  if (fixed.size > 0) puts.items = [...(puts.items || []), ...fixed.values()];
+
+  const presets = records.presets
+    .filter(preset => !incoming.get('presets').has(preset.id) && !deletedKeys.presets.has(preset.id))
+    .filter(preset => (preset.filters?.places || []).some(id => deletedKeys.places.has(id)))
+    .map(preset => ({ ...preset, filters: { ...preset.filters, places: preset.filters.places.filter(id => !deletedKeys.places.has(id)) } }));
+  if (presets.length > 0) puts.presets = [...(puts.presets || []), ...presets];
+
+  ['tastings', 'photos'].forEach(storeName => {
+    const orphans = records[storeName]
+      .filter(record => deletedKeys.items.has(record.itemId) && !deletedKeys[storeName].has(localKeyOf(storeName, record)))
+      .map(record => localKeyOf(storeName, record));
+    if (orphans.length > 0) deletes[storeName] = [...(deletes[storeName] || []), ...orphans];
+  });
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Sync Server
+ *
+ * Minimal self-hosted sync backend for testing the sync server settings locally.
+ * Serves both APIs used by js/syncAdapters.js on the same URL:
+ *
+ *   REST:    GET /changesets (JSON list), PUT/GET /changesets/<name>
+ *   WebDAV:  MKCOL /changesets/, PROPFIND /changesets/ (Depth: 1), PUT/GET /changesets/<name>
+ *
+ * Files are kept in memory, or in a folder when SYNC_DATA_DIR is set.
+ *
+ * Usage:
+ *   npm run sync:mock
+ *   PORT=8787 SYNC_USER=me SYNC_PASSWORD=secret node mock-sync-server.cjs   # require Basic auth
+ *   SYNC_TOKEN=abc node mock-sync-server.cjs                                # require a Bearer token
+ *
+ * Then use http://localhost:8787 as the server URL in the app.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.SYNC_DATA_DIR || null;
+const USER = process.env.SYNC_USER || '';
+const PASSWORD = process.env.SYNC_PASSWORD || '';
+const TOKEN = process.env.SYNC_TOKEN || '';
+const FOLDER = '/changesets';
+
+const files = new Map(); // name -> Buffer (in-memory mode)
+
+if (DATA_DIR) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+function listFiles() {
+  if (DATA_DIR) {
+    return fs.readdirSync(DATA_DIR).map(name => ({ name, size: fs.statSync(path.join(DATA_DIR, name)).size }));
+  }
+  return [...files.entries()].map(([name, data]) => ({ name, size: data.length }));
+}
+
+function readFile(name) {
+  if (DATA_DIR) {
+    const file = path.join(DATA_DIR, name);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+  return files.get(name) || null;
+}
+
+function writeFile(name, data) {
+  if (DATA_DIR) fs.writeFileSync(path.join(DATA_DIR, name), data);
+  else files.set(name, data);
+}
+
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  if (TOKEN) return header === `Bearer ${TOKEN}`;
+  if (USER) return header === `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+  return true;
+}
+
+function send(res, status, body = '', headers = {}) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+function propfindXml(list) {
+  const entries = [`${FOLDER}/`, ...list.map(file => `${FOLDER}/${encodeURIComponent(file.name)}`)].map((href, i) => `
+  <d:response>
+    <d:href>${href}</d:href>
+    <d:propstat>
+      <d:prop>${i === 0 ? '<d:resourcetype><d:collection/></d:resourcetype>' : `<d:resourcetype/><d:getcontentlength>${list[i - 1].size}</d:getcontentlength>`}</d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>`).join('');
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus xmlns:d="DAV:">${entries}\n</d:multistatus>\n`;
+}
+
+const server = http.createServer((req, res) => {
+  // The app runs on another origin during development
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PROPFIND, MKCOL, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Depth, Accept');
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (!isAuthorized(req)) return send(res, 401, 'Unauthorized');
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const pathname = url.pathname.replace(/\/+$/, '');
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (pathname === FOLDER) {
+    if (req.method === 'GET') return send(res, 200, JSON.stringify(listFiles()), { 'Content-Type': 'application/json' });
+    if (req.method === 'PROPFIND') return send(res, 207, propfindXml(listFiles()), { 'Content-Type': 'application/xml; charset=utf-8' });
+    // The folder always exists
+    if (req.method === 'MKCOL') return send(res, 405, 'Already exists');
+    return send(res, 405, 'Method not allowed');
+  }
+
+  if (!pathname.startsWith(`${FOLDER}/`)) return send(res, 404, 'Not found');
+  const name = decodeURIComponent(pathname.slice(FOLDER.length + 1));
+  if (!/^[\w.-]+\.zip$/.test(name)) return send(res, 400, 'Invalid file name');
+
+  if (req.method === 'GET') {
+    const data = readFile(name);
+    return data ? send(res, 200, data, { 'Content-Type': 'application/zip' }) : send(res, 404, 'Not found');
+  }
+  if (req.method === 'PUT') {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      writeFile(name, Buffer.concat(chunks));
+      send(res, 201, 'Created');
+    });
+    return undefined;
+  }
+  return send(res, 405, 'Method not allowed');
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server on http://localhost:${PORT} (${DATA_DIR ? `files in ${DATA_DIR}` : 'in memory'})`);
+  if (TOKEN) console.log('Requires: Bearer token');
+  else if (USER) console.log(`Requires: Basic auth as "${USER}"`);
+});
@@ -2,8 +2,10 @@
 // File: sw.js (Service Worker)
 // Enhanced offline cache with network-first fallback for better iPhone offline support
 // =============================
-const VERSION = '0.1.88';
+const VERSION = '0.1.135';
 const CACHE = `gourmetapp-v${VERSION.replace(/\./g, '-')}`;
+// Photos shared to the app (Web Share Target), waiting for the page to pick them up
+const SHARE_CACHE = 'gourmetapp-shared';
 
 const ASSETS = [
   './',
@@ -11,10 +13,12 @@ const ASSETS = [
   './manifest.webmanifest',
   './version.json',
   './item-types-config.json',
+  './export-schema.json',
   // Icons
   './icons/barcode.png',
   './icons/icon-192.png',
   './icons/icon-512.png',
+  './icons/map-pin.svg',
   // CSS files
   './css/base.css',
   './css/components.css',
@@ -32,10 +36,31 @@ const ASSETS = [
   './css/features/update-banner.css',
   './css/features/places.css',
   './css/features/item-types.css',
+  './css/features/tastings.css',
+  './css/features/import-preview.css',
+  './css/features/csv-import.css',
+  './css/features/backups.css',
+  './css/features/trash.css',
+  './css/features/history.css',
+  './css/features/sync.css',
+  './css/features/passphrase.css',
+  './css/features/share.css',
+  './css/features/report.css',
+  './css/features/sort.css',
+  './css/features/presets.css',
   // JS files
   './js/app.js',
   './js/config.js',
   './js/dataManager.js',
+  './js/exportFormat.js',
+  './js/csvManager.js',
+  './js/backupManager.js',
+  './js/syncManager.js',
+  './js/syncAdapters.js',
+  './js/syncBackend.js',
+  './js/router.js',
+  './js/backupCrypto.js',
+  './js/reportGenerator.js',
   './js/db.js',
   './js/searchIndex.js',
   './js/updateManager.js',
@@ -48,7 +73,23 @@ const ASSETS = [
   './js/components/placeEditor.js',
   './js/components/placeMapFilter.js',
   './js/components/itemTypeEditor.js',
+  './js/components/snackbar.js',
   './js/features/itemDetails.js',
+  './js/features/importPreview.js',
+  './js/features/csvImport.js',
+  './js/features/backups.js',
+  './js/features/trash.js',
+  './js/features/sync.js',
+  './js/features/syncServer.js',
+  './js/features/passphrase.js',
+  './js/features/share.js',
+  './js/features/shareTarget.js',
+  './js/features/report.js',
+  './js/features/sort.js',
+  './js/features/grouping.js',
+  './js/features/presets.js',
+  './js/features/fieldFilters.js',
+  './js/features/detailFilters.js',
   './js/features/itemEditor.js',
   './js/features/itemList.js',
   './js/features/pairingSelector.js',
@@ -61,6 +102,10 @@ const ASSETS = [
   './js/models/pairings.js',
   './js/models/places.js',
   './js/models/itemTypes.js',
+  './js/models/tastings.js',
+  './js/models/trash.js',
+  './js/models/revisions.js',
+  './js/models/presets.js',
   './js/external/JSZip.min.js',
   // Note: external map library (Google Maps) is loaded at runtime from index.html and is not cached here
 ];
@@ -79,12 +124,29 @@ self.addEventListener('activate', e => {
   console.log('[SW] Activating version:', VERSION);
   e.waitUntil(
     caches.keys().then(keys =>
-      Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)))
+      Promise.all(keys.filter(k => k !== CACHE && k !== SHARE_CACHE).map(k => caches.delete(k)))
     ).then(() => self.clients.claim())
   );
 });
 
+// Web Share Target (manifest share_target): park the shared photos and open the app on #/shared,
+// where they become the photos of a new item
+async function receiveShare(request) {
+  const form = await request.formData();
+  const photos = form.getAll('photos').filter(file => file instanceof File && file.type.startsWith('image/'));
+  const cache = await caches.open(SHARE_CACHE);
+  // Only the latest share is kept
+  await Promise.all((await cache.keys()).map(key => cache.delete(key)));
+  await Promise.all(photos.map((file, i) => cache.put(`./shared/${i}`, new Response(file, { headers: { 'Content-Type': file.type } }))));
+  return Response.redirect(new URL('./#/shared', self.registration.scope).href, 303);
+}
+
 self.addEventListener('fetch', e => {
+  if (e.request.method === 'POST' && new URL(e.request.url).pathname.endsWith('/share-target')) {
+    e.respondWith(receiveShare(e.request));
+    return;
+  }
+
   // Network-first for external APIs
   if (e.request.url.includes('openfoodfacts.org')) {
     e.respondWith(